@@ -2,6 +2,23 @@ import { Server } from "socket.io";
 import User from "../models/User.js";
 import Group from "../models/Group.js";
 import mongoose from "mongoose";
+import { findGroupByIdentifier, getGroupRoom, isGroupMember, normalizeTags } from "../utils/groups.js";
+import {
+  sendMemberMessage,
+  editMemberMessage,
+  deleteMemberMessage,
+  setMessageReaction,
+} from "../services/messageService.js";
+import { isChatCommand, runChatCommand } from "../services/commandService.js";
+import { createPoll, votePoll, closePoll } from "../services/pollService.js";
+import { getUserRoom } from "../services/notificationService.js";
+import {
+  trackConnection,
+  trackDisconnect,
+  getOnlineMemberIds,
+  broadcastPresence,
+} from "../services/presenceService.js";
+import socketAuth from "../middleware/socketAuth.js";
 
 // Helper function to check database connection
 const isDatabaseConnected = () => {
@@ -35,15 +52,33 @@ const connectToSockets = (server) => {
     },
   });
 
+  io.use(socketAuth);
+
   io.on("connection", (socket) => {
-    console.log("A User Connected", socket.id);
+    // Identity comes from the verified handshake, never from event payloads
+    const { id: userId, username } = socket.data.user;
+    console.log("A User Connected", socket.id, username);
+
+    // Personal room for notifications, shared by all of the user's tabs
+    socket.join(getUserRoom(userId));
+
+    if (trackConnection(userId, socket.id)) {
+      handleDatabaseOperation(() => broadcastPresence(io, userId, true)).catch((error) =>
+        console.error("Error broadcasting presence:", error)
+      );
+    }
 
-    socket.on("createGroup", async ({ groupData, userId }, callback) => {
-      const { name, description, avatar, admin } = groupData;
+    socket.on("createGroup", async ({ groupData = {} } = {}, callback = () => {}) => {
+      const { name, description, avatar, isPublic = false, tags = [] } = groupData;
       if (!name || !description) {
         return callback({ success: false, message: "Missing required fields" });
       }
 
+      const normalizedTags = normalizeTags(tags);
+      if (!normalizedTags) {
+        return callback({ success: false, message: "Tags must be a list of at most 5 short labels" });
+      }
+
       try {
         const result = await handleDatabaseOperation(
           async () => {
@@ -51,14 +86,23 @@ const connectToSockets = (server) => {
               name,
               description,
               avatar,
-              admin,
+              isPublic: !!isPublic,
+              tags: normalizedTags,
+              members: [userId],
+              owner: userId,
+              admins: [userId],
               joinCode: Math.random().toString(36).substring(2, 8),
             });
             await newGroup.save();
 
             const updatedUser = await User.findOneAndUpdate(
               { _id: userId },
-              { isAdmin: true, admin: true, currentGroupId: newGroup.joinCode },
+              {
+                isAdmin: true,
+                admin: true,
+                currentGroupId: newGroup.joinCode,
+                $addToSet: { groups: newGroup.joinCode },
+              },
               { new: true }
             );
             
@@ -78,69 +122,196 @@ const connectToSockets = (server) => {
       }
     });
 
-    socket.on("joinGroup", async ({ groupID, username }) => {
-      socket.join(groupID);
-      console.log(`${username} joined group ${groupID}`);
+    socket.on("joinGroup", async ({ groupID } = {}, callback = () => {}) => {
+      try {
+        const group = await handleDatabaseOperation(() => findGroupByIdentifier(groupID), null);
 
-      const result = await handleDatabaseOperation(
-        async () => {
-          const currUser = await User.findOneAndUpdate(
-            { username: username },
-            { $set: { currentGroupId: groupID } },
-            { new: true }
-          );
-
-          if (currUser) {
-            console.log(`User ${username} successfully joined group ${groupID}`);
-            return true;
-          } else {
-            console.error("User not found or failed to update groups");
-            return false;
-          }
-        },
-        false // fallback value when database is unavailable
-      );
+        if (!group) {
+          return callback({
+            success: false,
+            message: isDatabaseConnected() ? "Group not found" : "Database unavailable - cannot join group",
+          });
+        }
 
-      if (!result && isDatabaseConnected()) {
-        console.error("Failed to update user group membership in database");
-      }
+        if (!isGroupMember(group, userId)) {
+          console.warn(`${username} tried to join group ${groupID} without membership`);
+          return callback({ success: false, message: "You are not a member of this group" });
+        }
 
-      socket.to(groupID).emit("userJoined", { username, groupID });
-    });
+        // Rooms are keyed by the group's ObjectId so every client lands in the
+        // same room whether it knows the group by joinCode or by id
+        const room = getGroupRoom(group);
+        socket.join(room);
+        console.log(`${username} joined group ${groupID}`);
 
-    socket.on("sendMessage", ({ groupID, ...messageData }) => {
-      console.log(
-        `Message from ${messageData.sender} in group ${groupID}: ${messageData.message}`
-      );
+        const currUser = await handleDatabaseOperation(
+          () => User.findByIdAndUpdate(
+            userId,
+            { $set: { currentGroupId: group.joinCode } },
+            { new: true }
+          ),
+          null
+        );
+
+        if (!currUser && isDatabaseConnected()) {
+          console.error("Failed to update user group membership in database");
+        }
 
-      io.to(groupID).emit("receiveMessage", messageData);
+        socket.to(room).emit("userJoined", { username, groupID: group.joinCode });
+        return callback({
+          success: true,
+          groupId: group._id,
+          onlineUserIds: getOnlineMemberIds(group),
+        });
+      } catch (error) {
+        console.error("Error joining group:", error);
+        return callback({ success: false, message: "Server error" });
+      }
     });
 
-    socket.on("taskCompleted", async ({ taskID, groupID, username }) => {
+    // Resolve the group, check membership and run a chat action against it.
+    // Actions return { success, message } objects that go straight to the callback.
+    const runMemberAction = async (groupID, action, unavailableMessage, callback) => {
       try {
-        const currUser = await User.findOneAndUpdate(
-          { username: username, "tasks._id": taskID },
-          { $set: { "tasks.$.completed": true } },
-          { new: true }
+        const result = await handleDatabaseOperation(
+          async () => {
+            const group = await findGroupByIdentifier(groupID);
+            if (!group) {
+              return { success: false, message: "Group not found" };
+            }
+
+            if (!isGroupMember(group, userId)) {
+              return { success: false, message: "You are not a member of this group" };
+            }
+
+            return action(group);
+          },
+          null
         );
 
-        if (!currUser) {
-          return socket.emit("task-completion-error", {
-            error: "User or task not found",
-          });
+        if (!result) {
+          return callback({ success: false, message: unavailableMessage });
         }
-      } catch (e) {
-        console.error(e);
-        socket.emit("task-update-error", {
-          error: "Server error while updating task",
-        });
+
+        // HTTP status codes only matter to the REST fallback
+        const { status, ...payload } = result;
+        return callback(payload);
+      } catch (error) {
+        console.error("Error handling chat action:", error);
+        return callback({ success: false, message: "Server error" });
       }
+    };
 
-      socket.to(groupID).emit("taskCompleted", { taskID, username });
+    socket.on("sendMessage", async ({ groupID, text, replyTo, attachmentIds } = {}, callback = () => {}) => {
+      if (!text?.trim() && !attachmentIds?.length) {
+        return callback({ success: false, message: "Message text is required" });
+      }
+
+      return runMemberAction(
+        groupID,
+        async (group) => {
+          // Slash commands run on the server and answer with a system message
+          if (isChatCommand(text) && !attachmentIds?.length) {
+            return runChatCommand(io, group, userId, text);
+          }
+
+          const result = await sendMemberMessage(io, group, userId, { text, replyTo, attachmentIds });
+          if (result.success) {
+            console.log(`Message from ${result.message.sender.username} in group ${groupID}`);
+          }
+          return result;
+        },
+        "Database unavailable - message not sent",
+        callback
+      );
+    });
+
+    socket.on("editMessage", ({ groupID, messageId, text } = {}, callback = () => {}) =>
+      runMemberAction(
+        groupID,
+        (group) => editMemberMessage(io, group, userId, { messageId, text }),
+        "Database unavailable - message not edited",
+        callback
+      )
+    );
+
+    socket.on("deleteMessage", ({ groupID, messageId } = {}, callback = () => {}) =>
+      runMemberAction(
+        groupID,
+        (group) => deleteMemberMessage(io, group, userId, { messageId }),
+        "Database unavailable - message not deleted",
+        callback
+      )
+    );
+
+    socket.on("addReaction", ({ groupID, messageId, emoji } = {}, callback = () => {}) =>
+      runMemberAction(
+        groupID,
+        (group) => setMessageReaction(io, group, userId, { messageId, emoji, active: true }),
+        "Database unavailable - reaction not saved",
+        callback
+      )
+    );
+
+    socket.on("removeReaction", ({ groupID, messageId, emoji } = {}, callback = () => {}) =>
+      runMemberAction(
+        groupID,
+        (group) => setMessageReaction(io, group, userId, { messageId, emoji, active: false }),
+        "Database unavailable - reaction not removed",
+        callback
+      )
+    );
+
+    socket.on("createPoll", ({ groupID, question, options, allowMultiple, isAnonymous, closesAt } = {}, callback = () => {}) =>
+      runMemberAction(
+        groupID,
+        (group) => createPoll(io, group, userId, { question, options, allowMultiple, isAnonymous, closesAt }),
+        "Database unavailable - poll not created",
+        callback
+      )
+    );
+
+    socket.on("votePoll", ({ groupID, messageId, optionIds } = {}, callback = () => {}) =>
+      runMemberAction(
+        groupID,
+        (group) => votePoll(io, group, userId, { messageId, optionIds }),
+        "Database unavailable - vote not saved",
+        callback
+      )
+    );
+
+    socket.on("closePoll", ({ groupID, messageId } = {}, callback = () => {}) =>
+      runMemberAction(
+        groupID,
+        (group) => closePoll(io, group, userId, { messageId }),
+        "Database unavailable - poll not closed",
+        callback
+      )
+    );
+
+    // Relay typing state to the rest of the room. Only sockets that joined the
+    // room (which checked membership) can type in it; clients expire stale entries.
+    socket.on("typing", ({ groupId, isTyping } = {}) => {
+      if (!groupId || !socket.rooms.has(groupId.toString())) {
+        return;
+      }
+
+      socket.to(groupId.toString()).emit("typing", {
+        groupId: groupId.toString(),
+        userId,
+        username,
+        isTyping: !!isTyping,
+      });
     });
 
     socket.on("disconnect", () => {
       console.log("A User Disconnected", socket.id);
+
+      if (trackDisconnect(userId, socket.id)) {
+        handleDatabaseOperation(() => broadcastPresence(io, userId, false)).catch((error) =>
+          console.error("Error broadcasting presence:", error)
+        );
+      }
     });
   });
 
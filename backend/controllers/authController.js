@@ -259,7 +259,6 @@ const authController = {
           createdAt: user.createdAt,
           updatedAt: user.updatedAt,
           isActive: user.isActive,
-          tasks: user.tasks,
           checkinHistory: user.checkinHistory,
         },
       });
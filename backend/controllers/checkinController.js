@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+import Checkin from '../models/Checkin.js';
+import { findGroupByIdentifier, isGroupMember } from '../utils/groups.js';
+import { getDayKey, dayKeyToDate, isValidDayKey, addDays } from '../utils/dates.js';
+import { formatCheckin, recordCheckin } from '../services/checkinService.js';
+
+const MAX_HISTORY_DAYS = 90;
+
+// Check in for today (re-checking in the same day updates the existing entry)
+export const createCheckin = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { status = 'completed', message = '', proof = null, proofUploadId, goalId } = req.body;
+    const userId = req.user.id;
+
+    const group = await findGroupByIdentifier(groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group'
+      });
+    }
+
+    const result = await recordCheckin(req.app.get('io'), group, userId, {
+      status,
+      message,
+      proof,
+      proofUploadId,
+      goalId
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(result.isNewCheckin ? 201 : 200).json({
+      success: true,
+      message: result.isNewCheckin ? 'Checked in successfully' : 'Check-in updated',
+      checkin: formatCheckin(result.checkin)
+    });
+  } catch (error) {
+    console.error('Error in createCheckin:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already checked in today'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Get check-ins grouped per day, defaulting to the last 7 days
+export const getCheckinHistory = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { userId: filterUserId } = req.query;
+    const userId = req.user.id;
+
+    if ((req.query.from && !isValidDayKey(req.query.from)) || (req.query.to && !isValidDayKey(req.query.to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be YYYY-MM-DD dates'
+      });
+    }
+
+    if (filterUserId && !mongoose.Types.ObjectId.isValid(filterUserId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const group = await findGroupByIdentifier(groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group'
+      });
+    }
+
+    const to = req.query.to || getDayKey(new Date(), group.timezone || 'UTC');
+    const from = req.query.from || addDays(to, -6);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must not be after to'
+      });
+    }
+
+    if (dayKeyToDate(to) - dayKeyToDate(from) > MAX_HISTORY_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `History is limited to ${MAX_HISTORY_DAYS} days per request`
+      });
+    }
+
+    const query = {
+      group: group._id,
+      date: { $gte: dayKeyToDate(from), $lte: dayKeyToDate(to) }
+    };
+    if (filterUserId) query.user = filterUserId;
+
+    const checkins = await Checkin.find(query)
+      .sort({ date: -1, createdAt: 1 })
+      .populate('user', 'username avatar');
+
+    const byDay = new Map();
+    checkins.forEach(checkin => {
+      const key = getDayKey(checkin.date);
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(formatCheckin(checkin));
+    });
+
+    // Every day in the range is listed, newest first, even without check-ins
+    const days = [];
+    for (let day = to; day >= from; day = addDays(day, -1)) {
+      const dayCheckins = byDay.get(day) || [];
+      days.push({
+        date: day,
+        completedCount: dayCheckins.filter(c => c.status === 'completed').length,
+        checkins: dayCheckins
+      });
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      timezone: group.timezone || 'UTC',
+      memberCount: group.members.length,
+      streakCount: group.streakCount,
+      days
+    });
+  } catch (error) {
+    console.error('Error in getCheckinHistory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,5 +1,20 @@
 import GeminiService from "../services/geminiService.js";
 import User from "../models/User.js";
+import Task from "../models/Task.js";
+import Group from "../models/Group.js";
+import { postGroupMessage } from "../services/messageService.js";
+import { getMemberWorkloads } from "../services/workloadService.js";
+import { findGroupByIdentifier, isGroupMember, isGroupAdmin } from "../utils/groups.js";
+import {
+  formatTask,
+  getUserTasksQuery,
+  populateSubtaskCompleters,
+  isTaskOwner,
+  findTaskForUser,
+  canCompleteSubtask,
+  updateTaskProgress,
+  notifyHeaderAssignment,
+} from "../services/taskService.js";
 
 const geminiService = new GeminiService();
 
@@ -31,16 +46,6 @@ const geminiController = {
         groupMembers || []
       );
 
-      // **NEW: Ensure the generated task has completed field set to false**
-      const user = await User.findById(userId);
-      if (user && user.tasks.length > 0) {
-        const lastTask = user.tasks[user.tasks.length - 1];
-        if (!lastTask.hasOwnProperty("completed")) {
-          lastTask.completed = false;
-          await user.save();
-        }
-      }
-
       res.json({
         success: true,
         message: "Task with roadmap generated successfully",
@@ -104,7 +109,6 @@ const geminiController = {
       let currentGroupId = null;
       if (isGroupTask && user.currentGroupId) {
         // user.currentGroupId is actually a joinCode, we need to get the actual ObjectId
-        const Group = (await import('../models/Group.js')).default;
         const group = await Group.findOne({ joinCode: user.currentGroupId });
         if (group) {
           currentGroupId = group._id;
@@ -126,18 +130,20 @@ const geminiController = {
         aiGenerated: false,
         overallProgress,
         completed: false,
-        UserId: userId,
+        owner: userId,
         milestones: [], // Manual tasks can have milestones added later
         isGroupTask: !!isGroupTask,
         groupId: currentGroupId,
         taskHeaders: isGroupTask ? (taskHeaders || []) : undefined,
       };
 
-      user.tasks.push(newTask);
-      await user.save();
+      const createdTask = await Task.create(newTask);
 
-      // Get the created task (last one in the array)
-      const createdTask = user.tasks[user.tasks.length - 1];
+      if (createdTask.isGroupTask) {
+        for (const header of createdTask.taskHeaders || []) {
+          await notifyHeaderAssignment(req.app.get('io'), createdTask, header, user);
+        }
+      }
 
       res.json({
         success: true,
@@ -169,24 +175,17 @@ const geminiController = {
         });
       }
 
-      const user = await User.findById(userId);
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
-        });
-      }
-
-      const tasks = user.tasks || [];
+      // Shared tasks of every group the user is in are listed alongside their own
+      const groupIds = await Group.distinct("_id", { members: userId });
+      const tasks = await populateSubtaskCompleters(
+        Task.find(getUserTasksQuery(userId, groupIds)).sort({ createdAt: 1 })
+      );
 
       res.json({
         success: true,
         message: "Tasks fetched successfully",
         data: {
-          tasks: tasks.map(task => ({
-            ...task.toObject(),
-            id: task._id,
-          })),
+          tasks: tasks.map(formatTask),
         },
       });
     } catch (error) {
@@ -212,24 +211,22 @@ const geminiController = {
         });
       }
 
-      const user = await User.findById(userId);
-      if (!user) {
+      const task = await findTaskForUser(taskId, userId);
+      if (!task) {
         return res.status(404).json({
           success: false,
-          message: "User not found",
+          message: "Task not found",
         });
       }
 
-      const taskIndex = user.tasks.findIndex(task => task._id.toString() === taskId);
-      if (taskIndex === -1) {
-        return res.status(404).json({
+      if (!isTaskOwner(task, userId)) {
+        return res.status(403).json({
           success: false,
-          message: "Task not found",
+          message: "Only the task owner can delete this task",
         });
       }
 
-      user.tasks.splice(taskIndex, 1);
-      await user.save();
+      await Task.deleteOne({ _id: task._id });
 
       res.json({
         success: true,
@@ -259,15 +256,7 @@ const geminiController = {
         });
       }
 
-      const user = await User.findById(userId);
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
-        });
-      }
-
-      const task = user.tasks.id(taskId);
+      const task = await findTaskForUser(taskId, userId);
       if (!task) {
         return res.status(404).json({
           success: false,
@@ -280,16 +269,14 @@ const geminiController = {
         task.roadmapItems[itemIdx].completed = completed;
 
         // Recalculate overall progress
-        const completedItems = task.roadmapItems.filter(item => item.completed).length;
-        task.overallProgress = Math.round((completedItems / task.roadmapItems.length) * 100);
-        task.completed = task.overallProgress === 100;
+        updateTaskProgress(task);
 
-        await user.save();
+        await task.save();
 
         res.json({
           success: true,
           message: "Roadmap item updated successfully",
-          data: { task }
+          data: { task: formatTask(task) }
         });
       } else {
         res.status(404).json({
@@ -360,97 +347,6 @@ const geminiController = {
     }
   },
 
-  getTaskNotifications: async (req, res) => {
-    try {
-      const userId = req.user?.id;
-
-      if (!userId) {
-        return res.status(401).json({
-          success: false,
-          message: "User authentication required",
-        });
-      }
-
-      // Get all users to find tasks assigned to current user
-      const allUsers = await User.find({});
-      const notifications = [];
-
-      allUsers.forEach(userDoc => {
-        if (userDoc.tasks) {
-          userDoc.tasks.forEach(task => {
-            // Check if task has headers assigned to current user
-            if (task.isGroupTask && task.taskHeaders) {
-              task.taskHeaders.forEach((header, headerIndex) => {
-                if (header.assignedTo && header.assignedTo.toString() === userId) {
-                  // Check if user has any incomplete subtasks
-                  const incompleteSubtasks = header.subtasks ? 
-                    header.subtasks.filter(subtask => !subtask.completed).length : 0;
-                  
-                  if (incompleteSubtasks > 0) {
-                    notifications.push({
-                      _id: `${task._id}-${headerIndex}`,
-                      type: 'assignment',
-                      title: 'New Task Assignment',
-                      message: `You have been assigned to "${header.title}" with ${incompleteSubtasks} pending subtasks.`,
-                      taskTitle: task.title,
-                      taskId: task._id,
-                      headerIndex: headerIndex,
-                      actionRequired: true,
-                      createdAt: task.createdAt || new Date()
-                    });
-                  }
-                }
-              });
-            }
-          });
-        }
-      });
-
-      // Sort by creation date, newest first
-      notifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-      res.json({
-        success: true,
-        notifications: notifications.slice(0, 10) // Limit to 10 notifications
-      });
-    } catch (error) {
-      console.error("Get task notifications error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to get notifications",
-        error: error.message,
-      });
-    }
-  },
-
-  markNotificationAsRead: async (req, res) => {
-    try {
-      const { notificationId } = req.params;
-      const userId = req.user?.id;
-
-      if (!userId) {
-        return res.status(401).json({
-          success: false,
-          message: "User authentication required",
-        });
-      }
-
-      // For now, we'll just return success since notifications are dynamically generated
-      // In a real app, you'd store notification read status in the database
-      res.json({
-        success: true,
-        message: "Notification marked as read"
-      });
-    } catch (error) {
-      console.error("Mark notification as read error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to mark notification as read",
-        error: error.message,
-      });
-    }
-  },
-
   getTaskAnalytics: async (req, res) => {
     try {
       const userId = req.user?.id;
@@ -462,15 +358,7 @@ const geminiController = {
         });
       }
 
-      const user = await User.findById(userId);
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
-        });
-      }
-
-      const tasks = user.tasks || [];
+      const tasks = await Task.find({ owner: userId }).sort({ createdAt: 1 });
 
       // Calculate analytics
       const totalTasks = tasks.length;
@@ -588,15 +476,7 @@ const geminiController = {
         });
       }
 
-      const user = await User.findById(userId);
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
-        });
-      }
-
-      const task = user.tasks.id(taskId);
+      const task = await findTaskForUser(taskId, userId);
       if (!task) {
         return res.status(404).json({
           success: false,
@@ -616,26 +496,40 @@ const geminiController = {
 
       if (headerIdx >= 0 && headerIdx < task.taskHeaders.length &&
           subtaskIdx >= 0 && subtaskIdx < task.taskHeaders[headerIdx].subtasks.length) {
-        
-        task.taskHeaders[headerIdx].subtasks[subtaskIdx].completed = completed;
+        const header = task.taskHeaders[headerIdx];
+        const group = task.groupId ? await Group.findById(task.groupId) : null;
+
+        if (!canCompleteSubtask(task, header, userId, group)) {
+          return res.status(403).json({
+            success: false,
+            message: "Only the assigned member or a group admin can update this subtask",
+          });
+        }
+
+        const subtask = header.subtasks[subtaskIdx];
+        const wasCompleted = task.completed;
+        subtask.completed = !!completed;
+        subtask.completedBy = subtask.completed ? userId : undefined;
+        subtask.completedAt = subtask.completed ? new Date() : undefined;
 
         // Calculate overall progress
-        const totalSubtasks = task.taskHeaders.reduce((total, header) => 
-          total + header.subtasks.length, 0
-        );
-        const completedSubtasks = task.taskHeaders.reduce((total, header) => 
-          total + header.subtasks.filter(subtask => subtask.completed).length, 0
-        );
-        
-        task.overallProgress = Math.round((completedSubtasks / totalSubtasks) * 100);
-        task.completed = task.overallProgress === 100;
+        updateTaskProgress(task);
+
+        await task.save();
+        await populateSubtaskCompleters(task);
 
-        await user.save();
+        // Celebrate the finished task in the group chat, where members can react to it
+        if (group && task.completed && !wasCompleted) {
+          await postGroupMessage(req.app.get('io'), group, {
+            text: `✅ ${subtask.completedBy?.username || "A member"} completed the last step of "${task.title}"`,
+            messageType: "system",
+          });
+        }
 
         res.json({
           success: true,
           message: "Subtask updated successfully",
-          data: { task }
+          data: { task: formatTask(task) }
         });
       } else {
         res.status(404).json({
@@ -674,7 +568,7 @@ const geminiController = {
         });
       }
 
-      const task = user.tasks.id(taskId);
+      const task = await findTaskForUser(taskId, userId);
       if (!task) {
         return res.status(404).json({
           success: false,
@@ -689,9 +583,28 @@ const geminiController = {
         });
       }
 
+      // Sections are handed out by whoever created the task or a group admin,
+      // and only to members of the task's group
+      const group = task.groupId ? await Group.findById(task.groupId) : null;
+      if (!isTaskOwner(task, userId) && !isGroupAdmin(group, userId)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the task owner or a group admin can assign sections",
+        });
+      }
+
+      if (assigneeId && group && !isGroupMember(group, assigneeId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Sections can only be assigned to group members",
+        });
+      }
+
       const headerIdx = parseInt(headerIndex);
 
+      let previousAssignee = null;
       if (type === 'header' && headerIdx >= 0 && headerIdx < task.taskHeaders.length) {
+        previousAssignee = task.taskHeaders[headerIdx].assignedTo?.toString() || null;
         task.taskHeaders[headerIdx].assignedTo = assigneeId || null;
       } else {
         return res.status(400).json({
@@ -700,12 +613,17 @@ const geminiController = {
         });
       }
 
-      await user.save();
+      await task.save();
+      await populateSubtaskCompleters(task);
+
+      if (assigneeId && assigneeId.toString() !== previousAssignee) {
+        await notifyHeaderAssignment(req.app.get('io'), task, task.taskHeaders[headerIdx], user);
+      }
 
       res.json({
         success: true,
         message: "Task assigned successfully",
-        data: { task }
+        data: { task: formatTask(task) }
       });
     } catch (error) {
       console.error("Assign group task error:", error);
@@ -728,16 +646,16 @@ const geminiController = {
         });
       }
 
-      const user = await User.findById(userId);
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
-        });
+      // Defaults to the user's current group; pass ?groupId for any other group they belong to
+      let groupIdentifier = req.query.groupId;
+      if (!groupIdentifier) {
+        const user = await User.findById(userId).select("currentGroupId groups");
+        groupIdentifier = user?.currentGroupId || user?.groups?.[0];
       }
 
-      // Check if user is in any group
-      if (!user.currentGroupId && (!user.groups || user.groups.length === 0)) {
+      const group = groupIdentifier ? await findGroupByIdentifier(groupIdentifier) : null;
+
+      if (!group) {
         return res.status(404).json({
           success: false,
           message: "User is not in any group",
@@ -745,23 +663,28 @@ const geminiController = {
         });
       }
 
-      // Get all users in the same group
-      const groupId = user.currentGroupId || user.groups[0];
-      const groupUsers = await User.find({ 
+      if (!isGroupMember(group, userId)) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not a member of this group",
+        });
+      }
+
+      // Tasks owned by group members plus the group's shared tasks
+      const groupUsers = await User.find({ _id: { $in: group.members } });
+      const memberIds = groupUsers.map(member => member._id);
+      const allTasks = await Task.find({
         $or: [
-          { currentGroupId: groupId },
-          { groups: groupId }
+          { owner: { $in: memberIds } },
+          { groupId: group._id }
         ]
       });
 
-      // Aggregate all tasks from group members
-      let allTasks = [];
       let totalStreak = 0;
       let memberStats = [];
 
       groupUsers.forEach(member => {
-        const memberTasks = member.tasks || [];
-        allTasks = allTasks.concat(memberTasks);
+        const memberTasks = allTasks.filter(task => task.owner.equals(member._id));
         totalStreak += member.streak || 0;
         
         memberStats.push({
@@ -873,7 +796,8 @@ const geminiController = {
       res.json({
         success: true,
         data: {
-          groupId,
+          groupId: group.joinCode,
+          groupName: group.name,
           totalMembers: groupUsers.length,
           totalTasks,
           completedTasks,
@@ -912,9 +836,7 @@ const geminiController = {
       });
     }
   },
-  // Add this new method to the geminiController object
-
-  migrateTasksCompletedField: async (req, res) => {
+  getGroupMemberWorkloads: async (req, res) => {
     try {
       const userId = req.user?.id;
 
@@ -925,39 +847,43 @@ const geminiController = {
         });
       }
 
-      const user = await User.findById(userId);
-      if (!user) {
+      // Defaults to the user's current group, like task creation does
+      let groupIdentifier = req.query.groupId;
+      if (!groupIdentifier) {
+        const user = await User.findById(userId).select("currentGroupId");
+        groupIdentifier = user?.currentGroupId;
+      }
+
+      const group = groupIdentifier ? await findGroupByIdentifier(groupIdentifier) : null;
+
+      if (!group) {
         return res.status(404).json({
           success: false,
-          message: "User not found",
+          message: "User is not in any group",
+          code: "NO_GROUP"
         });
       }
 
-      let updatedCount = 0;
-
-      // Update existing tasks that don't have the completed field
-      user.tasks.forEach((task) => {
-        if (!task.hasOwnProperty("completed")) {
-          task.completed = task.overallProgress === 100;
-          updatedCount++;
-        }
-      });
-
-      if (updatedCount > 0) {
-        await user.save();
+      if (!isGroupMember(group, userId)) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not a member of this group",
+        });
       }
 
+      await group.populate("members", "username avatar");
+      const memberWorkloads = await getMemberWorkloads(group);
+
       res.json({
         success: true,
-        message: `Updated ${updatedCount} tasks with completed field`,
-        data: { updatedCount },
+        groupId: group._id,
+        memberWorkloads,
       });
     } catch (error) {
-      console.error("Migration error:", error);
-
+      console.error("Get member workloads error:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to migrate tasks",
+        message: "Failed to fetch member workloads",
         error: error.message,
       });
     }
@@ -0,0 +1,457 @@
+import mongoose from 'mongoose';
+import Goal from '../models/Goal.js';
+import Group from '../models/Group.js';
+import Task from '../models/Task.js';
+import { findGroupByIdentifier, isGroupMember, isGroupAdmin } from '../utils/groups.js';
+import { postGroupMessage } from '../services/messageService.js';
+import { formatTask } from '../services/taskService.js';
+
+const PRIORITIES = Goal.schema.path('priority').enumValues;
+const CHECKIN_FREQUENCIES = Goal.schema.path('checkinFrequency').enumValues;
+
+// Allowed status changes; cancelled goals are final, completed ones can be reopened
+const STATUS_TRANSITIONS = {
+  active: ['paused', 'completed', 'cancelled'],
+  paused: ['active', 'cancelled'],
+  completed: ['active'],
+  cancelled: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatGoal = (goal, group) => ({
+  id: goal._id,
+  title: goal.title,
+  description: goal.description,
+  deadline: goal.deadline,
+  // Whole days left, negative once overdue
+  daysUntilDeadline: Math.ceil((new Date(goal.deadline) - Date.now()) / DAY_MS),
+  owner: goal.owner?.username
+    ? { id: goal.owner._id, username: goal.owner.username, avatar: goal.owner.avatar }
+    : { id: goal.owner },
+  groupId: goal.groupId,
+  status: goal.status,
+  priority: goal.priority,
+  checkinFrequency: goal.checkinFrequency,
+  isPrimary: !!group?.goal && group.goal.toString() === goal._id.toString(),
+  createdAt: goal.createdAt,
+  updatedAt: goal.updatedAt
+});
+
+// Group.goal points at the group's headline goal: kept while active, otherwise
+// replaced by the active goal with the nearest deadline
+const syncPrimaryGoal = async (group) => {
+  if (group.goal) {
+    const current = await Goal.findOne({ _id: group.goal, status: 'active' });
+    if (current) return group;
+  }
+
+  const next = await Goal.findOne({ groupId: group._id, status: 'active' }).sort({ deadline: 1 });
+  group.goal = next ? next._id : null;
+  await Group.updateOne({ _id: group._id }, { goal: group.goal });
+  return group;
+};
+
+// Resolve the group and goal from the route, answering 4xx itself when they don't check out
+const loadGroupGoal = async (req, res) => {
+  const { groupId, goalId } = req.params;
+  const userId = req.user.id;
+
+  if (goalId && !mongoose.Types.ObjectId.isValid(goalId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid goal ID'
+    });
+    return null;
+  }
+
+  const group = await findGroupByIdentifier(groupId);
+
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found'
+    });
+    return null;
+  }
+
+  if (!isGroupMember(group, userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group'
+    });
+    return null;
+  }
+
+  if (!goalId) {
+    return { group };
+  }
+
+  const goal = await Goal.findOne({ _id: goalId, groupId: group._id }).populate('owner', 'username avatar');
+
+  if (!goal) {
+    res.status(404).json({
+      success: false,
+      message: 'Goal not found'
+    });
+    return null;
+  }
+
+  return { group, goal };
+};
+
+const canManageGoal = (group, goal, userId) =>
+  (goal.owner._id || goal.owner).toString() === userId.toString() || isGroupAdmin(group, userId);
+
+// Validate editable goal fields; returns an error message or the sanitized update
+const parseGoalFields = (body, { requireAll = false } = {}) => {
+  const { title, description, deadline, priority, checkinFrequency } = body;
+  const update = {};
+
+  if (title !== undefined || requireAll) {
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > 200) {
+      return { error: 'Title is required (maximum 200 characters)' };
+    }
+    update.title = title.trim();
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== 'string' || description.length > 1000) {
+      return { error: 'Description must be at most 1000 characters' };
+    }
+    update.description = description;
+  }
+
+  if (deadline !== undefined || requireAll) {
+    const date = new Date(deadline);
+    if (!deadline || isNaN(date.getTime())) {
+      return { error: 'A valid deadline is required' };
+    }
+    update.deadline = date;
+  }
+
+  if (priority !== undefined) {
+    if (!PRIORITIES.includes(priority)) {
+      return { error: `Priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    update.priority = priority;
+  }
+
+  if (checkinFrequency !== undefined) {
+    if (!CHECKIN_FREQUENCIES.includes(checkinFrequency)) {
+      return { error: `Check-in frequency must be one of: ${CHECKIN_FREQUENCIES.join(', ')}` };
+    }
+    update.checkinFrequency = checkinFrequency;
+  }
+
+  return { update };
+};
+
+// List a group's goals, optionally filtered by status
+export const getGoals = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    const context = await loadGroupGoal(req, res);
+    if (!context) return;
+    const { group } = context;
+
+    const query = { groupId: group._id };
+    if (status) query.status = status;
+
+    const goals = await Goal.find(query)
+      .sort({ deadline: 1 })
+      .populate('owner', 'username avatar');
+
+    res.json({
+      success: true,
+      goals: goals.map(goal => formatGoal(goal, group))
+    });
+  } catch (error) {
+    console.error('Error in getGoals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const createGoal = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { update, error } = parseGoalFields(req.body, { requireAll: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (update.deadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deadline must be in the future'
+      });
+    }
+
+    const context = await loadGroupGoal(req, res);
+    if (!context) return;
+    const { group } = context;
+
+    const goal = await Goal.create({
+      ...update,
+      owner: userId,
+      groupId: group._id
+    });
+    await goal.populate('owner', 'username avatar');
+    await syncPrimaryGoal(group);
+
+    await postGroupMessage(req.app.get('io'), group, {
+      senderId: userId,
+      text: `🎯 New goal: ${goal.title} (due ${goal.deadline.toDateString()})`,
+      messageType: 'goal'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      goal: formatGoal(goal, group)
+    });
+  } catch (error) {
+    console.error('Error in createGoal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Get one goal with the tasks linked to it
+export const getGoal = async (req, res) => {
+  try {
+    const context = await loadGroupGoal(req, res);
+    if (!context) return;
+    const { group, goal } = context;
+
+    const linkedTasks = await Task.find({ goalId: goal._id })
+      .sort({ createdAt: 1 })
+      .populate('owner', 'username avatar');
+    const tasks = linkedTasks.map(task => ({
+      id: task._id,
+      title: task.title,
+      completed: task.completed,
+      overallProgress: task.overallProgress,
+      isGroupTask: task.isGroupTask,
+      owner: task.owner
+        ? { id: task.owner._id, username: task.owner.username, avatar: task.owner.avatar }
+        : null
+    }));
+
+    res.json({
+      success: true,
+      goal: {
+        ...formatGoal(goal, group),
+        tasks
+      }
+    });
+  } catch (error) {
+    console.error('Error in getGoal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const updateGoal = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { update, error } = parseGoalFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const context = await loadGroupGoal(req, res);
+    if (!context) return;
+    const { group, goal } = context;
+
+    if (!canManageGoal(group, goal, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the goal owner or a group admin can edit this goal'
+      });
+    }
+
+    // A moved deadline gets a fresh reminder
+    if (update.deadline && update.deadline.getTime() !== goal.deadline.getTime()) {
+      update.deadlineReminderSentAt = null;
+    }
+
+    goal.set(update);
+    await goal.save();
+
+    res.json({
+      success: true,
+      message: 'Goal updated successfully',
+      goal: formatGoal(goal, group)
+    });
+  } catch (error) {
+    console.error('Error in updateGoal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const updateGoalStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const userId = req.user.id;
+
+    if (!STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    const context = await loadGroupGoal(req, res);
+    if (!context) return;
+    const { group, goal } = context;
+
+    if (!canManageGoal(group, goal, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the goal owner or a group admin can change the goal status'
+      });
+    }
+
+    if (!STATUS_TRANSITIONS[goal.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a ${goal.status} goal to ${status}`
+      });
+    }
+
+    goal.status = status;
+    await goal.save();
+    await syncPrimaryGoal(group);
+
+    if (status === 'completed') {
+      await postGroupMessage(req.app.get('io'), group, {
+        senderId: userId,
+        text: `🏆 Goal completed: ${goal.title}`,
+        messageType: 'goal'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Goal marked as ${status}`,
+      goal: formatGoal(goal, group)
+    });
+  } catch (error) {
+    console.error('Error in updateGoalStatus:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const deleteGoal = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const context = await loadGroupGoal(req, res);
+    if (!context) return;
+    const { group, goal } = context;
+
+    if (!canManageGoal(group, goal, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the goal owner or a group admin can delete this goal'
+      });
+    }
+
+    await Goal.deleteOne({ _id: goal._id });
+    await Task.updateMany({ goalId: goal._id }, { $unset: { goalId: '' } });
+    await syncPrimaryGoal(group);
+
+    res.json({
+      success: true,
+      message: 'Goal deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteGoal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Link one of the current user's tasks to a goal (or unlink it with DELETE)
+const setTaskGoal = (link) => async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const userId = req.user.id;
+
+    const context = await loadGroupGoal(req, res);
+    if (!context) return;
+    const { group, goal } = context;
+
+    const task = mongoose.Types.ObjectId.isValid(taskId)
+      ? await Task.findOne({ _id: taskId, owner: userId })
+      : null;
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (task.groupId && !task.groupId.equals(group._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task belongs to a different group'
+      });
+    }
+
+    if (link) {
+      task.goalId = goal._id;
+    } else if (task.goalId?.equals(goal._id)) {
+      task.goalId = undefined;
+    }
+    await task.save();
+
+    res.json({
+      success: true,
+      message: link ? 'Task linked to goal' : 'Task unlinked from goal',
+      task: formatTask(task)
+    });
+  } catch (error) {
+    console.error(`Error in ${link ? 'linkTaskToGoal' : 'unlinkTaskFromGoal'}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const linkTaskToGoal = setTaskGoal(true);
+export const unlinkTaskFromGoal = setTaskGoal(false);
@@ -1,6 +1,83 @@
 import Group from '../models/Group.js';
 import User from '../models/User.js';
+import Message from '../models/Message.js';
 import mongoose from 'mongoose';
+import { notifyUser, notifyUsers, getUserRoom } from '../services/notificationService.js';
+import { addMemberToGroup } from '../services/membershipService.js';
+import { postGroupMessage } from '../services/messageService.js';
+import { getUnreadCounts } from '../services/readStateService.js';
+import {
+  findGroupByIdentifier,
+  isGroupMember,
+  isGroupOwner,
+  isGroupAdmin,
+  getMemberRole,
+  outranksMember,
+  isBannedFromGroup,
+  hasPendingJoinRequest,
+  getActiveMute,
+  normalizeTags,
+  MAX_GROUP_TAGS,
+  getGroupRoom
+} from '../utils/groups.js';
+
+// Members with their role plus the viewer's own role, for group responses.
+// Expects `members` to be populated.
+const formatMembership = (group, userId) => ({
+  owner: group.owner,
+  admins: group.admins,
+  members: group.members.map(member => ({
+    _id: member._id,
+    username: member.username,
+    email: member.email,
+    avatar: member.avatar,
+    role: getMemberRole(group, member._id),
+    mutedUntil: getActiveMute(group, member._id)?.until || null
+  })),
+  privacy: group.privacy,
+  role: getMemberRole(group, userId),
+  isAdmin: isGroupAdmin(group, userId)
+});
+
+// Queue a join request for an approval-only group and let its admins know
+const requestToJoin = async (req, res, group) => {
+  const userId = req.user.id;
+  const pendingResponse = {
+    success: true,
+    pending: true,
+    message: `Your request to join "${group.name}" is waiting for an admin to approve it`,
+    group: {
+      id: group._id,
+      name: group.name,
+      avatar: group.avatar
+    }
+  };
+
+  if (hasPendingJoinRequest(group, userId)) {
+    return res.status(202).json(pendingResponse);
+  }
+
+  const { message = '' } = req.body;
+  if (typeof message !== 'string' || message.length > 200) {
+    return res.status(400).json({
+      success: false,
+      message: 'Message must be at most 200 characters'
+    });
+  }
+
+  group.joinRequests.push({ user: userId, message: message.trim() });
+  await group.save();
+
+  const requester = await User.findById(userId).select('username');
+  await notifyUsers(req.app.get('io'), group.admins, {
+    type: 'join_request',
+    title: 'New join request',
+    message: `${requester?.username || 'Someone'} asked to join "${group.name}".`,
+    groupId: group._id
+  });
+
+  res.status(202).json(pendingResponse);
+};
 
 // Create or join a group
 export const createOrJoinGroup = async (req, res) => {
@@ -12,30 +89,12 @@ export const createOrJoinGroup = async (req, res) => {
     let isNewGroup = false;
 
     if (groupId) {
-      // Try to find existing group by joinCode or name
-      let query;
-      
-      // Check if groupId is a valid ObjectId format
-      if (mongoose.Types.ObjectId.isValid(groupId)) {
-        // If it's a valid ObjectId, search by both _id and joinCode
-        query = {
-          $or: [
-            { _id: groupId },
-            { joinCode: groupId },
-            { name: groupId }
-          ]
-        };
-      } else {
-        // If it's not a valid ObjectId, search only by joinCode and name
-        query = {
-          $or: [
-            { joinCode: groupId },
-            { name: groupId }
-          ]
-        };
+      // Existing groups are joined with their join code (or an invite link);
+      // public groups can also be joined from the directory by id
+      group = await Group.findOne({ joinCode: groupId });
+      if (!group && mongoose.Types.ObjectId.isValid(groupId)) {
+        group = await Group.findOne({ _id: groupId, isPublic: true });
       }
-      
-      group = await Group.findOne(query);
 
       if (!group) {
         return res.status(404).json({
@@ -43,6 +102,28 @@ export const createOrJoinGroup = async (req, res) => {
           message: 'Group not found. Please check the Group ID.'
         });
       }
+
+      if (isBannedFromGroup(group, userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You have been banned from this group'
+        });
+      }
+
+      // Private groups: the join code alone doesn't let newcomers in
+      if (!isGroupMember(group, userId)) {
+        if (group.privacy === 'invite_only') {
+          return res.status(403).json({
+            success: false,
+            message: 'This group is invite-only. Ask an admin for an invite link.',
+            code: 'INVITE_ONLY'
+          });
+        }
+
+        if (group.privacy === 'approval') {
+          return requestToJoin(req, res, group);
+        }
+      }
     } else if (groupName) {
       // Create new group
       const joinCode = Date.now().toString() + Math.random().toString(36).substr(2, 5);
@@ -51,6 +132,7 @@ export const createOrJoinGroup = async (req, res) => {
         name: groupName,
         joinCode: joinCode,
         members: [userId],
+        owner: userId,
         admins: [userId]
       });
 
@@ -63,24 +145,7 @@ export const createOrJoinGroup = async (req, res) => {
       });
     }
 
-    // Convert userId to ObjectId for comparison
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-
-    // Add user to group if not already a member
-    if (!group.members.some(memberId => memberId.equals(userObjectId))) {
-      group.members.push(userObjectId);
-      await group.save();
-    }
-
-    // Update user's current group
-    const updatedUser = await User.findByIdAndUpdate(
-      userId, 
-      {
-        currentGroupId: group.joinCode,
-        $addToSet: { groups: group.joinCode }
-      },
-      { new: true }
-    );
+    await addMemberToGroup(req.app.get('io'), group, userId);
 
     res.json({
       success: true,
@@ -90,7 +155,8 @@ export const createOrJoinGroup = async (req, res) => {
         avatar: group.avatar || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDgiIGhlaWdodD0iNDgiIHZpZXdCb3g9IjAgMCA0OCA0OCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjQ4IiBoZWlnaHQ9IjQ4IiByeD0iMjQiIGZpbGw9IiM2YjcyODAiLz4KPHR4dCB4PSI1MCUiIHk9IjUwJSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0id2hpdGUiIGZvbnQtc2l6ZT0iMjAiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiI+RzwvdHh0Pgo8L3N2Zz4K',
         joinCode: group.joinCode,
         memberCount: group.members.length,
-        isAdmin: group.admins.some(adminId => adminId.equals(userObjectId))
+        role: getMemberRole(group, userId),
+        isAdmin: isGroupAdmin(group, userId)
       },
       isNewGroup
     });
@@ -107,7 +173,7 @@ export const createOrJoinGroup = async (req, res) => {
 export const updateGroup = async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { name, avatar, description } = req.body;
+    const { name, avatar, description, timezone, streakQuorum, privacy, isPublic, tags } = req.body;
     const userId = req.user.id;
 
     let group;
@@ -136,7 +202,6 @@ export const updateGroup = async (req, res) => {
     // Convert userId to ObjectId for comparison
     const userObjectId = new mongoose.Types.ObjectId(userId);
 
-    // Check if user is admin or member
     if (!group.members.some(memberId => memberId.equals(userObjectId))) {
       return res.status(403).json({
         success: false,
@@ -144,6 +209,13 @@ export const updateGroup = async (req, res) => {
       });
     }
 
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can edit group details'
+      });
+    }
+
     // Update group details
     const updateData = {};
     if (name && name.trim()) updateData.name = name.trim();
@@ -160,6 +232,51 @@ export const updateGroup = async (req, res) => {
       }
     }
 
+    // Streak settings: the day boundary timezone and the share of members that must check in
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        updateData.timezone = timezone;
+      } catch {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid timezone. Use an IANA name such as "Europe/Berlin".'
+        });
+      }
+    }
+    if (streakQuorum !== undefined) {
+      const quorum = Number(streakQuorum);
+      if (!(quorum > 0 && quorum <= 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Streak quorum must be a fraction between 0 and 1'
+        });
+      }
+      updateData.streakQuorum = quorum;
+    }
+    if (privacy !== undefined) {
+      if (!Group.schema.path('privacy').enumValues.includes(privacy)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Privacy must be one of: open, approval, invite_only'
+        });
+      }
+      updateData.privacy = privacy;
+    }
+    if (isPublic !== undefined) {
+      updateData.isPublic = !!isPublic;
+    }
+    if (tags !== undefined) {
+      const normalizedTags = normalizeTags(tags);
+      if (!normalizedTags) {
+        return res.status(400).json({
+          success: false,
+          message: `Tags must be a list of at most ${MAX_GROUP_TAGS} labels of up to 30 characters`
+        });
+      }
+      updateData.tags = normalizedTags;
+    }
+
     const updatedGroup = await Group.findByIdAndUpdate(
       group._id,
       updateData,
@@ -175,7 +292,14 @@ export const updateGroup = async (req, res) => {
         description: updatedGroup.description,
         joinCode: updatedGroup.joinCode,
         memberCount: updatedGroup.members.length,
-        isAdmin: updatedGroup.admins.some(adminId => adminId.equals(userObjectId))
+        streakCount: updatedGroup.streakCount,
+        timezone: updatedGroup.timezone,
+        streakQuorum: updatedGroup.streakQuorum,
+        privacy: updatedGroup.privacy,
+        isPublic: updatedGroup.isPublic,
+        tags: updatedGroup.tags,
+        role: getMemberRole(updatedGroup, userId),
+        isAdmin: isGroupAdmin(updatedGroup, userId)
       }
     });
   } catch (error) {
@@ -228,20 +352,21 @@ export const leaveGroup = async (req, res) => {
     // Remove user from group
     group.members = group.members.filter(memberId => !memberId.equals(userObjectId));
     
-    // Handle admin removal - check if admins is array or single value
-    if (Array.isArray(group.admins)) {
-      group.admins = group.admins.filter(adminId => !adminId.equals(userObjectId));
-    } else if (group.admins && group.admins.equals(userObjectId)) {
-      group.admins = null;
-    }
+    group.admins = group.admins.filter(adminId => !adminId.equals(userObjectId));
 
     // If no members left, delete the group
     if (group.members.length === 0) {
       await Group.findByIdAndDelete(group._id);
     } else {
-      // If user was the only admin, make the first member an admin
-      if ((!group.admins || (Array.isArray(group.admins) && group.admins.length === 0)) && group.members.length > 0) {
-        group.admins = group.members[0];
+      // A departing owner hands the group to the longest-standing admin, or
+      // failing that the longest-standing member
+      if (isGroupOwner(group, userId)) {
+        const nextOwner = group.members.find(memberId => group.admins.some(adminId => adminId.equals(memberId)))
+          || group.members[0];
+        group.owner = nextOwner;
+        if (!group.admins.some(adminId => adminId.equals(nextOwner))) {
+          group.admins.push(nextOwner);
+        }
       }
       await group.save();
     }
@@ -252,6 +377,12 @@ export const leaveGroup = async (req, res) => {
       $pull: { groups: group.joinCode }
     });
 
+    // Stop chat broadcasts to the user's open sockets, as when removed by an admin
+    const io = req.app.get('io');
+    if (io) {
+      io.in(getUserRoom(userId)).socketsLeave(getGroupRoom(group));
+    }
+
     res.json({
       success: true,
       message: 'Successfully left the group'
@@ -316,8 +447,12 @@ export const getGroupDetails = async (req, res) => {
         description: group.description,
         joinCode: group.joinCode,
         memberCount: group.members.length,
-        members: group.members,
-        isAdmin: group.admins.some(adminId => adminId.equals(userObjectId)),
+        streakCount: group.streakCount,
+        timezone: group.timezone,
+        streakQuorum: group.streakQuorum,
+        isPublic: group.isPublic,
+        tags: group.tags,
+        ...formatMembership(group, userId),
         createdAt: group.createdAt
       }
     });
@@ -376,26 +511,6 @@ export const getCurrentGroup = async (req, res) => {
       memberCount: group.members.length
     });
 
-    // Convert userId to ObjectId for comparison
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-
-    // Check if user is admin - handle different admin field structures
-    let isAdmin = false;
-    try {
-      if (Array.isArray(group.admins)) {
-        isAdmin = group.admins.some(adminId => adminId.equals(userObjectId));
-      } else if (group.admin) {
-        // Handle single admin field (could be ObjectId or string)
-        isAdmin = group.admin.equals ? group.admin.equals(userObjectId) : group.admin.toString() === userObjectId.toString();
-      } else if (group.createdBy) {
-        // Fallback to createdBy field
-        isAdmin = group.createdBy.equals ? group.createdBy.equals(userObjectId) : group.createdBy.toString() === userObjectId.toString();
-      }
-    } catch (adminCheckError) {
-      console.error('Error checking admin status:', adminCheckError);
-      isAdmin = false;
-    }
-
     res.json({
       success: true,
       group: {
@@ -405,9 +520,12 @@ export const getCurrentGroup = async (req, res) => {
         description: group.description,
         joinCode: group.joinCode,
         memberCount: group.members.length,
-        members: group.members,
-        admin: group.admin || group.createdBy, // Include admin field for frontend
-        isAdmin: isAdmin,
+        streakCount: group.streakCount,
+        timezone: group.timezone,
+        streakQuorum: group.streakQuorum,
+        isPublic: group.isPublic,
+        tags: group.tags,
+        ...formatMembership(group, userId),
         createdAt: group.createdAt
       }
     });
@@ -420,11 +538,783 @@ export const getCurrentGroup = async (req, res) => {
   }
 };
 
+const DISCOVER_SORTS = {
+  activity: { lastActivityAt: -1, _id: -1 },
+  members: { memberCount: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 }
+};
+const MAX_DISCOVER_PAGE_SIZE = 50;
+
+// Browse and search public groups. Supports ?q= (text search), ?tag=,
+// ?sort=relevance|activity|members|newest and ?page=/&limit= paging.
+export const discoverGroups = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const q = (req.query.q || '').trim();
+    const tag = (req.query.tag || '').trim().toLowerCase();
+    const sort = req.query.sort || (q ? 'relevance' : 'activity');
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_DISCOVER_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (sort !== 'relevance' && !DISCOVER_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sort must be one of: relevance, activity, members, newest'
+      });
+    }
+
+    if (sort === 'relevance' && !q) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by relevance needs a search query'
+      });
+    }
+
+    // Groups that banned the viewer are hidden from them
+    const match = {
+      isPublic: true,
+      isActive: true,
+      'bans.user': { $ne: new mongoose.Types.ObjectId(userId) }
+    };
+    if (q) match.$text = { $search: q };
+    if (tag) match.tags = tag;
+
+    const groups = await Group.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          memberCount: { $size: '$members' },
+          ...(q && { score: { $meta: 'textScore' } })
+        }
+      },
+      { $sort: sort === 'relevance' ? { score: -1, _id: -1 } : DISCOVER_SORTS[sort] },
+      { $skip: (page - 1) * limit },
+      { $limit: limit + 1 },
+      {
+        $project: {
+          name: 1,
+          avatar: 1,
+          description: 1,
+          tags: 1,
+          privacy: 1,
+          memberCount: 1,
+          lastActivityAt: 1,
+          createdAt: 1,
+          members: 1,
+          joinRequests: 1
+        }
+      }
+    ]);
+
+    const hasMore = groups.length > limit;
+
+    res.json({
+      success: true,
+      groups: groups.slice(0, limit).map(group => ({
+        id: group._id,
+        name: group.name,
+        avatar: group.avatar,
+        description: group.description,
+        tags: group.tags || [],
+        privacy: group.privacy || 'open',
+        memberCount: group.memberCount,
+        lastActivityAt: group.lastActivityAt,
+        createdAt: group.createdAt,
+        isMember: isGroupMember(group, userId),
+        hasPendingRequest: hasPendingJoinRequest(group, userId)
+      })),
+      page,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Error in discoverGroups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Every group the user belongs to, most recently active first, with unread counts
+export const getMyGroups = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [user, groups] = await Promise.all([
+      User.findById(userId).select('currentGroupId'),
+      Group.find({ members: userId }).select('name avatar joinCode members owner admins privacy createdAt')
+    ]);
+
+    const groupIds = groups.map(group => group._id);
+    const [unreadCounts, latestMessages] = await Promise.all([
+      getUnreadCounts(userId, groupIds),
+      // Newest message per group in one pass over the { groupId, _id } index
+      Message.aggregate([
+        { $match: { groupId: { $in: groupIds } } },
+        { $sort: { groupId: 1, _id: -1 } },
+        { $group: { _id: '$groupId', lastMessageAt: { $first: '$createdAt' } } }
+      ])
+    ]);
+    const lastMessageAtByGroup = new Map(
+      latestMessages.map(latest => [latest._id.toString(), latest.lastMessageAt])
+    );
+
+    const myGroups = groups.map(group => ({
+      id: group._id,
+      name: group.name,
+      avatar: group.avatar,
+      joinCode: group.joinCode,
+      memberCount: group.members.length,
+      privacy: group.privacy,
+      role: getMemberRole(group, userId),
+      unreadCount: unreadCounts[group._id.toString()] || 0,
+      lastMessageAt: lastMessageAtByGroup.get(group._id.toString()) || null,
+      isCurrent: group.joinCode === user?.currentGroupId
+    }));
+
+    const lastActivity = (group) => new Date(group.lastMessageAt || 0).getTime();
+    myGroups.sort((a, b) => lastActivity(b) - lastActivity(a));
+
+    res.json({
+      success: true,
+      groups: myGroups
+    });
+  } catch (error) {
+    console.error('Error in getMyGroups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Resolve the group and the member a role change targets, answering 4xx itself
+// when they don't check out
+const loadGroupMember = async (req, res) => {
+  const { groupId, userId: targetId } = req.params;
+  const userId = req.user.id;
+
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  const group = await findGroupByIdentifier(groupId);
+
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found'
+    });
+    return null;
+  }
+
+  if (!isGroupMember(group, userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group'
+    });
+    return null;
+  }
+
+  if (!isGroupMember(group, targetId)) {
+    res.status(404).json({
+      success: false,
+      message: 'User is not a member of this group'
+    });
+    return null;
+  }
+
+  const target = await User.findById(targetId).select('username');
+
+  // The member's account may have been deleted
+  if (!target) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return { group, target };
+};
+
+// Save a role change, announce it and answer with the updated member list
+const finishRoleChange = async (req, res, { group, target, text, notification, message }) => {
+  await group.save();
+
+  const io = req.app.get('io');
+  await postGroupMessage(io, group, { text, messageType: 'system' });
+  await notifyUser(io, target._id, {
+    type: 'role_changed',
+    title: 'Group role changed',
+    message: notification,
+    groupId: group._id
+  });
+
+  await group.populate('members', 'username email avatar');
+
+  res.json({
+    success: true,
+    message,
+    group: {
+      id: group._id,
+      ...formatMembership(group, req.user.id)
+    }
+  });
+};
+
+// Make a member an admin (admins and the owner can do this)
+export const promoteMember = async (req, res) => {
+  try {
+    const context = await loadGroupMember(req, res);
+    if (!context) return;
+    const { group, target } = context;
+
+    if (!isGroupAdmin(group, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can promote members'
+      });
+    }
+
+    if (isGroupAdmin(group, target._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `${target.username} is already an admin`
+      });
+    }
+
+    group.admins.push(target._id);
+
+    await finishRoleChange(req, res, {
+      group,
+      target,
+      text: `🛡️ ${target.username} is now an admin`,
+      notification: `You are now an admin of "${group.name}".`,
+      message: `${target.username} promoted to admin`
+    });
+  } catch (error) {
+    console.error('Error in promoteMember:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Turn an admin back into a regular member (owner only)
+export const demoteMember = async (req, res) => {
+  try {
+    const context = await loadGroupMember(req, res);
+    if (!context) return;
+    const { group, target } = context;
+
+    if (!isGroupOwner(group, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can demote admins'
+      });
+    }
+
+    if (isGroupOwner(group, target._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer ownership before stepping down as admin'
+      });
+    }
+
+    if (!isGroupAdmin(group, target._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `${target.username} is not an admin`
+      });
+    }
+
+    group.admins = group.admins.filter(adminId => !adminId.equals(target._id));
+
+    await finishRoleChange(req, res, {
+      group,
+      target,
+      text: `${target.username} is no longer an admin`,
+      notification: `You are no longer an admin of "${group.name}".`,
+      message: `${target.username} demoted to member`
+    });
+  } catch (error) {
+    console.error('Error in demoteMember:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Hand the group to another member; the previous owner stays on as an admin
+export const transferOwnership = async (req, res) => {
+  try {
+    const context = await loadGroupMember(req, res);
+    if (!context) return;
+    const { group, target } = context;
+    const userId = req.user.id;
+
+    if (!isGroupOwner(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can transfer ownership'
+      });
+    }
+
+    if (isGroupOwner(group, target._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this group'
+      });
+    }
+
+    group.owner = target._id;
+    for (const adminId of [userId, target._id]) {
+      if (!group.admins.some(existing => existing.equals(adminId))) {
+        group.admins.push(adminId);
+      }
+    }
+
+    await finishRoleChange(req, res, {
+      group,
+      target,
+      text: `👑 ${target.username} is now the group owner`,
+      notification: `You are now the owner of "${group.name}".`,
+      message: `Ownership transferred to ${target.username}`
+    });
+  } catch (error) {
+    console.error('Error in transferOwnership:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+
+// Admins moderate regular members, the owner moderates everyone; answers 403 itself
+const ensureCanModerate = (req, res, group, target, action) => {
+  if (!isGroupAdmin(group, req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: `Only group admins can ${action} members`
+    });
+    return false;
+  }
+
+  if (!outranksMember(group, req.user.id, target._id)) {
+    res.status(403).json({
+      success: false,
+      message: `You can't ${action} ${target.username}`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Take a member out of the group: roles, group lists on their profile and the live chat room
+const removeFromGroup = async (io, group, target) => {
+  group.members = group.members.filter(memberId => !memberId.equals(target._id));
+  group.admins = group.admins.filter(adminId => !adminId.equals(target._id));
+  group.mutes = group.mutes.filter(mute => !mute.user.equals(target._id));
+
+  await User.updateOne({ _id: target._id }, { $pull: { groups: group.joinCode } });
+  await User.updateOne({ _id: target._id, currentGroupId: group.joinCode }, { currentGroupId: null });
+
+  if (io) {
+    io.in(getUserRoom(target._id)).socketsLeave(getGroupRoom(group));
+    io.to(getUserRoom(target._id)).emit('group:removed', { groupId: group._id.toString() });
+  }
+};
+
+// Answer a moderation action with the updated member list
+const sendMembership = async (req, res, group, message) => {
+  await group.populate('members', 'username email avatar');
+
+  res.json({
+    success: true,
+    message,
+    group: {
+      id: group._id,
+      memberCount: group.members.length,
+      ...formatMembership(group, req.user.id)
+    }
+  });
+};
+
+// Remove a member from the group; they can rejoin with the join code
+export const kickMember = async (req, res) => {
+  try {
+    const context = await loadGroupMember(req, res);
+    if (!context) return;
+    const { group, target } = context;
+
+    if (!ensureCanModerate(req, res, group, target, 'remove')) return;
+
+    const io = req.app.get('io');
+    await removeFromGroup(io, group, target);
+    await group.save();
+
+    await postGroupMessage(io, group, {
+      text: `${target.username} was removed from the group`,
+      messageType: 'system'
+    });
+    await notifyUser(io, target._id, {
+      type: 'moderation',
+      title: 'Removed from group',
+      message: `You were removed from "${group.name}".`,
+      groupId: group._id
+    });
+
+    await sendMembership(req, res, group, `${target.username} removed from the group`);
+  } catch (error) {
+    console.error('Error in kickMember:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Remove a member and keep them from rejoining until they are unbanned
+export const banMember = async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    if (typeof reason !== 'string' || reason.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be at most 200 characters'
+      });
+    }
+
+    const context = await loadGroupMember(req, res);
+    if (!context) return;
+    const { group, target } = context;
+
+    if (!ensureCanModerate(req, res, group, target, 'ban')) return;
+
+    const io = req.app.get('io');
+    await removeFromGroup(io, group, target);
+    group.bans.push({ user: target._id, bannedBy: req.user.id, reason: reason.trim() });
+    await group.save();
+
+    await postGroupMessage(io, group, {
+      text: `${target.username} was banned from the group`,
+      messageType: 'system'
+    });
+    await notifyUser(io, target._id, {
+      type: 'moderation',
+      title: 'Banned from group',
+      message: `You were banned from "${group.name}"${reason.trim() ? `: ${reason.trim()}` : '.'}`,
+      groupId: group._id
+    });
+
+    await sendMembership(req, res, group, `${target.username} banned from the group`);
+  } catch (error) {
+    console.error('Error in banMember:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// List banned users (admins only)
+export const getBans = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.id;
+
+    const group = await findGroupByIdentifier(groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can see the ban list'
+      });
+    }
+
+    await group.populate([
+      { path: 'bans.user', select: 'username avatar' },
+      { path: 'bans.bannedBy', select: 'username' }
+    ]);
+
+    res.json({
+      success: true,
+      bans: group.bans
+        .filter(ban => ban.user)
+        .map(ban => ({
+          user: { id: ban.user._id, username: ban.user.username, avatar: ban.user.avatar },
+          bannedBy: ban.bannedBy ? { id: ban.bannedBy._id, username: ban.bannedBy.username } : null,
+          reason: ban.reason,
+          createdAt: ban.createdAt
+        }))
+    });
+  } catch (error) {
+    console.error('Error in getBans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Lift a ban; the user still has to rejoin with the join code
+export const unbanMember = async (req, res) => {
+  try {
+    const { groupId, userId: targetId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const group = await findGroupByIdentifier(groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can unban users'
+      });
+    }
+
+    if (!isBannedFromGroup(group, targetId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not banned from this group'
+      });
+    }
+
+    group.bans = group.bans.filter(ban => !ban.user.equals(targetId));
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'User unbanned'
+    });
+  } catch (error) {
+    console.error('Error in unbanMember:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Keep a member from sending chat messages for a number of minutes
+export const muteMember = async (req, res) => {
+  try {
+    const minutes = Number(req.body.minutes);
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        message: `Mute duration must be between 1 and ${MAX_MUTE_MINUTES} minutes`
+      });
+    }
+
+    const context = await loadGroupMember(req, res);
+    if (!context) return;
+    const { group, target } = context;
+
+    if (!ensureCanModerate(req, res, group, target, 'mute')) return;
+
+    // A new mute replaces any running one
+    const until = new Date(Date.now() + minutes * 60 * 1000);
+    group.mutes = group.mutes.filter(mute => !mute.user.equals(target._id) && mute.until > new Date());
+    group.mutes.push({ user: target._id, mutedBy: req.user.id, until });
+    await group.save();
+
+    await notifyUser(req.app.get('io'), target._id, {
+      type: 'moderation',
+      title: 'Muted in group',
+      message: `You can't send messages in "${group.name}" until ${until.toUTCString()}.`,
+      groupId: group._id
+    });
+
+    await sendMembership(req, res, group, `${target.username} muted for ${minutes} minutes`);
+  } catch (error) {
+    console.error('Error in muteMember:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const unmuteMember = async (req, res) => {
+  try {
+    const context = await loadGroupMember(req, res);
+    if (!context) return;
+    const { group, target } = context;
+
+    if (!ensureCanModerate(req, res, group, target, 'unmute')) return;
+
+    group.mutes = group.mutes.filter(mute => !mute.user.equals(target._id));
+    await group.save();
+
+    await sendMembership(req, res, group, `${target.username} unmuted`);
+  } catch (error) {
+    console.error('Error in unmuteMember:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Resolve the group and make sure the caller can review join requests; answers 4xx itself
+const loadGroupForJoinRequests = async (req, res) => {
+  const group = await findGroupByIdentifier(req.params.groupId);
+
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found'
+    });
+    return null;
+  }
+
+  if (!isGroupAdmin(group, req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only group admins can review join requests'
+    });
+    return null;
+  }
+
+  return group;
+};
+
+// List pending join requests, oldest first (admins only)
+export const getJoinRequests = async (req, res) => {
+  try {
+    const group = await loadGroupForJoinRequests(req, res);
+    if (!group) return;
+
+    await group.populate('joinRequests.user', 'username avatar');
+
+    res.json({
+      success: true,
+      joinRequests: group.joinRequests
+        .filter(request => request.user)
+        .map(request => ({
+          user: { id: request.user._id, username: request.user.username, avatar: request.user.avatar },
+          message: request.message,
+          createdAt: request.createdAt
+        }))
+    });
+  } catch (error) {
+    console.error('Error in getJoinRequests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Accept or reject a pending request and tell the requester the outcome
+const resolveJoinRequest = async (req, res, approve) => {
+  const { userId: targetId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+  }
+
+  const group = await loadGroupForJoinRequests(req, res);
+  if (!group) return;
+
+  if (!hasPendingJoinRequest(group, targetId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'No pending join request from this user'
+    });
+  }
+
+  const io = req.app.get('io');
+  const accepted = approve && !isBannedFromGroup(group, targetId);
+  group.joinRequests = group.joinRequests.filter(request => !request.user.equals(targetId));
+
+  if (accepted) {
+    await addMemberToGroup(io, group, targetId);
+    await notifyUser(io, targetId, {
+      type: 'join_request_result',
+      title: 'Join request approved',
+      message: `You are now a member of "${group.name}".`,
+      groupId: group._id
+    });
+  } else {
+    await group.save();
+    await notifyUser(io, targetId, {
+      type: 'join_request_result',
+      title: 'Join request declined',
+      message: `Your request to join "${group.name}" was declined.`,
+      groupId: group._id
+    });
+  }
+
+  await sendMembership(req, res, group, accepted ? 'Join request approved' : 'Join request rejected');
+};
+
+export const approveJoinRequest = async (req, res) => {
+  try {
+    await resolveJoinRequest(req, res, true);
+  } catch (error) {
+    console.error('Error in approveJoinRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const rejectJoinRequest = async (req, res) => {
+  try {
+    await resolveJoinRequest(req, res, false);
+  } catch (error) {
+    console.error('Error in rejectJoinRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // Debug: Get all groups (for debugging purposes)
 export const getAllGroups = async (req, res) => {
   try {
     const groups = await Group.find({})
       .populate('members', 'username email')
+      .populate('owner', 'username email')
       .populate('admins', 'username email');
     
     console.log('All groups in database:', groups.map(g => ({
@@ -433,6 +1323,7 @@ export const getAllGroups = async (req, res) => {
       joinCode: g.joinCode,
       memberCount: g.members.length,
       members: g.members.map(m => m.username),
+      owner: g.owner?.username,
       admins: g.admins.map(a => a.username)
     })));
     
@@ -444,6 +1335,7 @@ export const getAllGroups = async (req, res) => {
         joinCode: group.joinCode,
         memberCount: group.members.length,
         members: group.members,
+        owner: group.owner,
         admins: group.admins,
         createdAt: group.createdAt
       }))
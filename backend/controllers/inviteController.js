@@ -0,0 +1,351 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Invite from '../models/Invite.js';
+import Group from '../models/Group.js';
+import {
+  findGroupByIdentifier,
+  isGroupMember,
+  isGroupAdmin,
+  getMemberRole,
+  isBannedFromGroup,
+  hasPendingJoinRequest
+} from '../utils/groups.js';
+import { addMemberToGroup, replaceJoinCode } from '../services/membershipService.js';
+
+const MAX_EXPIRY_HOURS = 30 * 24;
+const MAX_USES_LIMIT = 1000;
+
+// 'active', or why the invite can no longer be used
+const getInviteStatus = (invite, now = new Date()) => {
+  if (invite.revokedAt) return 'revoked';
+  if (invite.expiresAt && invite.expiresAt <= now) return 'expired';
+  if (invite.maxUses && invite.uses >= invite.maxUses) return 'used_up';
+  return 'active';
+};
+
+const INACTIVE_MESSAGES = {
+  revoked: 'This invite link has been revoked',
+  expired: 'This invite link has expired',
+  used_up: 'This invite link has already been used'
+};
+
+const formatInvite = (invite) => ({
+  id: invite._id,
+  token: invite.token,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  singleUse: invite.maxUses === 1,
+  status: getInviteStatus(invite),
+  createdBy: invite.createdBy?.username
+    ? { id: invite.createdBy._id, username: invite.createdBy.username }
+    : { id: invite.createdBy },
+  createdAt: invite.createdAt
+});
+
+// What someone sees before deciding to join
+const formatGroupPreview = (group, userId) => ({
+  id: group._id,
+  name: group.name,
+  avatar: group.avatar,
+  description: group.description,
+  memberCount: group.members.length,
+  privacy: group.privacy,
+  isMember: isGroupMember(group, userId),
+  hasPendingRequest: hasPendingJoinRequest(group, userId)
+});
+
+// Resolve the group and make sure the caller administers it; answers 4xx itself
+const loadAdminGroup = async (req, res) => {
+  const group = await findGroupByIdentifier(req.params.groupId);
+
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found'
+    });
+    return null;
+  }
+
+  if (!isGroupAdmin(group, req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only group admins can manage invites'
+    });
+    return null;
+  }
+
+  return group;
+};
+
+export const createInvite = async (req, res) => {
+  try {
+    const { expiresInHours, maxUses, singleUse = false } = req.body;
+
+    if (expiresInHours != null && !(Number(expiresInHours) > 0 && Number(expiresInHours) <= MAX_EXPIRY_HOURS)) {
+      return res.status(400).json({
+        success: false,
+        message: `Expiry must be between 1 hour and ${MAX_EXPIRY_HOURS} hours`
+      });
+    }
+
+    if (maxUses != null && !(Number.isInteger(Number(maxUses)) && maxUses >= 1 && maxUses <= MAX_USES_LIMIT)) {
+      return res.status(400).json({
+        success: false,
+        message: `Max uses must be a whole number between 1 and ${MAX_USES_LIMIT}`
+      });
+    }
+
+    const group = await loadAdminGroup(req, res);
+    if (!group) return;
+
+    const invite = await Invite.create({
+      token: crypto.randomBytes(16).toString('base64url'),
+      group: group._id,
+      createdBy: req.user.id,
+      expiresAt: expiresInHours != null
+        ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000)
+        : null,
+      maxUses: singleUse ? 1 : (maxUses != null ? Number(maxUses) : null)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite created',
+      invite: formatInvite(invite)
+    });
+  } catch (error) {
+    console.error('Error in createInvite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Invites that can still be used, newest first
+export const getInvites = async (req, res) => {
+  try {
+    const group = await loadAdminGroup(req, res);
+    if (!group) return;
+
+    const invites = await Invite.find({ group: group._id, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'username');
+
+    res.json({
+      success: true,
+      invites: invites
+        .filter(invite => getInviteStatus(invite) === 'active')
+        .map(formatInvite)
+    });
+  } catch (error) {
+    console.error('Error in getInvites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const revokeInvite = async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invite ID'
+      });
+    }
+
+    const group = await loadAdminGroup(req, res);
+    if (!group) return;
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: inviteId, group: group._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked',
+      invite: formatInvite(invite)
+    });
+  } catch (error) {
+    console.error('Error in revokeInvite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Replace the join code so old codes and /join/<code> links stop working.
+// Invite links are unaffected.
+export const regenerateJoinCode = async (req, res) => {
+  try {
+    const group = await loadAdminGroup(req, res);
+    if (!group) return;
+
+    const joinCode = await replaceJoinCode(req.app.get('io'), group);
+
+    res.json({
+      success: true,
+      message: 'Join code regenerated',
+      joinCode
+    });
+  } catch (error) {
+    console.error('Error in regenerateJoinCode:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Preview the group behind a join code
+export const previewJoinCode = async (req, res) => {
+  try {
+    const group = await Group.findOne({ joinCode: req.params.joinCode });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found. Please check the Group ID.'
+      });
+    }
+
+    res.json({
+      success: true,
+      group: formatGroupPreview(group, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error in previewJoinCode:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Preview the group behind an invite link
+export const previewInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ token: req.params.token }).populate('group');
+
+    if (!invite || !invite.group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
+    const status = getInviteStatus(invite);
+    if (status !== 'active') {
+      return res.status(410).json({
+        success: false,
+        message: INACTIVE_MESSAGES[status],
+        code: status.toUpperCase()
+      });
+    }
+
+    res.json({
+      success: true,
+      group: formatGroupPreview(invite.group, req.user.id),
+      invite: {
+        expiresAt: invite.expiresAt,
+        singleUse: invite.maxUses === 1
+      }
+    });
+  } catch (error) {
+    console.error('Error in previewInvite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const acceptInvite = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const invite = await Invite.findOne({ token: req.params.token }).populate('group');
+
+    if (!invite || !invite.group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
+    const group = invite.group;
+
+    if (isBannedFromGroup(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You have been banned from this group'
+      });
+    }
+
+    // Members following the link again don't use it up
+    if (!isGroupMember(group, userId)) {
+      const now = new Date();
+      const claimed = await Invite.findOneAndUpdate(
+        {
+          _id: invite._id,
+          revokedAt: null,
+          $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+          ]
+        },
+        { $inc: { uses: 1 }, $push: { usedBy: { user: userId, usedAt: now } } },
+        { new: true }
+      );
+
+      if (!claimed) {
+        // The invite may have changed since it was read, e.g. when someone
+        // else took its last use; report what stopped the claim
+        const current = await Invite.findById(invite._id);
+        const currentStatus = current ? getInviteStatus(current, now) : 'revoked';
+        const status = currentStatus === 'active' ? 'used_up' : currentStatus;
+
+        return res.status(410).json({
+          success: false,
+          message: INACTIVE_MESSAGES[status],
+          code: status.toUpperCase()
+        });
+      }
+    }
+
+    await addMemberToGroup(req.app.get('io'), group, userId);
+
+    res.json({
+      success: true,
+      group: {
+        id: group._id,
+        name: group.name,
+        avatar: group.avatar,
+        joinCode: group.joinCode,
+        memberCount: group.members.length,
+        role: getMemberRole(group, userId),
+        isAdmin: isGroupAdmin(group, userId)
+      }
+    });
+  } catch (error) {
+    console.error('Error in acceptInvite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,418 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import { findGroupByIdentifier, isGroupMember, getGroupRoom } from '../utils/groups.js';
+import {
+  getMessageHistory,
+  searchMessages,
+  findGroupMessage,
+  sendMemberMessage,
+  editMemberMessage,
+  deleteMemberMessage,
+  getPinnedMessages
+} from '../services/messageService.js';
+import { isChatCommand, runChatCommand } from '../services/commandService.js';
+import { createPoll, votePoll, closePoll } from '../services/pollService.js';
+import { setMessagePinned, postAnnouncement } from '../services/pinService.js';
+import { markGroupRead, getGroupReadStates } from '../services/readStateService.js';
+import { getUserRoom } from '../services/notificationService.js';
+
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+// Get a page of chat history for a group: the latest messages, or those
+// `before`/`after` a cursor or `around` one message
+export const getGroupMessages = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { before, after, around } = req.query;
+    const userId = req.user.id;
+
+    const limit = Math.min(parseInt(req.query.limit) || 30, MAX_PAGE_SIZE);
+    const cursors = [before, after, around].filter(Boolean);
+
+    if (cursors.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use only one of before, after and around'
+      });
+    }
+
+    if (cursors.length && !mongoose.Types.ObjectId.isValid(cursors[0])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const group = await findGroupByIdentifier(groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group'
+      });
+    }
+
+    if (around && !(await findGroupMessage(group, around))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const history = await getMessageHistory(group._id, { before, after, around, limit, viewerId: req.user.id });
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Error in getGroupMessages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Search the group's chat history by text, sender, message type and date range
+export const searchGroupMessages = async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    const { q, sender, type, from, to, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_SEARCH_PAGE_SIZE);
+
+    const result = await searchMessages(group, {
+      q,
+      sender,
+      type,
+      from,
+      to,
+      before,
+      limit,
+      viewerId: req.user.id
+    });
+    sendServiceResult(res, result);
+  } catch (error) {
+    console.error('Error in searchGroupMessages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Move the user's read pointer up to a message (default: the latest one)
+export const markGroupMessagesRead = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { messageId } = req.body;
+    const userId = req.user.id;
+
+    if (messageId && !mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const group = await findGroupByIdentifier(groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group'
+      });
+    }
+
+    // The pointer only moves forward, so it must point at a real message here
+    if (messageId && !(await Message.exists({ _id: messageId, groupId: group._id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const readState = await markGroupRead(userId, group._id, messageId);
+
+    // Clear the badge in the user's other tabs too, and update the
+    // "seen by" receipts of everyone in the chat
+    const io = req.app.get('io');
+    if (io) {
+      io.to(getUserRoom(userId)).emit('group:read', { groupId: group._id.toString() });
+
+      if (readState.lastReadMessage) {
+        io.to(getGroupRoom(group)).emit('readReceipt', {
+          groupId: group._id.toString(),
+          userId: userId.toString(),
+          lastReadMessage: readState.lastReadMessage.toString(),
+          lastReadAt: readState.lastReadAt
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      lastReadMessage: readState.lastReadMessage,
+      lastReadAt: readState.lastReadAt
+    });
+  } catch (error) {
+    console.error('Error in markGroupMessagesRead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Every member's read pointer, for "seen by" receipts
+export const getReadReceipts = async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    res.json({
+      success: true,
+      receipts: await getGroupReadStates(group)
+    });
+  } catch (error) {
+    console.error('Error in getReadReceipts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Resolve the group and make sure the caller belongs to it; answers 4xx itself
+const loadMemberGroup = async (req, res) => {
+  const group = await findGroupByIdentifier(req.params.groupId);
+
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found'
+    });
+    return null;
+  }
+
+  if (!isGroupMember(group, req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group'
+    });
+    return null;
+  }
+
+  return group;
+};
+
+// Service results carry the HTTP status of their failures
+const sendServiceResult = (res, result, successStatus = 200) => {
+  const { status, ...payload } = result;
+  res.status(result.success ? successStatus : status || 400).json(payload);
+};
+
+// REST fallback for the sendMessage socket event
+export const sendGroupMessage = async (req, res) => {
+  try {
+    const { text, replyTo, attachmentIds } = req.body;
+
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    // Slash commands run on the server and answer with a system message
+    const result = isChatCommand(text) && !attachmentIds?.length
+      ? await runChatCommand(req.app.get('io'), group, req.user.id, text)
+      : await sendMemberMessage(req.app.get('io'), group, req.user.id, {
+          text,
+          replyTo,
+          attachmentIds
+        });
+    sendServiceResult(res, result, 201);
+  } catch (error) {
+    console.error('Error in sendGroupMessage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// REST fallback for the editMessage socket event
+export const editGroupMessage = async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    const result = await editMemberMessage(req.app.get('io'), group, req.user.id, {
+      messageId: req.params.messageId,
+      text: req.body.text
+    });
+    sendServiceResult(res, result);
+  } catch (error) {
+    console.error('Error in editGroupMessage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// REST fallback for the deleteMessage socket event
+export const deleteGroupMessage = async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    const result = await deleteMemberMessage(req.app.get('io'), group, req.user.id, {
+      messageId: req.params.messageId
+    });
+    sendServiceResult(res, result);
+  } catch (error) {
+    console.error('Error in deleteGroupMessage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// REST fallback for the createPoll socket event
+export const createGroupPoll = async (req, res) => {
+  try {
+    const { question, options, allowMultiple, isAnonymous, closesAt } = req.body;
+
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    const result = await createPoll(req.app.get('io'), group, req.user.id, {
+      question,
+      options,
+      allowMultiple,
+      isAnonymous,
+      closesAt
+    });
+    sendServiceResult(res, result, 201);
+  } catch (error) {
+    console.error('Error in createGroupPoll:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// REST fallback for the votePoll socket event
+export const voteGroupPoll = async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    const result = await votePoll(req.app.get('io'), group, req.user.id, {
+      messageId: req.params.messageId,
+      optionIds: req.body.optionIds
+    });
+    sendServiceResult(res, result);
+  } catch (error) {
+    console.error('Error in voteGroupPoll:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// REST fallback for the closePoll socket event
+export const closeGroupPoll = async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    const result = await closePoll(req.app.get('io'), group, req.user.id, {
+      messageId: req.params.messageId
+    });
+    sendServiceResult(res, result);
+  } catch (error) {
+    console.error('Error in closeGroupPoll:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Pinned messages and announcements, most recently pinned first
+export const getPinnedGroupMessages = async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    res.json({
+      success: true,
+      pinned: await getPinnedMessages(group)
+    });
+  } catch (error) {
+    console.error('Error in getPinnedGroupMessages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const setPinned = (pinned) => async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    const result = await setMessagePinned(req.app.get('io'), group, req.user.id, {
+      messageId: req.params.messageId,
+      pinned
+    });
+    sendServiceResult(res, result);
+  } catch (error) {
+    console.error(`Error in ${pinned ? 'pinGroupMessage' : 'unpinGroupMessage'}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const pinGroupMessage = setPinned(true);
+export const unpinGroupMessage = setPinned(false);
+
+export const postGroupAnnouncement = async (req, res) => {
+  try {
+    const group = await loadMemberGroup(req, res);
+    if (!group) return;
+
+    const result = await postAnnouncement(req.app.get('io'), group, req.user.id, {
+      text: req.body.text
+    });
+    sendServiceResult(res, result, 201);
+  } catch (error) {
+    console.error('Error in postGroupAnnouncement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import {
+  NOTIFICATION_TYPES,
+  getNotifications as getInbox,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  emitNotificationsRead
+} from '../services/notificationService.js';
+import { findGroupByIdentifier } from '../utils/groups.js';
+
+const MAX_PAGE_SIZE = 50;
+
+// Validate the shared type/groupId filters; returns an error message or the resolved filters
+const parseFilters = async ({ type, groupId }) => {
+  if (type && !NOTIFICATION_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}` };
+  }
+
+  const filters = { type };
+  if (groupId) {
+    const group = await findGroupByIdentifier(groupId);
+    if (!group) {
+      return { error: 'Group not found' };
+    }
+    filters.groupId = group._id;
+  }
+
+  return { filters };
+};
+
+// Get a page of the current user's notifications
+export const getNotifications = async (req, res) => {
+  try {
+    const { before, unread } = req.query;
+    const userId = req.user.id;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PAGE_SIZE);
+
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const { filters, error } = await parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [inbox, unreadCount] = await Promise.all([
+      getInbox(userId, { ...filters, unreadOnly: unread === 'true', before, limit }),
+      getUnreadCount(userId)
+    ]);
+
+    res.json({
+      success: true,
+      ...inbox,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error in getNotifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const getNotificationUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error in getNotificationUnreadCount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const markNotificationRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await markAsRead(userId, notificationId);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const unreadCount = await getUnreadCount(userId);
+    emitNotificationsRead(req.app.get('io'), userId, { ids: [notification.id], unreadCount });
+
+    res.json({
+      success: true,
+      notification,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error in markNotificationRead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Mark all notifications as read, optionally only those matching the type/group filters
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { filters, error } = await parseFilters(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const updatedCount = await markAllAsRead(userId, filters);
+
+    const unreadCount = await getUnreadCount(userId);
+    emitNotificationsRead(req.app.get('io'), userId, { all: true, ...filters, unreadCount });
+
+    res.json({
+      success: true,
+      updatedCount,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error in markAllNotificationsRead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
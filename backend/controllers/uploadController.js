@@ -0,0 +1,26 @@
+import { storeUpload, toAttachment, formatAttachment } from '../services/uploadService.js';
+
+// Store one file for later use as a chat attachment, check-in proof or avatar
+export const uploadFile = async (req, res) => {
+  try {
+    const result = await storeUpload(req.user.id, req.file);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      upload: formatAttachment(toAttachment(result.upload))
+    });
+  } catch (error) {
+    console.error('Error in uploadFile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,56 @@
+import jwt from "jsonwebtoken";
+import { parse } from "cookie";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+// Socket.IO handshake middleware: verifies the same `token` cookie as the
+// HTTP auth middleware and pins the user's identity to socket.data.user.
+// Event handlers must read identity from there, never from payloads.
+const socketAuth = async (socket, next) => {
+  try {
+    const cookies = parse(socket.handshake.headers.cookie || "");
+    const token = cookies.token;
+
+    if (!token) {
+      return next(new Error("Access denied. No token provided."));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Check if database is connected before making queries
+    if (mongoose.connection.readyState !== 1) {
+      console.warn("Database not connected, trusting socket token");
+      socket.data.user = {
+        id: decoded.userId,
+        username: decoded.username || "offline-user",
+        avatar: null,
+      };
+      return next();
+    }
+
+    const user = await User.findById(decoded.userId).select("username avatar isActive");
+    if (!user || !user.isActive) {
+      return next(new Error("Invalid token. User not found or inactive."));
+    }
+
+    socket.data.user = {
+      id: user._id.toString(),
+      username: user.username,
+      avatar: user.avatar,
+    };
+    next();
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return next(new Error("Invalid token."));
+    }
+
+    if (error.name === "TokenExpiredError") {
+      return next(new Error("Token expired."));
+    }
+
+    console.error("Socket auth error:", error);
+    next(new Error("Internal server error"));
+  }
+};
+
+export default socketAuth;
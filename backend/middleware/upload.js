@@ -0,0 +1,31 @@
+import multer from "multer";
+import { MAX_UPLOAD_BYTES } from "../services/uploadService.js";
+
+// Files are kept in memory only long enough to validate them and hand them to
+// the storage driver
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+}).single("file");
+
+// Parse a single multipart `file` field, answering parse errors as JSON
+const receiveUpload = (req, res, next) => {
+  parser(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+        success: false,
+        message: error.code === "LIMIT_FILE_SIZE"
+          ? `Files can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`
+          : "Send exactly one file in the \"file\" field",
+      });
+    }
+
+    next(error);
+  });
+};
+
+export default receiveUpload;
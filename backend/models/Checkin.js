@@ -1,4 +1,5 @@
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
+import { attachmentSchema } from './Upload.js';
 
 const checkinSchema = new mongoose.Schema({
   user: { 
@@ -15,10 +16,9 @@ const checkinSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'Goal'
   },
-  date: {
+  date: { // midnight UTC of the calendar day the check-in counts for
     type: Date,
-    required: true,
-    default: Date.now
+    required: true
   },
   status: { 
     type: String, 
@@ -34,6 +34,10 @@ const checkinSchema = new mongoose.Schema({
     type: String, // URL to image/file
     default: null
   },
+  proofAttachment: { // set when the proof was uploaded rather than linked
+    type: attachmentSchema,
+    default: null
+  },
   points: {
     type: Number,
     default: 0
@@ -43,5 +47,6 @@ const checkinSchema = new mongoose.Schema({
 });
 
 checkinSchema.index({ user: 1, group: 1, date: 1 }, { unique: true });
+checkinSchema.index({ group: 1, date: -1 });
 
-module.exports = mongoose.model('Checkin', checkinSchema);
\ No newline at end of file
+export default mongoose.model('Checkin', checkinSchema);
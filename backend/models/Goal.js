@@ -1,4 +1,4 @@
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
 
 const goalSchema = new mongoose.Schema({
   title: {
@@ -40,9 +40,15 @@ const goalSchema = new mongoose.Schema({
     type: String,
     enum: ['daily', 'weekly', 'monthly'],
     default: 'daily'
+  },
+  deadlineReminderSentAt: { // set once members were warned about the approaching deadline
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Goal', goalSchema);
\ No newline at end of file
+goalSchema.index({ groupId: 1, status: 1, deadline: 1 });
+
+export default mongoose.model('Goal', goalSchema);
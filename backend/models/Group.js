@@ -20,10 +20,49 @@ const groupSchema = new Schema({
     type: Schema.Types.ObjectId, 
     ref: 'User' 
   }],
-  admins: { 
+  owner: { // the creator until ownership is transferred; always an admin
     type: Schema.Types.ObjectId, 
     ref: 'User' 
   },
+  admins: [{ 
+    type: Schema.Types.ObjectId, 
+    ref: 'User' 
+  }],
+  bans: [{ // banned users can't rejoin with the join code
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    bannedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, maxlength: 200, default: '' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  mutes: [{ // muted members can't send chat messages until `until`
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    mutedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    until: { type: Date, required: true }
+  }],
+  privacy: { // who can join with the join code; invite links always work
+    type: String,
+    enum: ['open', 'approval', 'invite_only'],
+    default: 'open'
+  },
+  joinRequests: [{ // pending requests to join an approval-only group
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    message: { type: String, maxlength: 200, default: '' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  isPublic: { // listed in the discovery directory
+    type: Boolean,
+    default: false
+  },
+  tags: [{ // directory categories such as "fitness" or "dsa", stored lowercase
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30
+  }],
+  lastActivityAt: { // time of the latest chat message, for sorting the directory
+    type: Date,
+    default: null
+  },
   goal: { 
     type: Schema.Types.ObjectId, 
     ref: 'Goal' 
@@ -33,6 +72,20 @@ const groupSchema = new Schema({
     default: 0
   },
   brokenDates: [Date],
+  timezone: { // IANA zone whose midnight closes the group's check-in day
+    type: String,
+    default: 'UTC'
+  },
+  streakQuorum: { // fraction of members that must complete their check-in
+    type: Number,
+    min: 0.01,
+    max: 1,
+    default: 1
+  },
+  lastStreakDay: { // YYYY-MM-DD of the last day the streak job evaluated
+    type: String,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -45,4 +98,8 @@ const groupSchema = new Schema({
   timestamps: true
 });
 
+// Directory search: text over name, description and tags within public groups
+groupSchema.index({ name: 'text', description: 'text', tags: 'text' });
+groupSchema.index({ isPublic: 1, lastActivityAt: -1 });
+
 export default model('Group', groupSchema);
\ No newline at end of file
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const inviteSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  group: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Group',
+    required: true
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User',
+    required: true
+  },
+  expiresAt: { // null = never expires
+    type: Date,
+    default: null
+  },
+  maxUses: { // null = unlimited; 1 for single-use links
+    type: Number,
+    min: 1,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  usedBy: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    usedAt: { type: Date, default: Date.now }
+  }],
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+inviteSchema.index({ group: 1, createdAt: -1 });
+
+export default mongoose.model('Invite', inviteSchema);
@@ -1,24 +1,66 @@
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
+import { attachmentSchema } from './Upload.js';
+
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  votes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+const pollSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  options: [pollOptionSchema],
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  isAnonymous: { // voters are recorded to prevent double votes but never shown
+    type: Boolean,
+    default: false
+  },
+  closesAt: Date, // optional; voting stops once it passes
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
 
 const messageSchema = new mongoose.Schema({
-  groupId: { 
-    type: mongoose.Schema.Types.ObjectId, 
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
     ref: 'Group',
     required: true
   },
-  sender: { 
-    type: mongoose.Schema.Types.ObjectId, 
+  sender: { // system messages are posted by the server and have no sender
+    type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.messageType !== 'system'; }
   },
-  text: {
+  text: { // may be empty when the message only carries attachments
     type: String,
-    required: true,
+    required: function() { return !this.attachments?.length; },
+    default: '',
     maxlength: 1000
   },
+  attachments: [attachmentSchema],
+  poll: { // only on poll messages, whose text repeats the question
+    type: pollSchema,
+    default: undefined
+  },
   messageType: {
     type: String,
-    enum: ['text', 'checkin', 'goal', 'system'],
+    enum: ['text', 'checkin', 'goal', 'system', 'poll', 'announcement'],
     default: 'text'
   },
   isEdited: {
@@ -29,9 +71,57 @@ const messageSchema = new mongoose.Schema({
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
-  }
+  },
+  // Members tagged with @username, resolved when the message is saved
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isDeleted: { // soft delete: the message keeps its place in the thread but its text is hidden
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isPinned: { // pinned by an admin; announcements are pinned when posted
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date,
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // One entry per user and emoji; counts are aggregated when formatting
+  reactions: [{
+    emoji: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
+// Chat history is paged newest-first by _id within a group
+messageSchema.index({ groupId: 1, _id: -1 });
+messageSchema.index({ groupId: 1, isPinned: 1, pinnedAt: -1 });
+// Full-text search within a group; queries must match groupId exactly
+messageSchema.index(
+  { groupId: 1, text: 'text', 'attachments.name': 'text' },
+  { name: 'message_search', weights: { text: 3, 'attachments.name': 1 } }
+);
+
+export default mongoose.model('Message', messageSchema);
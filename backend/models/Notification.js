@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['checkin_reminder', 'group_invite', 'streak_broken', 'goal_deadline', 'member_joined'],
+    enum: ['checkin_reminder', 'group_invite', 'streak_broken', 'goal_deadline', 'member_joined', 'assignment', 'role_changed', 'moderation', 'join_request', 'join_request_result', 'mention', 'announcement'],
     required: true
   },
   title: {
@@ -27,6 +27,15 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Goal'
   },
+  relatedTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  priority: { // high-priority notifications are surfaced as toasts in the UI
+    type: String,
+    enum: ['normal', 'high'],
+    default: 'normal'
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -36,4 +45,8 @@ const notificationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// The inbox is paged newest-first per user; unread counts filter on isRead
+notificationSchema.index({ user: 1, _id: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+
 export default mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// How far a user has read a group's chat. Messages after `lastReadMessage`
+// from other members count as unread.
+const readStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+readStateSchema.index({ user: 1, group: 1 }, { unique: true });
+
+export default mongoose.model('ReadState', readStateSchema);
@@ -40,7 +40,7 @@ const taskSchema = new mongoose.Schema({
   aiGenerated: { type: Boolean, default: false },
   overallProgress: { type: Number, default: 0, min: 0, max: 100 },
   completed: { type: Boolean, default: false },
-  UserId: { 
+  owner: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User', 
     required: true 
@@ -54,6 +54,10 @@ const taskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'Group'
   },
+  goalId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Goal'
+  },
   taskHeaders: [{
     title: { type: String, required: true },
     assignedTo: { 
@@ -62,11 +66,22 @@ const taskSchema = new mongoose.Schema({
     },
     subtasks: [{
       text: { type: String, required: true },
-      completed: { type: Boolean, default: false }
+      completed: { type: Boolean, default: false },
+      completedBy: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User'
+      },
+      completedAt: Date
     }]
   }]
 }, {
   timestamps: true
 });
 
-export default taskSchema;
\ No newline at end of file
+taskSchema.index({ owner: 1, createdAt: 1 });
+taskSchema.index({ groupId: 1, isGroupTask: 1, createdAt: 1 });
+taskSchema.index({ assignedTo: 1 });
+taskSchema.index({ 'taskHeaders.assignedTo': 1 });
+taskSchema.index({ goalId: 1 });
+
+export default mongoose.model('Task', taskSchema);
\ No newline at end of file
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// A file someone uploaded. Messages and check-ins keep a copy of the fields
+// they display (see attachmentSchema) so reading them needs no extra lookup.
+const uploadSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true
+  },
+  key: { // storage key of the original file
+    type: String,
+    required: true
+  },
+  thumbnailKey: String,
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: String,
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ uploader: 1, createdAt: -1 });
+
+export const attachmentSchema = new mongoose.Schema({
+  upload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: String,
+  name: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+export default mongoose.model('Upload', uploadSchema);
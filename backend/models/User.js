@@ -1,6 +1,5 @@
 import mongoose, { Schema, model } from 'mongoose';
 import { genSalt, hash, compare } from 'bcrypt';
-import taskSchema from './taskSchema.js';
 
 const userSchema = new Schema({
   username: {
@@ -56,7 +55,6 @@ const userSchema = new Schema({
     type: String,
     default: null
   },
-  tasks: [taskSchema],
   checkinHistory: [{
     date: {
       type: Date,
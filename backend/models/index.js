@@ -1,15 +1,23 @@
-const User = require('./User');
-const Group = require('./Group');
-const Goal = require('./Goal');
-const Checkin = require('./Checkin');
-const Message = require('./Message');
-const Notification = require('./Notification');
+import User from './User.js';
+import Group from './Group.js';
+import Goal from './Goal.js';
+import Checkin from './Checkin.js';
+import Message from './Message.js';
+import Notification from './Notification.js';
+import Task from './Task.js';
+import Invite from './Invite.js';
+import ReadState from './ReadState.js';
+import Upload from './Upload.js';
 
-module.exports = { 
+export { 
   User, 
   Group, 
   Goal, 
   Checkin, 
   Message, 
-  Notification 
-};
\ No newline at end of file
+  Notification, 
+  Task, 
+  Invite, 
+  ReadState, 
+  Upload 
+};
@@ -12,10 +12,8 @@ router.delete('/tasks/:taskId', authMiddleware, geminiController.deleteTask);
 router.patch('/tasks/:taskId/roadmap/:itemIndex', authMiddleware, geminiController.updateRoadmapItem);
 router.patch('/tasks/:taskId/group-subtask/:headerIndex/:subtaskIndex', authMiddleware, geminiController.updateGroupSubtask);
 router.patch('/tasks/:taskId/assign', authMiddleware, geminiController.assignGroupTask);
-router.get('/task-notifications', authMiddleware, geminiController.getTaskNotifications);
-router.patch('/task-notifications/:notificationId/read', authMiddleware, geminiController.markNotificationAsRead);
 router.get('/analytics', authMiddleware, geminiController.getTaskAnalytics);
 router.get('/group-analytics', authMiddleware, geminiController.getGroupAnalytics);
-router.post('/migrate-tasks', authMiddleware, geminiController.migrateTasksCompletedField); // **NEW: Migration route**
+router.get('/group-member-workloads', authMiddleware, geminiController.getGroupMemberWorkloads);
 
 export default router;
\ No newline at end of file
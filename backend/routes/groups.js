@@ -5,8 +5,56 @@ import {
   leaveGroup,
   getGroupDetails,
   getCurrentGroup,
-  getAllGroups
+  getMyGroups,
+  discoverGroups,
+  getAllGroups,
+  promoteMember,
+  demoteMember,
+  transferOwnership,
+  kickMember,
+  banMember,
+  getBans,
+  unbanMember,
+  muteMember,
+  unmuteMember,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest
 } from '../controllers/groupController.js';
+import {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  regenerateJoinCode,
+  previewJoinCode
+} from '../controllers/inviteController.js';
+import {
+  getGroupMessages,
+  searchGroupMessages,
+  markGroupMessagesRead,
+  getReadReceipts,
+  sendGroupMessage,
+  editGroupMessage,
+  deleteGroupMessage,
+  createGroupPoll,
+  voteGroupPoll,
+  closeGroupPoll,
+  getPinnedGroupMessages,
+  pinGroupMessage,
+  unpinGroupMessage,
+  postGroupAnnouncement
+} from '../controllers/messageController.js';
+import { createCheckin, getCheckinHistory } from '../controllers/checkinController.js';
+import {
+  getGoals,
+  createGoal,
+  getGoal,
+  updateGoal,
+  updateGoalStatus,
+  deleteGoal,
+  linkTaskToGoal,
+  unlinkTaskFromGoal
+} from '../controllers/goalController.js';
 import auth from '../middleware/auth.js';
 
 const router = express.Router();
@@ -20,6 +68,15 @@ router.post('/join', createOrJoinGroup);
 // Get current user's group
 router.get('/current', getCurrentGroup);
 
+// Every group the user belongs to (must be before /:groupId)
+router.get('/mine', getMyGroups);
+
+// Public group directory (must be before /:groupId)
+router.get('/discover', discoverGroups);
+
+// Preview a group by join code (must be before /:groupId)
+router.get('/join/:joinCode', previewJoinCode);
+
 // Debug: Get all groups (must be before /:groupId)
 router.get('/debug/all', getAllGroups);
 
@@ -32,4 +89,62 @@ router.put('/:groupId', updateGroup);
 // Leave group
 router.delete('/:groupId/leave', leaveGroup);
 
+// Member roles
+router.post('/:groupId/members/:userId/promote', promoteMember);
+router.post('/:groupId/members/:userId/demote', demoteMember);
+router.post('/:groupId/members/:userId/transfer-ownership', transferOwnership);
+
+// Moderation
+router.delete('/:groupId/members/:userId', kickMember);
+router.post('/:groupId/members/:userId/ban', banMember);
+router.post('/:groupId/members/:userId/mute', muteMember);
+router.delete('/:groupId/members/:userId/mute', unmuteMember);
+router.get('/:groupId/bans', getBans);
+router.delete('/:groupId/bans/:userId', unbanMember);
+
+// Join requests for approval-only groups
+router.get('/:groupId/join-requests', getJoinRequests);
+router.post('/:groupId/join-requests/:userId/approve', approveJoinRequest);
+router.post('/:groupId/join-requests/:userId/reject', rejectJoinRequest);
+
+// Invite links and join code
+router.post('/:groupId/invites', createInvite);
+router.get('/:groupId/invites', getInvites);
+router.delete('/:groupId/invites/:inviteId', revokeInvite);
+router.post('/:groupId/join-code', regenerateJoinCode);
+
+// Chat history (cursor-paginated), search and REST fallbacks for the chat socket events
+router.get('/:groupId/messages', getGroupMessages);
+router.get('/:groupId/messages/search', searchGroupMessages);
+router.post('/:groupId/messages', sendGroupMessage);
+router.patch('/:groupId/messages/:messageId', editGroupMessage);
+router.delete('/:groupId/messages/:messageId', deleteGroupMessage);
+router.post('/:groupId/read', markGroupMessagesRead);
+router.get('/:groupId/read-receipts', getReadReceipts);
+
+// Chat polls (REST fallbacks for the poll socket events)
+router.post('/:groupId/polls', createGroupPoll);
+router.put('/:groupId/polls/:messageId/vote', voteGroupPoll);
+router.post('/:groupId/polls/:messageId/close', closeGroupPoll);
+
+// Pinned messages and announcements (admins pin and announce)
+router.get('/:groupId/pins', getPinnedGroupMessages);
+router.put('/:groupId/pins/:messageId', pinGroupMessage);
+router.delete('/:groupId/pins/:messageId', unpinGroupMessage);
+router.post('/:groupId/announcements', postGroupAnnouncement);
+
+// Daily check-ins
+router.post('/:groupId/checkins', createCheckin);
+router.get('/:groupId/checkins', getCheckinHistory);
+
+// Group goals
+router.get('/:groupId/goals', getGoals);
+router.post('/:groupId/goals', createGoal);
+router.get('/:groupId/goals/:goalId', getGoal);
+router.put('/:groupId/goals/:goalId', updateGoal);
+router.patch('/:groupId/goals/:goalId/status', updateGoalStatus);
+router.delete('/:groupId/goals/:goalId', deleteGoal);
+router.put('/:groupId/goals/:goalId/tasks/:taskId', linkTaskToGoal);
+router.delete('/:groupId/goals/:goalId/tasks/:taskId', unlinkTaskFromGoal);
+
 export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { previewInvite, acceptInvite } from '../controllers/inviteController.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// See which group an invite link leads to before joining
+router.get('/:token', previewInvite);
+
+router.post('/:token/accept', acceptInvite);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getNotifications,
+  getNotificationUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../controllers/notificationController.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Inbox (cursor-paginated, filterable by type, groupId and unread)
+router.get('/', getNotifications);
+
+router.get('/unread-count', getNotificationUnreadCount);
+
+// Mark all as read (must be before /:notificationId)
+router.patch('/read-all', markAllNotificationsRead);
+
+router.patch('/:notificationId/read', markNotificationRead);
+
+export default router;
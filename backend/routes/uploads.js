@@ -0,0 +1,14 @@
+import express from 'express';
+import { uploadFile } from '../controllers/uploadController.js';
+import auth from '../middleware/auth.js';
+import receiveUpload from '../middleware/upload.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Multipart upload with a single `file` field
+router.post('/', receiveUpload, uploadFile);
+
+export default router;
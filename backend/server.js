@@ -10,8 +10,16 @@ import connectToSockets from './config/sockets.js';
 import authRoutes from "./routes/auth.js";
 import geminiRoutes from "./routes/gemini.js";
 import groupRoutes from "./routes/groups.js";
+import notificationRoutes from "./routes/notifications.js";
+import inviteRoutes from "./routes/invites.js";
+import uploadRoutes from "./routes/uploads.js";
+import { getStorage } from "./services/storageService.js";
 import { mockApiEndpoints } from './utils/mockData.js';
 import { checkDatabaseConnection, reconnectDatabase } from './utils/database.js';
+import { startStreakScheduler } from './services/streakService.js';
+import { startGoalDeadlineScheduler } from './services/goalDeadlineService.js';
+import { moveEmbeddedTasks } from './services/taskMigrationService.js';
+import { migrateGroupRoles } from './services/groupRoleMigrationService.js';
 
 const PORT = process.env.PORT || 5001;
 const URL = process.env.MONGODB_URI;
@@ -20,10 +28,13 @@ const app = express();
 const server = createServer(app);
 const io = connectToSockets(server);
 
+// Controllers reach the Socket.IO server through req.app.get('io')
+app.set('io', io);
+
 app.use(
   cors({
     origin: ["http://localhost:5173", "http://127.0.0.1:5173"],
-    methods: ["GET", "POST", "PUT", "DELETE"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     credentials: true,
     allowedHeaders: [
       "Content-Type",
@@ -36,13 +47,20 @@ app.use(
   })
 );
 
-app.use(express.json({limit: "10mb"}));
-app.use(express.urlencoded({limit: "10mb", extended: true}));
+// Files go through /api/uploads, so JSON bodies stay small
+app.use(express.json({limit: "1mb"}));
+app.use(express.urlencoded({limit: "1mb", extended: true}));
 app.use(cookieParser());
 
 app.use('/api/auth', authRoutes);
 app.use('/api/ai', geminiRoutes);
 app.use('/api/groups', groupRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/uploads', uploadRoutes);
+
+// Serve uploaded files when the storage driver keeps them on this server
+getStorage().mount?.(app);
 
 app.get('/api/health', (req, res) => {
   const dbConnection = checkDatabaseConnection();
@@ -164,6 +182,26 @@ const connectDatabase = async () => {
 const startServer = async () => {
   const dbConnected = await connectDatabase();
   
+  if (dbConnected) {
+    // One-off data migration: tasks used to be embedded in User documents
+    try {
+      await moveEmbeddedTasks();
+    } catch (error) {
+      console.error('❌ Failed to move embedded tasks:', error);
+    }
+
+    // Groups used to have a single admin and no owner
+    try {
+      await migrateGroupRoles();
+    } catch (error) {
+      console.error('❌ Failed to migrate group roles:', error);
+    }
+
+    // Group streaks and goal deadline reminders are evaluated in the background
+    startStreakScheduler(io);
+    startGoalDeadlineScheduler(io);
+  }
+  
   // Add mock endpoints if database is offline
   if (!dbConnected) {
     console.log('🔧 Setting up mock API endpoints for offline development...');
@@ -174,6 +212,11 @@ const startServer = async () => {
       mockApiEndpoints['/api/groups/current'](req, res);
     });
     
+    app.get('/api/groups/mine', (req, res) => {
+      console.log('📝 Mock: getMyGroups called');
+      mockApiEndpoints['/api/groups/mine'](req, res);
+    });
+    
     app.get('/api/groups/current/:groupId', (req, res) => {
       console.log('📝 Mock: getCurrentGroup called with groupId:', req.params.groupId);
       mockApiEndpoints['/api/groups/current'](req, res);
@@ -189,6 +232,16 @@ const startServer = async () => {
       mockApiEndpoints['/api/groups/leave'](req, res);
     });
     
+    app.get('/api/groups/:groupId/messages', (req, res) => {
+      console.log('📝 Mock: getGroupMessages called with groupId:', req.params.groupId);
+      mockApiEndpoints['/api/groups/messages'](req, res);
+    });
+    
+    app.get('/api/notifications', (req, res) => {
+      console.log('📝 Mock: getNotifications called');
+      mockApiEndpoints['/api/notifications'](req, res);
+    });
+    
     app.get('/api/auth/check', (req, res) => {
       console.log('📝 Mock: auth check called');
       mockApiEndpoints['/api/auth/check'](req, res);
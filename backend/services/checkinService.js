@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import Checkin from "../models/Checkin.js";
+import Goal from "../models/Goal.js";
+import User from "../models/User.js";
+import { getDayKey, dayKeyToDate } from "../utils/dates.js";
+import { postGroupMessage, checkMemberMute } from "./messageService.js";
+import { findOwnUploads, toAttachment, formatAttachment } from "./uploadService.js";
+
+export const CHECKIN_POINTS = {
+  completed: 10,
+  partial: 5,
+  missed: 0,
+};
+
+const CHECKIN_LABELS = {
+  completed: "✅ Completed today's goal",
+  partial: "🟡 Partially completed today's goal",
+  missed: "❌ Missed today's goal",
+};
+
+const MAX_PROOF_URL_LENGTH = 2048;
+
+export const formatCheckin = (checkin) => ({
+  id: checkin._id,
+  user: checkin.user?.username
+    ? { id: checkin.user._id, username: checkin.user.username, avatar: checkin.user.avatar }
+    : { id: checkin.user },
+  group: checkin.group,
+  goal: checkin.goal || null,
+  date: getDayKey(checkin.date),
+  status: checkin.status,
+  message: checkin.message,
+  proof: checkin.proof,
+  proofAttachment: checkin.proofAttachment ? formatAttachment(checkin.proofAttachment) : null,
+  points: checkin.points,
+  createdAt: checkin.createdAt,
+  updatedAt: checkin.updatedAt,
+});
+
+const isProofUrl = (value) => {
+  if (typeof value !== "string" || value.length > MAX_PROOF_URL_LENGTH) {
+    return false;
+  }
+
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// Check a member in for today in the group's timezone (re-checking in the same
+// day updates the existing entry). The check-in is announced in the chat unless
+// `announce` is false, e.g. when the caller posts its own message, or the
+// member is muted: muting silences the chat, not the streak.
+// Returns { success, checkin, isNewCheckin } or { success: false, status, message }.
+export const recordCheckin = async (
+  io,
+  group,
+  userId,
+  { status = "completed", message = "", proof = null, proofUploadId, goalId },
+  { announce = true } = {}
+) => {
+  if (!Object.keys(CHECKIN_POINTS).includes(status)) {
+    return { success: false, status: 400, message: "Status must be one of: completed, partial, missed" };
+  }
+
+  if (typeof message !== "string" || message.length > 500) {
+    return { success: false, status: 400, message: "Message must be at most 500 characters" };
+  }
+
+  if (
+    goalId &&
+    (!mongoose.Types.ObjectId.isValid(goalId) || !(await Goal.exists({ _id: goalId, groupId: group._id })))
+  ) {
+    return { success: false, status: 400, message: "Invalid goal ID" };
+  }
+
+  // Legacy link-style proof; new clients upload a file instead
+  if (proof && !isProofUrl(proof)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Proof must be an http(s) URL of at most ${MAX_PROOF_URL_LENGTH} characters`,
+    };
+  }
+
+  // Uploaded proof must be the member's own file
+  let proofUpload = null;
+  if (proofUploadId) {
+    [proofUpload] = (await findOwnUploads(userId, [proofUploadId])) || [];
+    if (!proofUpload) {
+      return { success: false, status: 400, message: "Invalid proof upload" };
+    }
+  }
+
+  // The check-in day follows the group's timezone, like the streak job
+  const day = dayKeyToDate(getDayKey(new Date(), group.timezone || "UTC"));
+
+  let checkin = await Checkin.findOne({ user: userId, group: group._id, date: day });
+  const isNewCheckin = !checkin;
+
+  if (isNewCheckin) {
+    checkin = new Checkin({ user: userId, group: group._id, date: day });
+  }
+
+  checkin.status = status;
+  checkin.message = message.trim();
+  checkin.proof = proofUpload ? proofUpload.url : proof || null;
+  checkin.proofAttachment = proofUpload ? toAttachment(proofUpload) : null;
+  checkin.points = CHECKIN_POINTS[status];
+  if (goalId) checkin.goal = goalId;
+
+  await checkin.save();
+
+  const userUpdate = { lastCheckinDate: new Date() };
+  if (isNewCheckin) {
+    userUpdate.$push = { checkinHistory: { date: day, groupId: group._id } };
+  }
+  await User.findByIdAndUpdate(userId, userUpdate);
+
+  if (announce && !checkMemberMute(group, userId)) {
+    const text = checkin.message
+      ? `${CHECKIN_LABELS[status]}: ${checkin.message}`
+      : CHECKIN_LABELS[status];
+
+    await postGroupMessage(io, group, {
+      senderId: userId,
+      text,
+      messageType: "checkin",
+      attachments: proofUpload ? [toAttachment(proofUpload)] : [],
+    });
+  }
+
+  return { success: true, checkin, isNewCheckin };
+};
+
+export default {
+  CHECKIN_POINTS,
+  formatCheckin,
+  recordCheckin,
+};
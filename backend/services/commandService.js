@@ -0,0 +1,250 @@
+import User from "../models/User.js";
+import Task from "../models/Task.js";
+import Checkin from "../models/Checkin.js";
+import { isGroupAdmin } from "../utils/groups.js";
+import { getDayKey, dayKeyToDate } from "../utils/dates.js";
+import { postGroupMessage, checkMemberMute } from "./messageService.js";
+import { recordCheckin } from "./checkinService.js";
+import { getRequiredCheckins } from "./streakService.js";
+import { isTaskOwner, notifyHeaderAssignment } from "./taskService.js";
+import { parseLeadingMention } from "./mentionService.js";
+import { createPoll, MIN_POLL_OPTIONS, MAX_POLL_OPTIONS } from "./pollService.js";
+
+// Slash commands typed into the group chat. Each one runs on behalf of the
+// member and reports back to the room with a system message, or with the
+// message it created (like /poll).
+
+const MAX_COMMAND_LENGTH = 1000;
+const MAX_TITLE_LENGTH = 100;
+const DURATION_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const CHECKIN_STATUSES = {
+  done: "completed",
+  completed: "completed",
+  partial: "partial",
+  missed: "missed",
+};
+
+const CHECKIN_SUMMARIES = {
+  completed: "✅ {user} completed today's goal",
+  partial: "🟡 {user} partially completed today's goal",
+  missed: "❌ {user} missed today's goal",
+};
+
+// Split arguments on whitespace, keeping "quoted phrases" together
+const tokenize = (input) =>
+  [...input.matchAll(/"([^"]*)"|“([^”]*)”|(\S+)/g)].map((match) => match[1] ?? match[2] ?? match[3]);
+
+const usageError = (command) => ({ success: false, status: 400, message: `Usage: ${COMMANDS[command].usage}` });
+
+const countCompletedToday = (group) =>
+  Checkin.countDocuments({
+    group: group._id,
+    date: dayKeyToDate(getDayKey(new Date(), group.timezone || "UTC")),
+    status: "completed",
+    user: { $in: group.members },
+  });
+
+const checkinCommand = async ({ io, group, user }, args) => {
+  const [first = "done", ...rest] = tokenize(args);
+  const status = CHECKIN_STATUSES[first.toLowerCase()];
+  if (!status) {
+    return usageError("checkin");
+  }
+
+  const note = rest.join(" ");
+  const result = await recordCheckin(io, group, user._id, { status, message: note }, { announce: false });
+  if (!result.success) {
+    return result;
+  }
+
+  const completed = await countCompletedToday(group);
+  const summary = CHECKIN_SUMMARIES[status].replace("{user}", user.username);
+  return {
+    success: true,
+    text: `${summary}${note ? `: "${note}"` : ""} (${completed}/${getRequiredCheckins(group)} check-ins needed today)`,
+  };
+};
+
+const taskCommand = async ({ group, user }, args) => {
+  const [action, title, ...sections] = tokenize(args);
+  if (action?.toLowerCase() !== "add" || !title) {
+    return usageError("task");
+  }
+
+  const titles = [title, ...sections].map((value) => value.trim());
+  if (titles[0].length < 3 || titles.some((value) => !value || value.length > MAX_TITLE_LENGTH)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Task titles need 3 to ${MAX_TITLE_LENGTH} characters and sections at most ${MAX_TITLE_LENGTH}`,
+    };
+  }
+
+  await Task.create({
+    title: titles[0],
+    owner: user._id,
+    isGroupTask: true,
+    groupId: group._id,
+    taskHeaders: titles.slice(1).map((header) => ({ title: header, subtasks: [] })),
+  });
+
+  return {
+    success: true,
+    text: titles.length > 1
+      ? `📋 ${user.username} added the task "${titles[0]}" with sections: ${titles.slice(1).join(", ")}`
+      : `📋 ${user.username} added the task "${titles[0]}"`,
+  };
+};
+
+// Hand a section of the group's newest open task that has it to a member
+const assignCommand = async ({ io, group, user }, args) => {
+  const members = await User.find({ _id: { $in: group.members } }).select("username");
+  const mention = parseLeadingMention(args, members);
+  const sectionTitle = mention && tokenize(mention.rest).join(" ").trim();
+  if (!sectionTitle) {
+    return usageError("assign");
+  }
+
+  const tasks = await Task.find({ groupId: group._id, isGroupTask: true, completed: false }).sort({ createdAt: -1 });
+  const lowerTitle = sectionTitle.toLowerCase();
+  const task = tasks.find((candidate) =>
+    candidate.taskHeaders.some((header) => header.title.toLowerCase() === lowerTitle)
+  );
+  if (!task) {
+    return { success: false, status: 404, message: `No open group task has a section called "${sectionTitle}"` };
+  }
+
+  // Same rule as assigning from the task UI
+  if (!isTaskOwner(task, user._id) && !isGroupAdmin(group, user._id)) {
+    return {
+      success: false,
+      status: 403,
+      message: "Only the task owner or a group admin can assign sections",
+    };
+  }
+
+  const header = task.taskHeaders.find((candidate) => candidate.title.toLowerCase() === lowerTitle);
+  const previousAssignee = header.assignedTo?.toString() || null;
+  header.assignedTo = mention.member._id;
+  await task.save();
+
+  if (mention.member._id.toString() !== previousAssignee) {
+    await notifyHeaderAssignment(io, task, header, user);
+  }
+
+  return {
+    success: true,
+    text: `👤 ${user.username} assigned "${header.title}" in "${task.title}" to ${mention.member.username}`,
+  };
+};
+
+const streakCommand = async ({ group }) => {
+  const completed = await countCompletedToday(group);
+  const required = getRequiredCheckins(group);
+  const streak = group.streakCount > 0
+    ? `🔥 The group streak is ${group.streakCount} day${group.streakCount === 1 ? "" : "s"}.`
+    : "🔥 No active streak yet.";
+
+  return {
+    success: true,
+    text: `${streak} Today: ${completed} of ${required} required check-ins done.`,
+  };
+};
+
+// Options start with --: --multi, --anonymous and --closes <30m|2h|1d>
+const pollCommand = async ({ io, group, user }, args) => {
+  const tokens = tokenize(args);
+  const values = [];
+  const settings = { allowMultiple: false, isAnonymous: false, closesAt: null };
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (token === "--multi") {
+      settings.allowMultiple = true;
+    } else if (token === "--anonymous") {
+      settings.isAnonymous = true;
+    } else if (token === "--closes") {
+      const [, amount, unit] = (tokens[index + 1] || "").toLowerCase().match(/^(\d+)([mhd])$/) || [];
+      if (!amount) {
+        return usageError("poll");
+      }
+      settings.closesAt = new Date(Date.now() + Number(amount) * DURATION_UNITS_MS[unit]);
+      index += 1;
+    } else {
+      values.push(token);
+    }
+  }
+
+  const [question, ...options] = values;
+  if (!question || options.length < MIN_POLL_OPTIONS) {
+    return usageError("poll");
+  }
+
+  return createPoll(io, group, user._id, { question, options, ...settings });
+};
+
+const COMMANDS = {
+  checkin: { usage: '/checkin [done|partial|missed] ["note"]', run: checkinCommand },
+  task: { usage: '/task add "title" ["section" ...]', run: taskCommand },
+  assign: { usage: '/assign @user "section"', run: assignCommand },
+  streak: { usage: "/streak", run: streakCommand },
+  poll: {
+    usage: `/poll "question" "option" "option" ... (up to ${MAX_POLL_OPTIONS}) [--multi] [--anonymous] [--closes 2h]`,
+    run: pollCommand,
+  },
+};
+
+// The command named by the first word of `text`, or null. Any other text
+// starting with a slash ("/r/reactjs", "/shrug") is an ordinary message.
+const findCommand = (text) => {
+  const match = typeof text === "string" && text.trim().match(/^\/(\S+)/);
+  const name = match ? match[1].toLowerCase() : null;
+  return name && Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+};
+
+export const isChatCommand = (text) => !!findCommand(text);
+
+// Run a slash command for a member and post its result to the room. Returns
+// { success, message } like sendMemberMessage, or { success: false, status, message }.
+export const runChatCommand = async (io, group, userId, text) => {
+  const trimmed = text.trim();
+  if (trimmed.length > MAX_COMMAND_LENGTH) {
+    return { success: false, status: 400, message: `Commands must be at most ${MAX_COMMAND_LENGTH} characters` };
+  }
+
+  const command = findCommand(trimmed);
+  if (!command) {
+    return {
+      success: false,
+      status: 400,
+      message: `Unknown command. Available: ${Object.keys(COMMANDS).map((key) => `/${key}`).join(", ")}`,
+    };
+  }
+  const [, args] = trimmed.match(/^\/\S+\s*([\s\S]*)$/);
+
+  // Commands post to the room, so they're off limits while muted too
+  const muted = checkMemberMute(group, userId);
+  if (muted) {
+    return muted;
+  }
+
+  const user = await User.findById(userId).select("username");
+  if (!user) {
+    return { success: false, status: 404, message: "User not found" };
+  }
+
+  const result = await command.run({ io, group, user }, args);
+  if (!result.success || !result.text) {
+    return result;
+  }
+
+  // A summary quoting most of a long command could pass the message length limit
+  const message = await postGroupMessage(io, group, { text: result.text.slice(0, 1000), messageType: "system" });
+  return { success: true, message };
+};
+
+export default {
+  isChatCommand,
+  runChatCommand,
+};
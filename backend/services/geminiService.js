@@ -1,6 +1,7 @@
 import { GoogleGenAI } from "@google/genai";
 import axios from "axios";
 import User from "../models/User.js";
+import Task from "../models/Task.js";
 
 class GeminiService {
   constructor() {
@@ -552,7 +553,7 @@ Return ONLY the JSON object, no markdown formatting or code blocks.
         milestones: processedMilestones,
         resources: validatedResources,
         overallProgress: 0,
-        UserId: userId,
+        owner: userId,
         isGroupTask: isGroupMode,
         groupId: currentGroupId,
         taskHeaders: isGroupMode ? (taskData.taskHeaders || []) : undefined,
@@ -565,12 +566,11 @@ Return ONLY the JSON object, no markdown formatting or code blocks.
         hasTaskHeaders: !!newTask.taskHeaders
       });
 
-      user.tasks.push(newTask);
-      await user.save();
+      const createdTask = await Task.create(newTask);
 
       return {
         success: true,
-        task: newTask,
+        task: createdTask,
         generatedAt: new Date().toISOString(),
       };
     } catch (error) {
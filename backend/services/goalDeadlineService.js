@@ -0,0 +1,63 @@
+import Goal from "../models/Goal.js";
+import Group from "../models/Group.js";
+import { notifyUsers } from "./notificationService.js";
+import { checkDatabaseConnection } from "../utils/database.js";
+
+const DEADLINE_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+// Members are warned once when an active goal is due within this window
+const DEADLINE_WARNING_MS = 24 * 60 * 60 * 1000;
+
+export const runGoalDeadlineCheck = async (io = null, now = new Date()) => {
+  if (!checkDatabaseConnection().isConnected) {
+    console.warn("⚠️ Database not connected, skipping goal deadline check");
+    return;
+  }
+
+  const goals = await Goal.find({
+    status: "active",
+    deadlineReminderSentAt: null,
+    deadline: { $gt: now, $lte: new Date(now.getTime() + DEADLINE_WARNING_MS) },
+  });
+
+  for (const goal of goals) {
+    try {
+      // Claim the reminder first so a concurrent run can't send it twice
+      const claimed = await Goal.findOneAndUpdate(
+        { _id: goal._id, deadlineReminderSentAt: null },
+        { $set: { deadlineReminderSentAt: now } }
+      );
+      if (!claimed) continue;
+
+      const group = await Group.findById(goal.groupId).select("name members");
+      if (!group) continue;
+
+      await notifyUsers(io, group.members, {
+        type: "goal_deadline",
+        title: "Goal deadline approaching",
+        message: `"${goal.title}" in "${group.name}" is due ${goal.deadline.toUTCString()}.`,
+        groupId: group._id,
+        goalId: goal._id,
+      });
+    } catch (error) {
+      console.error(`Error sending deadline reminder for goal ${goal._id}:`, error);
+    }
+  }
+};
+
+export const startGoalDeadlineScheduler = (io) => {
+  const tick = () => {
+    runGoalDeadlineCheck(io).catch((error) => {
+      console.error("Goal deadline check failed:", error);
+    });
+  };
+
+  tick();
+  const timer = setInterval(tick, DEADLINE_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default {
+  runGoalDeadlineCheck,
+  startGoalDeadlineScheduler,
+};
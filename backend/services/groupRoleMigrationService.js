@@ -0,0 +1,46 @@
+import Group from "../models/Group.js";
+
+// Groups created before roles existed stored a single admin id in `admins` and
+// had no owner. Make `admins` an array and promote its first entry (or the
+// first member) to owner. Already-migrated groups are skipped, so this is safe
+// to run on every start.
+export const migrateGroupRoles = async () => {
+  // Read the raw documents: the schema would already cast `admins` to an array
+  const cursor = Group.collection.find(
+    { owner: { $exists: false } },
+    { projection: { admins: 1, members: 1 } }
+  );
+
+  let migratedGroups = 0;
+
+  for await (const group of cursor) {
+    const admins = [].concat(group.admins || []);
+    const owner = admins[0] || (group.members || [])[0];
+
+    if (!owner) {
+      continue;
+    }
+
+    const ownerId = owner.toString();
+    await Group.collection.updateOne(
+      { _id: group._id },
+      {
+        $set: {
+          owner,
+          admins: [owner, ...admins.filter((admin) => admin.toString() !== ownerId)],
+        },
+      }
+    );
+    migratedGroups++;
+  }
+
+  if (migratedGroups > 0) {
+    console.log(`👑 Assigned owners and admin lists to ${migratedGroups} groups`);
+  }
+
+  return { migratedGroups };
+};
+
+export default {
+  migrateGroupRoles,
+};
@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import { notifyUsers } from "./notificationService.js";
+import { isGroupMember, getGroupRoom } from "../utils/groups.js";
+
+// Add a user to a group (if needed), make it their current group and let the
+// existing members know. Returns whether they were already a member.
+export const addMemberToGroup = async (io, group, userId) => {
+  const alreadyMember = isGroupMember(group, userId);
+
+  if (!alreadyMember) {
+    const existingMembers = [...group.members];
+    group.members.push(userId);
+    // Joining another way (e.g. an invite link) settles any pending request
+    group.joinRequests = group.joinRequests.filter((request) => !request.user.equals(userId));
+    await group.save();
+
+    const joiningUser = await User.findById(userId).select("username");
+    await notifyUsers(io, existingMembers, {
+      type: "member_joined",
+      title: "New group member",
+      message: `${joiningUser?.username || "Someone"} joined "${group.name}".`,
+      groupId: group._id,
+    });
+  }
+
+  await User.findByIdAndUpdate(userId, {
+    currentGroupId: group.joinCode,
+    $addToSet: { groups: group.joinCode },
+  });
+
+  return { alreadyMember };
+};
+
+export const generateJoinCode = () => crypto.randomBytes(5).toString("hex").toUpperCase();
+
+// Swap a group's join code. Users reference groups by join code, so their
+// profiles are rewritten too, and open chat clients are told to switch.
+export const replaceJoinCode = async (io, group) => {
+  const previousCode = group.joinCode;
+  group.joinCode = generateJoinCode();
+  await group.save();
+
+  await User.updateMany({ currentGroupId: previousCode }, { currentGroupId: group.joinCode });
+  await User.updateMany({ groups: previousCode }, { $set: { "groups.$": group.joinCode } });
+
+  if (io) {
+    io.to(getGroupRoom(group)).emit("group:joinCodeChanged", {
+      groupId: group._id.toString(),
+      joinCode: group.joinCode,
+    });
+  }
+
+  return group.joinCode;
+};
+
+export default {
+  addMemberToGroup,
+  generateJoinCode,
+  replaceJoinCode,
+};
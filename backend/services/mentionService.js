@@ -0,0 +1,95 @@
+import User from "../models/User.js";
+import { notifyUsers } from "./notificationService.js";
+
+const MENTION_SNIPPET_LENGTH = 120;
+
+// A mention can't start or end in the middle of a word (e.g. an email address)
+const WORD_CHAR = /\w/;
+
+// Longest usernames first, so "@Bob Smith" isn't read as a mention of "Bob"
+const toCandidates = (members) =>
+  members
+    .filter((member) => member.username)
+    .map((member) => ({ member, name: member.username.toLowerCase() }))
+    .sort((a, b) => b.name.length - a.name.length);
+
+// The candidate whose @username starts at `at` in the lowercased text
+const matchAt = (lower, at, candidates) => {
+  if (at > 0 && WORD_CHAR.test(lower[at - 1])) {
+    return null;
+  }
+
+  const rest = lower.slice(at + 1);
+  return (
+    candidates.find(({ name }) => rest.startsWith(name) && !WORD_CHAR.test(rest[name.length] || "")) || null
+  );
+};
+
+// Members ({ _id, username }) tagged as @username in the text. Usernames may
+// contain spaces, so known usernames are matched case-insensitively instead of
+// parsing a token after the @.
+export const findMentionedMembers = (text, members) => {
+  const lower = text.toLowerCase();
+  const candidates = toCandidates(members);
+  const mentioned = new Map();
+
+  for (let at = lower.indexOf("@"); at !== -1; at = lower.indexOf("@", at + 1)) {
+    const match = matchAt(lower, at, candidates);
+    if (match) {
+      mentioned.set(match.member._id.toString(), match.member);
+    }
+  }
+
+  return [...mentioned.values()];
+};
+
+// The member mentioned at the very start of the text and whatever follows the
+// mention, as { member, rest }, or null
+export const parseLeadingMention = (text, members) => {
+  const trimmed = text.trimStart();
+  const match = trimmed.startsWith("@") ? matchAt(trimmed.toLowerCase(), 0, toCandidates(members)) : null;
+  if (!match) {
+    return null;
+  }
+
+  return { member: match.member, rest: trimmed.slice(match.name.length + 1).trim() };
+};
+
+// Ids of the group's members mentioned in the text
+export const resolveMentions = async (group, text) => {
+  if (!text || !text.includes("@")) {
+    return [];
+  }
+
+  const members = await User.find({ _id: { $in: group.members } }).select("username");
+  return findMentionedMembers(text, members).map((member) => member._id);
+};
+
+// Notify mentioned members of a message (formatted), skipping the sender and
+// anyone in `alreadyNotified` (mentions that existed before an edit)
+export const notifyMentions = async (io, group, message, alreadyNotified = []) => {
+  const skip = new Set([message.sender?.id, ...alreadyNotified.map(String)]);
+  const recipients = message.mentions.map((mention) => mention.id).filter((id) => !skip.has(id));
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  const snippet =
+    message.text.length > MENTION_SNIPPET_LENGTH
+      ? `${message.text.slice(0, MENTION_SNIPPET_LENGTH)}…`
+      : message.text;
+
+  return notifyUsers(io, recipients, {
+    type: "mention",
+    title: `${message.sender?.username || "Someone"} mentioned you`,
+    message: `In "${group.name}": ${snippet}`,
+    groupId: group._id,
+  });
+};
+
+export default {
+  findMentionedMembers,
+  parseLeadingMention,
+  resolveMentions,
+  notifyMentions,
+};
@@ -0,0 +1,552 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Group from "../models/Group.js";
+import { getGroupRoom, isGroupAdmin, getActiveMute } from "../utils/groups.js";
+import { getUserRoom } from "./notificationService.js";
+import { findOwnUploads, toAttachment, formatAttachment, MAX_ATTACHMENTS_PER_MESSAGE } from "./uploadService.js";
+import { resolveMentions, notifyMentions } from "./mentionService.js";
+
+const SENDER_FIELDS = "username avatar";
+
+// Senders can edit their own text messages for this long after sending
+export const MESSAGE_EDIT_WINDOW_MINUTES = 15;
+const REPLY_PREVIEW_LENGTH = 100;
+const MAX_SEARCH_LENGTH = 100;
+const MESSAGE_TYPES = Message.schema.path("messageType").enumValues;
+
+// Reactions offered by the picker; anything else is rejected
+export const REACTION_EMOJIS = ["👍", "❤️", "🔥", "💪", "🎉", "👏", "😂", "🙌"];
+
+// Everything formatMessage needs populated
+const MESSAGE_POPULATE = [
+  { path: "sender", select: SENDER_FIELDS },
+  // The quoted message shown above a reply
+  {
+    path: "replyTo",
+    select: "text sender messageType isDeleted attachments",
+    populate: { path: "sender", select: "username" },
+  },
+  { path: "reactions.user", select: "username" },
+  { path: "mentions", select: "username" },
+  { path: "poll.options.votes", select: "username" },
+  { path: "pinnedBy", select: "username" },
+];
+
+// Group reactions by emoji, in the order each emoji was first used
+const formatReactions = (reactions = []) => {
+  const byEmoji = new Map();
+
+  // Reactions of deleted accounts populate to null
+  reactions.filter((reaction) => reaction.user).forEach((reaction) => {
+    if (!byEmoji.has(reaction.emoji)) {
+      byEmoji.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [] });
+    }
+    const entry = byEmoji.get(reaction.emoji);
+    const user = reaction.user;
+    entry.count += 1;
+    entry.users.push({
+      id: (user._id || user).toString(),
+      username: user.username,
+    });
+  });
+
+  return [...byEmoji.values()];
+};
+
+export const isPollClosed = (poll, now = new Date()) =>
+  !!poll.closedAt || (!!poll.closesAt && poll.closesAt <= now);
+
+// Tallies for everyone; voter names only on open (non-anonymous) polls. The
+// viewer's own choices are only known when formatting for a specific user.
+const formatPoll = (poll, viewerId) => {
+  const idOf = (voter) => (voter._id || voter).toString();
+  const viewer = viewerId?.toString();
+  // Votes of deleted accounts populate to null
+  const options = poll.options.map((option) => ({ option, votes: option.votes.filter(Boolean) }));
+  const voters = new Set(options.flatMap(({ votes }) => votes.map(idOf)));
+
+  return {
+    question: poll.question,
+    allowMultiple: poll.allowMultiple,
+    isAnonymous: poll.isAnonymous,
+    closesAt: poll.closesAt || null,
+    closedAt: poll.closedAt || null,
+    isClosed: isPollClosed(poll),
+    totalVoters: voters.size,
+    options: options.map(({ option, votes }) => ({
+      id: option._id.toString(),
+      text: option.text,
+      votes: votes.length,
+      voters: poll.isAnonymous
+        ? []
+        : votes.filter((voter) => voter.username).map((voter) => ({ id: idOf(voter), username: voter.username })),
+    })),
+    myVotes: viewer
+      ? options
+          .filter(({ votes }) => votes.some((voter) => idOf(voter) === viewer))
+          .map(({ option }) => option._id.toString())
+      : null,
+  };
+};
+
+const formatReplyPreview = (replyTo) => {
+  // Only populated replies carry a preview
+  if (!replyTo?._id) {
+    return null;
+  }
+
+  return {
+    id: replyTo._id.toString(),
+    sender: replyTo.sender?.username
+      ? { id: replyTo.sender._id.toString(), username: replyTo.sender.username }
+      : null,
+    text: replyTo.isDeleted ? "" : replyTo.text.slice(0, REPLY_PREVIEW_LENGTH),
+    hasAttachments: !replyTo.isDeleted && replyTo.attachments?.length > 0,
+    isDeleted: !!replyTo.isDeleted,
+  };
+};
+
+// Shape a stored message the way the chat UI consumes it. Pass the viewer to
+// include their own poll votes, which broadcasts can't carry.
+export const formatMessage = (message, viewerId = null) => {
+  const sender = message.sender;
+
+  return {
+    id: message._id.toString(),
+    groupId: message.groupId.toString(),
+    sender: sender
+      ? {
+          id: (sender._id || sender).toString(),
+          username: sender.username,
+          avatar: sender.avatar || null,
+        }
+      : null,
+    // Deleted messages keep their place in the thread without their text
+    text: message.isDeleted ? "" : message.text,
+    attachments: message.isDeleted ? [] : (message.attachments || []).map(formatAttachment),
+    messageType: message.messageType,
+    replyTo: message.replyTo ? (message.replyTo._id || message.replyTo).toString() : null,
+    replyPreview: formatReplyPreview(message.replyTo),
+    isEdited: message.isEdited,
+    editedAt: message.editedAt || null,
+    isDeleted: !!message.isDeleted,
+    reactions: message.isDeleted ? [] : formatReactions(message.reactions),
+    poll: message.poll && !message.isDeleted ? formatPoll(message.poll, viewerId) : null,
+    // Deleted messages drop out of the pinned list
+    isPinned: !!message.isPinned && !message.isDeleted,
+    pinnedAt: message.isPinned ? message.pinnedAt : null,
+    pinnedBy: message.isPinned && message.pinnedBy?.username
+      ? { id: message.pinnedBy._id.toString(), username: message.pinnedBy.username }
+      : null,
+    // Mentions of deleted accounts populate to null
+    mentions: message.isDeleted
+      ? []
+      : (message.mentions || [])
+          .filter((user) => user?.username)
+          .map((user) => ({ id: user._id.toString(), username: user.username })),
+    createdAt: message.createdAt,
+  };
+};
+
+export const saveMessage = async ({
+  groupId,
+  senderId,
+  text,
+  messageType = "text",
+  replyTo = null,
+  attachments = [],
+  mentions = [],
+  poll = undefined,
+  pinnedBy = null,
+}) => {
+  const message = await Message.create({
+    groupId,
+    sender: senderId || undefined,
+    text,
+    messageType,
+    replyTo: replyTo || undefined,
+    attachments,
+    mentions,
+    poll,
+    isPinned: !!pinnedBy,
+    pinnedAt: pinnedBy ? new Date() : undefined,
+    pinnedBy: pinnedBy || undefined,
+  });
+
+  await message.populate(MESSAGE_POPULATE);
+  return formatMessage(message);
+};
+
+// Persist a message and broadcast it to everyone in the group's room
+export const postGroupMessage = async (
+  io,
+  group,
+  { senderId, text, messageType = "text", replyTo = null, attachments = [], mentions = [], poll, pinnedBy = null }
+) => {
+  const message = await saveMessage({
+    groupId: group._id,
+    senderId,
+    text,
+    messageType,
+    replyTo,
+    attachments,
+    mentions,
+    poll,
+    pinnedBy,
+  });
+
+  await Group.updateOne({ _id: group._id }, { lastActivityAt: message.createdAt });
+
+  if (io) {
+    io.to(getGroupRoom(group)).emit("receiveMessage", message);
+
+    // Sockets only sit in the room of the chat they have open, so members also
+    // hear about new messages in their personal room to keep unread badges current
+    const memberRooms = group.members
+      .map((member) => (member._id || member).toString())
+      .filter((memberId) => memberId !== senderId?.toString())
+      .map(getUserRoom);
+    if (memberRooms.length > 0) {
+      io.to(memberRooms).emit("group:activity", {
+        groupId: message.groupId,
+        messageId: message.id,
+        createdAt: message.createdAt,
+      });
+    }
+  }
+  return message;
+};
+
+// Up to `limit` messages matching `query`, walking `_id` in `direction`
+// (-1 newest first, 1 oldest first), plus whether more are left
+const findMessagePage = async (query, direction, limit) => {
+  const messages = await Message.find(query)
+    .sort({ _id: direction })
+    .limit(limit + 1)
+    .populate(MESSAGE_POPULATE);
+
+  return { page: messages.slice(0, limit), more: messages.length > limit };
+};
+
+// Cursor pagination, oldest first. By default returns the latest `limit`
+// messages, or those older than `before`. `after` pages forward instead, and
+// `around` returns a window centred on one message so search results and pins
+// can be shown in context. `nextCursor` continues backwards and `newerCursor`
+// forwards.
+export const getMessageHistory = async (
+  groupId,
+  { before, after, around, limit = 30, viewerId = null } = {}
+) => {
+  const format = (messages) => messages.map((message) => formatMessage(message, viewerId));
+
+  // Paging forward says nothing about older messages, which the client already has
+  if (after) {
+    const newer = await findMessagePage({ groupId, _id: { $gt: after } }, 1, limit);
+    return {
+      messages: format(newer.page),
+      hasNewer: newer.more,
+      newerCursor: newer.more ? newer.page[newer.page.length - 1]._id.toString() : null,
+    };
+  }
+
+  let older;
+  let newer = { page: [], more: false };
+  if (around) {
+    const olderLimit = Math.ceil(limit / 2);
+    [older, newer] = await Promise.all([
+      findMessagePage({ groupId, _id: { $lte: around } }, -1, olderLimit),
+      findMessagePage({ groupId, _id: { $gt: around } }, 1, limit - olderLimit),
+    ]);
+  } else {
+    older = await findMessagePage(before ? { groupId, _id: { $lt: before } } : { groupId }, -1, limit);
+  }
+
+  const page = [...older.page.reverse(), ...newer.page];
+  return {
+    messages: format(page),
+    hasMore: older.more,
+    nextCursor: older.more && page.length > 0 ? page[0]._id.toString() : null,
+    hasNewer: newer.more,
+    newerCursor: newer.more && page.length > 0 ? page[page.length - 1]._id.toString() : null,
+  };
+};
+
+// The error result for a member who is muted in the group, or null
+export const checkMemberMute = (group, userId) => {
+  const mute = getActiveMute(group, userId);
+  if (!mute) {
+    return null;
+  }
+
+  return {
+    success: false,
+    status: 403,
+    code: "MUTED",
+    mutedUntil: mute.until,
+    message: `You are muted in this group until ${mute.until.toUTCString()}`,
+  };
+};
+
+// Post a chat message on behalf of a member. Shared by the socket event and
+// the REST fallback; returns { success, message } or { success: false, status, message }.
+export const sendMemberMessage = async (io, group, userId, { text, replyTo = null, attachmentIds = [] }) => {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  const hasAttachments = Array.isArray(attachmentIds) && attachmentIds.length > 0;
+  if (!trimmed && !hasAttachments) {
+    return { success: false, status: 400, message: "Message text is required" };
+  }
+  if (trimmed.length > 1000) {
+    return { success: false, status: 400, message: "Message text must be at most 1000 characters" };
+  }
+
+  const muted = checkMemberMute(group, userId);
+  if (muted) {
+    return muted;
+  }
+
+  if (replyTo) {
+    const target = mongoose.Types.ObjectId.isValid(replyTo)
+      ? await Message.exists({ _id: replyTo, groupId: group._id })
+      : null;
+    if (!target) {
+      return { success: false, status: 400, message: "Invalid reply target" };
+    }
+  }
+
+  // Members can only attach files they uploaded themselves
+  const uploads = await findOwnUploads(userId, attachmentIds);
+  if (!uploads) {
+    return {
+      success: false,
+      status: 400,
+      message: `Attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files you uploaded`,
+    };
+  }
+
+  const message = await postGroupMessage(io, group, {
+    senderId: userId,
+    text: trimmed,
+    replyTo,
+    attachments: uploads.map(toAttachment),
+    mentions: await resolveMentions(group, trimmed),
+  });
+  await notifyMentions(io, group, message);
+
+  return { success: true, message };
+};
+
+// Pinned messages of the group, most recently pinned first
+export const getPinnedMessages = async (group) => {
+  const messages = await Message.find({ groupId: group._id, isPinned: true, isDeleted: { $ne: true } })
+    .sort({ pinnedAt: -1 })
+    .populate(MESSAGE_POPULATE);
+
+  return messages.map((message) => formatMessage(message));
+};
+
+// Load a message of this group for editing or deleting
+export const findGroupMessage = async (group, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return null;
+  }
+
+  return Message.findOne({ _id: messageId, groupId: group._id });
+};
+
+// Search a group's history, newest first. `q` is matched against the text
+// index (message text and attachment names); `sender`, `type`, `from` and `to`
+// narrow the results, and at least one of them or `q` is required. Returns
+// { success, results, hasMore, nextCursor } or { success: false, status, message }.
+export const searchMessages = async (
+  group,
+  { q, sender, type, from, to, before, limit = 20, viewerId = null } = {}
+) => {
+  const search = typeof q === "string" ? q.trim() : "";
+  if (search.length > MAX_SEARCH_LENGTH) {
+    return { success: false, status: 400, message: `Search terms can be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+  if (!search && !sender && !type && !from && !to) {
+    return { success: false, status: 400, message: "Enter search terms or pick a filter" };
+  }
+
+  const query = { groupId: group._id, isDeleted: { $ne: true } };
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  if (sender) {
+    if (!mongoose.Types.ObjectId.isValid(sender)) {
+      return { success: false, status: 400, message: "Invalid sender" };
+    }
+    query.sender = sender;
+  }
+
+  if (type) {
+    if (!MESSAGE_TYPES.includes(type)) {
+      return { success: false, status: 400, message: `Message type must be one of: ${MESSAGE_TYPES.join(", ")}` };
+    }
+    query.messageType = type;
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { success: false, status: 400, message: "Invalid date range" };
+  }
+  if (fromDate && toDate && fromDate > toDate) {
+    return { success: false, status: 400, message: "The start date must be before the end date" };
+  }
+  if (fromDate || toDate) {
+    query.createdAt = {
+      ...(fromDate && { $gte: fromDate }),
+      ...(toDate && { $lte: toDate }),
+    };
+  }
+
+  if (before) {
+    if (!mongoose.Types.ObjectId.isValid(before)) {
+      return { success: false, status: 400, message: "Invalid cursor" };
+    }
+    query._id = { $lt: before };
+  }
+
+  const { page, more } = await findMessagePage(query, -1, limit);
+
+  return {
+    success: true,
+    results: page.map((message) => formatMessage(message, viewerId)),
+    hasMore: more,
+    nextCursor: more ? page[page.length - 1]._id.toString() : null,
+  };
+};
+
+// Broadcast the new state of an edited, deleted or reacted-to message, then
+// return it as the acting user (`viewerId`) should see it
+export const broadcastMessageUpdate = async (io, group, message, viewerId = null) => {
+  await message.populate(MESSAGE_POPULATE);
+  const formatted = formatMessage(message);
+
+  if (io) {
+    io.to(getGroupRoom(group)).emit("messageUpdated", formatted);
+  }
+  return viewerId ? formatMessage(message, viewerId) : formatted;
+};
+
+// Senders may edit their own text messages within the edit window
+export const editMemberMessage = async (io, group, userId, { messageId, text }, now = new Date()) => {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (trimmed.length > 1000) {
+    return { success: false, status: 400, message: "Message text must be at most 1000 characters" };
+  }
+
+  const message = await findGroupMessage(group, messageId);
+  if (!message || message.isDeleted) {
+    return { success: false, status: 404, message: "Message not found" };
+  }
+
+  if (!message.sender?.equals(userId) || message.messageType !== "text") {
+    return { success: false, status: 403, message: "You can only edit your own messages" };
+  }
+
+  if (now - message.createdAt > MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000) {
+    return {
+      success: false,
+      status: 403,
+      message: `Messages can only be edited for ${MESSAGE_EDIT_WINDOW_MINUTES} minutes after sending`,
+    };
+  }
+
+  // Only messages with attachments can have their text cleared
+  if (!trimmed && message.attachments.length === 0) {
+    return { success: false, status: 400, message: "Message text is required" };
+  }
+
+  if (message.text === trimmed) {
+    return { success: true, message: await broadcastMessageUpdate(io, group, message) };
+  }
+
+  // Only members newly mentioned by the edit are notified
+  const previousMentions = message.mentions.map((id) => id.toString());
+  message.text = trimmed;
+  message.mentions = await resolveMentions(group, trimmed);
+  message.isEdited = true;
+  message.editedAt = now;
+  await message.save();
+
+  const formatted = await broadcastMessageUpdate(io, group, message);
+  await notifyMentions(io, group, formatted, previousMentions);
+
+  return { success: true, message: formatted };
+};
+
+// Senders may delete their own messages; admins may delete anyone's
+export const deleteMemberMessage = async (io, group, userId, { messageId }) => {
+  const message = await findGroupMessage(group, messageId);
+  if (!message || message.isDeleted) {
+    return { success: false, status: 404, message: "Message not found" };
+  }
+
+  const isOwn = !!message.sender?.equals(userId);
+  if (!isOwn && !isGroupAdmin(group, userId)) {
+    return { success: false, status: 403, message: "You can only delete your own messages" };
+  }
+
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  message.deletedBy = userId;
+  await message.save();
+
+  return { success: true, message: await broadcastMessageUpdate(io, group, message) };
+};
+
+// Add or remove the member's reaction. Any message that isn't deleted can be
+// reacted to, including check-ins and system announcements.
+export const setMessageReaction = async (io, group, userId, { messageId, emoji, active }) => {
+  if (!REACTION_EMOJIS.includes(emoji)) {
+    return { success: false, status: 400, message: "Unsupported reaction" };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { success: false, status: 404, message: "Message not found" };
+  }
+
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+  const filter = { _id: messageId, groupId: group._id, isDeleted: { $ne: true } };
+
+  // Conditional updates keep a user from reacting twice with the same emoji,
+  // even when two tabs race
+  if (active) {
+    await Message.updateOne(
+      { ...filter, reactions: { $not: { $elemMatch: { user: userObjectId, emoji } } } },
+      { $push: { reactions: { emoji, user: userObjectId } } }
+    );
+  } else {
+    await Message.updateOne(filter, { $pull: { reactions: { user: userObjectId, emoji } } });
+  }
+
+  const message = await Message.findOne(filter);
+  if (!message) {
+    return { success: false, status: 404, message: "Message not found" };
+  }
+
+  return { success: true, message: await broadcastMessageUpdate(io, group, message) };
+};
+
+export default {
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  REACTION_EMOJIS,
+  isPollClosed,
+  formatMessage,
+  saveMessage,
+  postGroupMessage,
+  getMessageHistory,
+  searchMessages,
+  getPinnedMessages,
+  findGroupMessage,
+  broadcastMessageUpdate,
+  checkMemberMute,
+  sendMemberMessage,
+  editMemberMessage,
+  deleteMemberMessage,
+  setMessageReaction,
+};
@@ -0,0 +1,158 @@
+import Notification from "../models/Notification.js";
+
+const GROUP_FIELDS = "name avatar";
+
+export const NOTIFICATION_TYPES = Notification.schema.path("type").enumValues;
+
+// Types that need the user's attention right away
+const HIGH_PRIORITY_TYPES = ["streak_broken", "goal_deadline", "announcement"];
+
+// Personal Socket.IO room every connection of a user joins
+export const getUserRoom = (userId) => `user:${userId}`;
+
+// Shape a stored notification the way the inbox UI consumes it
+export const formatNotification = (notification) => {
+  const group = notification.relatedGroup;
+
+  return {
+    id: notification._id.toString(),
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    priority: notification.priority,
+    group: group
+      ? {
+          id: (group._id || group).toString(),
+          name: group.name,
+          avatar: group.avatar || null,
+        }
+      : null,
+    goalId: notification.relatedGoal ? notification.relatedGoal.toString() : null,
+    taskId: notification.relatedTask ? notification.relatedTask.toString() : null,
+    isRead: notification.isRead,
+    readAt: notification.readAt || null,
+    createdAt: notification.createdAt,
+  };
+};
+
+// Create the same notification for several users at once and push it to their sockets
+export const notifyUsers = async (io, userIds, { type, title, message, groupId, goalId, taskId }) => {
+  const recipients = [...new Set(userIds.filter(Boolean).map((id) => id.toString()))];
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  const notifications = await Notification.insertMany(
+    recipients.map((userId) => ({
+      user: userId,
+      type,
+      title,
+      message,
+      priority: HIGH_PRIORITY_TYPES.includes(type) ? "high" : "normal",
+      relatedGroup: groupId || undefined,
+      relatedGoal: goalId || undefined,
+      relatedTask: taskId || undefined,
+    }))
+  );
+
+  await Notification.populate(notifications, { path: "relatedGroup", select: GROUP_FIELDS });
+  const formatted = notifications.map(formatNotification);
+
+  if (io) {
+    formatted.forEach((notification, index) => {
+      io.to(getUserRoom(recipients[index])).emit("notification:new", notification);
+    });
+  }
+  return formatted;
+};
+
+export const notifyUser = async (io, userId, notification) => {
+  const [created] = await notifyUsers(io, [userId], notification);
+  return created || null;
+};
+
+// Keep the user's other tabs in sync after notifications were read. With `all`,
+// every notification matching the optional type/group filters was read.
+export const emitNotificationsRead = (io, userId, { ids = [], all = false, type, groupId, unreadCount }) => {
+  if (io) {
+    io.to(getUserRoom(userId)).emit("notification:read", {
+      ids,
+      all,
+      type: type || null,
+      groupId: groupId ? groupId.toString() : null,
+      unreadCount,
+    });
+  }
+};
+
+const buildInboxQuery = (userId, { type, groupId, unreadOnly } = {}) => {
+  const query = { user: userId };
+  if (type) query.type = type;
+  if (groupId) query.relatedGroup = groupId;
+  if (unreadOnly) query.isRead = false;
+  return query;
+};
+
+// Cursor pagination: returns up to `limit` notifications older than `before`, newest first
+export const getNotifications = async (userId, { before, limit = 20, ...filters } = {}) => {
+  const query = buildInboxQuery(userId, filters);
+  if (before) {
+    query._id = { $lt: before };
+  }
+
+  const notifications = await Notification.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate("relatedGroup", GROUP_FIELDS);
+
+  const hasMore = notifications.length > limit;
+  const page = notifications.slice(0, limit);
+
+  return {
+    notifications: page.map(formatNotification),
+    hasMore,
+    nextCursor: hasMore ? page[page.length - 1]._id.toString() : null,
+  };
+};
+
+export const getUnreadCount = (userId) =>
+  Notification.countDocuments({ user: userId, isRead: false });
+
+// Returns the updated notification, or null if it doesn't belong to the user
+export const markAsRead = async (userId, notificationId) => {
+  const notification = await Notification.findOne({ _id: notificationId, user: userId });
+  if (!notification) {
+    return null;
+  }
+
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  await notification.populate("relatedGroup", GROUP_FIELDS);
+  return formatNotification(notification);
+};
+
+// Mark every unread notification (optionally of one type/group) as read
+export const markAllAsRead = async (userId, filters = {}) => {
+  const result = await Notification.updateMany(
+    buildInboxQuery(userId, { ...filters, unreadOnly: true }),
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+export default {
+  NOTIFICATION_TYPES,
+  getUserRoom,
+  formatNotification,
+  notifyUsers,
+  notifyUser,
+  emitNotificationsRead,
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+};
@@ -0,0 +1,110 @@
+import Message from "../models/Message.js";
+import { getGroupRoom, isGroupAdmin } from "../utils/groups.js";
+import {
+  postGroupMessage,
+  getPinnedMessages,
+  findGroupMessage,
+  broadcastMessageUpdate,
+} from "./messageService.js";
+import { notifyUsers } from "./notificationService.js";
+
+// Keeps the banner and pinned list short enough to stay useful
+export const MAX_PINNED_MESSAGES = 10;
+const ANNOUNCEMENT_SNIPPET_LENGTH = 120;
+
+const countPinnedMessages = (group) =>
+  Message.countDocuments({ groupId: group._id, isPinned: true, isDeleted: { $ne: true } });
+
+const tooManyPins = {
+  success: false,
+  status: 400,
+  message: `A group can have at most ${MAX_PINNED_MESSAGES} pinned messages. Unpin one first.`,
+};
+
+// Send the room the new pinned list, then return it
+const broadcastPins = async (io, group) => {
+  const pinned = await getPinnedMessages(group);
+
+  if (io) {
+    io.to(getGroupRoom(group)).emit("pins:updated", { groupId: group._id.toString(), pinned });
+  }
+  return pinned;
+};
+
+// Admins pin and unpin messages. Returns { success, message, pinned } or
+// { success: false, status, message }.
+export const setMessagePinned = async (io, group, userId, { messageId, pinned }) => {
+  if (!isGroupAdmin(group, userId)) {
+    return { success: false, status: 403, message: "Only group admins can pin messages" };
+  }
+
+  const message = await findGroupMessage(group, messageId);
+  if (!message || message.isDeleted) {
+    return { success: false, status: 404, message: "Message not found" };
+  }
+
+  if (message.isPinned !== pinned) {
+    if (pinned && (await countPinnedMessages(group)) >= MAX_PINNED_MESSAGES) {
+      return tooManyPins;
+    }
+
+    message.isPinned = pinned;
+    message.pinnedAt = pinned ? new Date() : undefined;
+    message.pinnedBy = pinned ? userId : undefined;
+    await message.save();
+  }
+
+  return {
+    success: true,
+    message: await broadcastMessageUpdate(io, group, message, userId),
+    pinned: await broadcastPins(io, group),
+  };
+};
+
+// Admins publish announcements: a pinned chat message every other member is
+// notified about
+export const postAnnouncement = async (io, group, userId, { text }) => {
+  if (!isGroupAdmin(group, userId)) {
+    return { success: false, status: 403, message: "Only group admins can post announcements" };
+  }
+
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (!trimmed || trimmed.length > 1000) {
+    return { success: false, status: 400, message: "Announcements need 1 to 1000 characters" };
+  }
+
+  if ((await countPinnedMessages(group)) >= MAX_PINNED_MESSAGES) {
+    return tooManyPins;
+  }
+
+  const message = await postGroupMessage(io, group, {
+    senderId: userId,
+    text: trimmed,
+    messageType: "announcement",
+    pinnedBy: userId,
+  });
+  const pinned = await broadcastPins(io, group);
+
+  const snippet =
+    trimmed.length > ANNOUNCEMENT_SNIPPET_LENGTH
+      ? `${trimmed.slice(0, ANNOUNCEMENT_SNIPPET_LENGTH)}…`
+      : trimmed;
+  await notifyUsers(
+    io,
+    group.members.filter((member) => (member._id || member).toString() !== userId.toString()),
+    {
+      type: "announcement",
+      title: `Announcement in "${group.name}"`,
+      message: `${message.sender?.username || "An admin"}: ${snippet}`,
+      groupId: group._id,
+    }
+  );
+
+  return { success: true, message, pinned };
+};
+
+export default {
+  MAX_PINNED_MESSAGES,
+  setMessagePinned,
+  postAnnouncement,
+};
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import { isGroupAdmin } from "../utils/groups.js";
+import {
+  postGroupMessage,
+  findGroupMessage,
+  broadcastMessageUpdate,
+  checkMemberMute,
+  isPollClosed,
+} from "./messageService.js";
+
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 200;
+const MAX_OPTION_LENGTH = 100;
+const MAX_POLL_DAYS = 30;
+
+// Post a poll to the group chat as a `poll` message. Returns { success, message }
+// or { success: false, status, message }.
+export const createPoll = async (
+  io,
+  group,
+  userId,
+  { question, options, allowMultiple = false, isAnonymous = false, closesAt = null },
+  now = new Date()
+) => {
+  const trimmedQuestion = typeof question === "string" ? question.trim() : "";
+  if (!trimmedQuestion || trimmedQuestion.length > MAX_QUESTION_LENGTH) {
+    return { success: false, status: 400, message: `The question needs 1 to ${MAX_QUESTION_LENGTH} characters` };
+  }
+
+  const choices = Array.isArray(options)
+    ? options.map((option) => (typeof option === "string" ? option.trim() : ""))
+    : [];
+  const lowerChoices = new Set(choices.map((choice) => choice.toLowerCase()));
+  if (
+    choices.length < MIN_POLL_OPTIONS ||
+    choices.length > MAX_POLL_OPTIONS ||
+    choices.some((choice) => !choice || choice.length > MAX_OPTION_LENGTH) ||
+    lowerChoices.size !== choices.length
+  ) {
+    return {
+      success: false,
+      status: 400,
+      message: `Polls need ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} different options of at most ${MAX_OPTION_LENGTH} characters`,
+    };
+  }
+
+  let closeDate = null;
+  if (closesAt) {
+    closeDate = new Date(closesAt);
+    if (
+      Number.isNaN(closeDate.getTime()) ||
+      closeDate <= now ||
+      closeDate - now > MAX_POLL_DAYS * 24 * 60 * 60 * 1000
+    ) {
+      return {
+        success: false,
+        status: 400,
+        message: `The close time must be in the next ${MAX_POLL_DAYS} days`,
+      };
+    }
+  }
+
+  const muted = checkMemberMute(group, userId);
+  if (muted) {
+    return muted;
+  }
+
+  const message = await postGroupMessage(io, group, {
+    senderId: userId,
+    text: trimmedQuestion,
+    messageType: "poll",
+    poll: {
+      question: trimmedQuestion,
+      options: choices.map((text) => ({ text, votes: [] })),
+      allowMultiple: !!allowMultiple,
+      isAnonymous: !!isAnonymous,
+      closesAt: closeDate || undefined,
+    },
+  });
+
+  return { success: true, message };
+};
+
+const findPollMessage = async (group, messageId) => {
+  const message = await findGroupMessage(group, messageId);
+  return message && !message.isDeleted && message.poll ? message : null;
+};
+
+// Replace the member's votes with `optionIds`; an empty list takes them back
+export const votePoll = async (io, group, userId, { messageId, optionIds }, now = new Date()) => {
+  if (!Array.isArray(optionIds)) {
+    return { success: false, status: 400, message: "optionIds must be an array" };
+  }
+
+  const message = await findPollMessage(group, messageId);
+  if (!message) {
+    return { success: false, status: 404, message: "Poll not found" };
+  }
+
+  if (isPollClosed(message.poll, now)) {
+    return { success: false, status: 400, message: "This poll is closed" };
+  }
+
+  const ids = [...new Set(optionIds.map(String))];
+  if (!message.poll.allowMultiple && ids.length > 1) {
+    return { success: false, status: 400, message: "This poll allows only one choice" };
+  }
+
+  const validIds = new Set(message.poll.options.map((option) => option._id.toString()));
+  if (!ids.every((id) => validIds.has(id))) {
+    return { success: false, status: 400, message: "Invalid poll option" };
+  }
+
+  // Clear the member's old votes, then add the new ones. Each step is atomic,
+  // so concurrent voters never overwrite each other.
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+  await Message.updateOne({ _id: message._id }, { $pull: { "poll.options.$[].votes": userObjectId } });
+  if (ids.length > 0) {
+    await Message.updateOne(
+      { _id: message._id },
+      { $addToSet: { "poll.options.$[option].votes": userObjectId } },
+      { arrayFilters: [{ "option._id": { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) } }] }
+    );
+  }
+
+  const updated = await Message.findById(message._id);
+  return { success: true, message: await broadcastMessageUpdate(io, group, updated, userId) };
+};
+
+// The poll's creator or a group admin can end voting early
+export const closePoll = async (io, group, userId, { messageId }, now = new Date()) => {
+  const message = await findPollMessage(group, messageId);
+  if (!message) {
+    return { success: false, status: 404, message: "Poll not found" };
+  }
+
+  if (!message.sender?.equals(userId) && !isGroupAdmin(group, userId)) {
+    return { success: false, status: 403, message: "Only the poll's creator or a group admin can close it" };
+  }
+
+  if (isPollClosed(message.poll, now)) {
+    return { success: false, status: 400, message: "This poll is already closed" };
+  }
+
+  message.poll.closedAt = now;
+  message.poll.closedBy = userId;
+  await message.save();
+
+  return { success: true, message: await broadcastMessageUpdate(io, group, message, userId) };
+};
+
+export default {
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  createPoll,
+  votePoll,
+  closePoll,
+};
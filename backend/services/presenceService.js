@@ -0,0 +1,60 @@
+import Group from "../models/Group.js";
+import { getGroupRoom } from "../utils/groups.js";
+
+// Connected socket ids per user. Presence lives in this process only, so it
+// resets on restart and isn't shared between server instances.
+const connections = new Map();
+
+// Record a new socket; returns true when the user just came online
+export const trackConnection = (userId, socketId) => {
+  const key = userId.toString();
+  const sockets = connections.get(key) || new Set();
+  sockets.add(socketId);
+  connections.set(key, sockets);
+  return sockets.size === 1;
+};
+
+// Forget a socket; returns true when the user's last tab went away
+export const trackDisconnect = (userId, socketId) => {
+  const key = userId.toString();
+  const sockets = connections.get(key);
+  if (!sockets) {
+    return false;
+  }
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) {
+    return false;
+  }
+
+  connections.delete(key);
+  return true;
+};
+
+export const isUserOnline = (userId) => connections.has(userId.toString());
+
+export const getOnlineMemberIds = (group) =>
+  group.members
+    .map((member) => (member._id || member).toString())
+    .filter(isUserOnline);
+
+// Tell the chat rooms of every group the user belongs to that they came or went
+export const broadcastPresence = async (io, userId, online) => {
+  const groups = await Group.find({ members: userId }).select("_id");
+
+  groups.forEach((group) => {
+    io.to(getGroupRoom(group)).emit("presence:update", {
+      groupId: group._id.toString(),
+      userId: userId.toString(),
+      online,
+    });
+  });
+};
+
+export default {
+  trackConnection,
+  trackDisconnect,
+  isUserOnline,
+  getOnlineMemberIds,
+  broadcastPresence,
+};
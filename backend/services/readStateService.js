@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import ReadState from "../models/ReadState.js";
+
+// Counts stop here; the UI shows "99+" beyond that
+export const MAX_UNREAD_COUNT = 100;
+
+// Move the user's read pointer forward to `messageId` (default: the group's
+// latest message). It never moves backwards, so stale tabs can't un-read.
+export const markGroupRead = async (userId, groupId, messageId = null) => {
+  let lastReadMessage = messageId;
+
+  if (!lastReadMessage) {
+    const latest = await Message.findOne({ groupId }).sort({ _id: -1 }).select("_id");
+    lastReadMessage = latest?._id || null;
+  }
+
+  const update = { $set: { lastReadAt: new Date() } };
+  if (lastReadMessage) {
+    update.$max = { lastReadMessage: new mongoose.Types.ObjectId(lastReadMessage.toString()) };
+  }
+
+  return ReadState.findOneAndUpdate({ user: userId, group: groupId }, update, {
+    upsert: true,
+    new: true,
+  });
+};
+
+// Unread messages from other members per group, keyed by group id
+export const getUnreadCounts = async (userId, groupIds) => {
+  const readStates = await ReadState.find({ user: userId, group: { $in: groupIds } });
+  const lastReadByGroup = new Map(
+    readStates.map((state) => [state.group.toString(), state.lastReadMessage])
+  );
+
+  const counts = await Promise.all(
+    groupIds.map(async (groupId) => {
+      const lastRead = lastReadByGroup.get(groupId.toString());
+      const query = { groupId, sender: { $ne: userId } };
+      if (lastRead) {
+        query._id = { $gt: lastRead };
+      }
+
+      const count = await Message.countDocuments(query).limit(MAX_UNREAD_COUNT);
+      return [groupId.toString(), count];
+    })
+  );
+
+  return Object.fromEntries(counts);
+};
+
+// Every member's read pointer in a group, for "seen by" receipts
+export const getGroupReadStates = async (group) => {
+  const readStates = await ReadState.find({
+    group: group._id,
+    user: { $in: group.members },
+    lastReadMessage: { $ne: null },
+  }).populate("user", "username avatar");
+
+  return readStates
+    .filter((state) => state.user)
+    .map((state) => ({
+      user: {
+        id: state.user._id.toString(),
+        username: state.user.username,
+        avatar: state.user.avatar || null,
+      },
+      lastReadMessage: state.lastReadMessage.toString(),
+      lastReadAt: state.lastReadAt,
+    }));
+};
+
+export default {
+  MAX_UNREAD_COUNT,
+  markGroupRead,
+  getUnreadCounts,
+  getGroupReadStates,
+};
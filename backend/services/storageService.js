@@ -0,0 +1,78 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import express from "express";
+
+// Uploaded files go through a storage driver so the local disk can later be
+// swapped for S3 or similar without touching the upload code. A driver has:
+//   save(key, buffer, contentType) -> Promise
+//   remove(key)                    -> Promise
+//   getUrl(key)                    -> public URL of the stored file
+//   mount(app)                     -> optional, serve the files from this server
+
+const DEFAULT_UPLOAD_DIR = fileURLToPath(new URL("../uploads", import.meta.url));
+const PUBLIC_PATH = "/uploads";
+
+// Keys are generated server-side, but never let one escape the upload directory
+const resolveKey = (directory, key) => {
+  const filePath = path.resolve(directory, key);
+  if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+export const createLocalDiskStorage = ({ directory, baseUrl }) => ({
+  save: async (key, buffer) => {
+    const filePath = resolveKey(directory, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  },
+
+  remove: async (key) => {
+    await fs.rm(resolveKey(directory, key), { force: true });
+  },
+
+  getUrl: (key) => `${baseUrl}${PUBLIC_PATH}/${key}`,
+
+  mount: (app) => {
+    app.use(
+      PUBLIC_PATH,
+      express.static(directory, {
+        maxAge: "7d",
+        immutable: true,
+        // Uploaded files are user content: never let the browser sniff them
+        // into HTML, and download anything that isn't an image
+        setHeaders: (res, filePath) => {
+          res.setHeader("X-Content-Type-Options", "nosniff");
+          if (!/\.(jpe?g|png|gif|webp)$/i.test(filePath)) {
+            res.setHeader("Content-Disposition", "attachment");
+          }
+        },
+      })
+    );
+  },
+});
+
+let storage = null;
+
+export const getStorage = () => {
+  if (!storage) {
+    storage = createLocalDiskStorage({
+      directory: process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR,
+      baseUrl: process.env.PUBLIC_SERVER_URL || `http://localhost:${process.env.PORT || 5001}`,
+    });
+  }
+  return storage;
+};
+
+// Plug in a different driver (e.g. cloud storage) at startup
+export const setStorage = (driver) => {
+  storage = driver;
+};
+
+export default {
+  createLocalDiskStorage,
+  getStorage,
+  setStorage,
+};
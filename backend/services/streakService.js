@@ -0,0 +1,134 @@
+import Group from "../models/Group.js";
+import Checkin from "../models/Checkin.js";
+import { getDayKey, dayKeyToDate, addDays } from "../utils/dates.js";
+import { postGroupMessage } from "./messageService.js";
+import { notifyUsers } from "./notificationService.js";
+import { checkDatabaseConnection } from "../utils/database.js";
+
+const STREAK_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// Days missed while the server was down are caught up, but only this far back
+const MAX_CATCH_UP_DAYS = 30;
+
+// Number of completed check-ins a group needs for a day to count
+export const getRequiredCheckins = (group) => {
+  const quorum = group.streakQuorum || 1;
+  return Math.max(1, Math.ceil(group.members.length * quorum));
+};
+
+const notifyStreakBroken = (io, group, dayKey, previousStreak) =>
+  notifyUsers(io, group.members, {
+    type: "streak_broken",
+    title: "Group streak broken",
+    message: `"${group.name}" lost its ${previousStreak}-day streak: not enough check-ins on ${dayKey}.`,
+    groupId: group._id,
+  });
+
+// Evaluate one finished day for a group. Returns the updated group, or null if
+// another worker already evaluated that day.
+export const evaluateGroupDay = async (group, dayKey, io = null) => {
+  const completedUsers = await Checkin.distinct("user", {
+    group: group._id,
+    date: dayKeyToDate(dayKey),
+    status: "completed",
+    user: { $in: group.members },
+  });
+
+  const required = getRequiredCheckins(group);
+  const metQuorum = completedUsers.length >= required;
+  const previousStreak = group.streakCount || 0;
+  const streakBroken = !metQuorum && previousStreak > 0;
+
+  const update = metQuorum
+    ? { $inc: { streakCount: 1 }, $set: { lastStreakDay: dayKey } }
+    : { $set: { streakCount: 0, lastStreakDay: dayKey } };
+
+  if (streakBroken) {
+    update.$push = { brokenDates: dayKeyToDate(dayKey) };
+  }
+
+  // Guard on lastStreakDay so a day is only ever evaluated once
+  const updatedGroup = await Group.findOneAndUpdate(
+    { _id: group._id, lastStreakDay: group.lastStreakDay },
+    update,
+    { new: true }
+  );
+
+  if (!updatedGroup) {
+    return null;
+  }
+
+  if (streakBroken) {
+    console.log(`💔 Streak broken for group ${group.name} on ${dayKey} (${completedUsers.length}/${required})`);
+
+    await postGroupMessage(io, updatedGroup, {
+      text: `💔 The ${previousStreak}-day streak ended: only ${completedUsers.length} of ${required} required check-ins on ${dayKey}. Check in today to start a new one!`,
+      messageType: "system",
+    });
+    await notifyStreakBroken(io, updatedGroup, dayKey, previousStreak);
+  } else if (metQuorum) {
+    console.log(`🔥 Streak for group ${group.name} is now ${updatedGroup.streakCount}`);
+  }
+
+  return updatedGroup;
+};
+
+// Evaluate every day that has closed in the group's timezone since the last run
+export const evaluateGroupStreak = async (group, io = null, now = new Date()) => {
+  const timeZone = group.timezone || "UTC";
+  const yesterday = addDays(getDayKey(now, timeZone), -1);
+
+  let dayKey = group.lastStreakDay
+    ? addDays(group.lastStreakDay, 1)
+    : getDayKey(group.createdAt || now, timeZone);
+
+  const earliest = addDays(yesterday, -(MAX_CATCH_UP_DAYS - 1));
+  if (dayKey < earliest) {
+    dayKey = earliest;
+  }
+
+  let current = group;
+  while (current && dayKey <= yesterday) {
+    current = await evaluateGroupDay(current, dayKey, io);
+    dayKey = addDays(dayKey, 1);
+  }
+
+  return current;
+};
+
+export const runStreakCheck = async (io = null) => {
+  if (!checkDatabaseConnection().isConnected) {
+    console.warn("⚠️ Database not connected, skipping streak check");
+    return;
+  }
+
+  const groups = await Group.find({ isActive: true });
+  for (const group of groups) {
+    try {
+      await evaluateGroupStreak(group, io);
+    } catch (error) {
+      console.error(`Error evaluating streak for group ${group._id}:`, error);
+    }
+  }
+};
+
+// Day boundaries differ per group timezone, so poll and let each group decide
+export const startStreakScheduler = (io) => {
+  const tick = () => {
+    runStreakCheck(io).catch((error) => {
+      console.error("Streak check failed:", error);
+    });
+  };
+
+  tick();
+  const timer = setInterval(tick, STREAK_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default {
+  getRequiredCheckins,
+  evaluateGroupDay,
+  evaluateGroupStreak,
+  runStreakCheck,
+  startStreakScheduler,
+};
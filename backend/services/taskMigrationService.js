@@ -0,0 +1,60 @@
+import User from "../models/User.js";
+import Task from "../models/Task.js";
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Embedded task documents carried their creator as `UserId`; standalone tasks use `owner`
+const toStandaloneTask = (embeddedTask, userId) => {
+  const { UserId, ...task } = embeddedTask;
+
+  return {
+    ...task,
+    owner: UserId || userId,
+    completed: task.completed ?? task.overallProgress === 100,
+    createdAt: task.createdAt || new Date(),
+    updatedAt: task.updatedAt || new Date(),
+  };
+};
+
+// Move tasks still embedded in User.tasks into the Task collection. Task ids are
+// kept, so notifications and goal links keep pointing at the right task, and the
+// migration can be re-run safely if it was interrupted.
+export const moveEmbeddedTasks = async () => {
+  // User.tasks is no longer part of the schema, so read the raw documents
+  const cursor = User.collection.find(
+    { "tasks.0": { $exists: true } },
+    { projection: { tasks: 1 } }
+  );
+
+  let movedUsers = 0;
+  let movedTasks = 0;
+
+  for await (const user of cursor) {
+    const tasks = user.tasks.map((task) => toStandaloneTask(task, user._id));
+
+    try {
+      const result = await Task.collection.insertMany(tasks, { ordered: false });
+      movedTasks += result.insertedCount;
+    } catch (error) {
+      // Tasks copied by an earlier, interrupted run are already there
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some((writeError) => writeError.code !== DUPLICATE_KEY_ERROR)) {
+        throw error;
+      }
+      movedTasks += error.insertedCount || 0;
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $unset: { tasks: "" } });
+    movedUsers++;
+  }
+
+  if (movedUsers > 0) {
+    console.log(`📦 Moved ${movedTasks} embedded tasks from ${movedUsers} users into the tasks collection`);
+  }
+
+  return { movedUsers, movedTasks };
+};
+
+export default {
+  moveEmbeddedTasks,
+};
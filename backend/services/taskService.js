@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Group from "../models/Group.js";
+import { isGroupAdmin } from "../utils/groups.js";
+import { notifyUser } from "./notificationService.js";
+
+// Shape a task the way the task UI consumes it (it keys tasks by `_id`)
+export const formatTask = (task) => ({
+  ...task.toObject(),
+  id: task._id,
+});
+
+// Tasks a user works on: their own, any they were assigned to, and the shared
+// tasks of the groups they belong to
+export const getUserTasksQuery = (userId, groupIds = []) => ({
+  $or: [
+    { owner: userId },
+    { assignedTo: userId },
+    { "taskHeaders.assignedTo": userId },
+    ...(groupIds.length > 0 ? [{ groupId: { $in: groupIds }, isGroupTask: true }] : []),
+  ],
+});
+
+// Who ticked off each group subtask, for the task UI
+export const populateSubtaskCompleters = (query) =>
+  query.populate("taskHeaders.subtasks.completedBy", "username avatar");
+
+export const isTaskOwner = (task, userId) =>
+  (task.owner._id || task.owner).toString() === userId.toString();
+
+// Load a task the user may work on: their own, one assigned to them, or a
+// shared task of a group they belong to. Returns null otherwise.
+export const findTaskForUser = async (taskId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    return null;
+  }
+
+  const task = await Task.findById(taskId);
+  if (!task) {
+    return null;
+  }
+
+  const isAssigned =
+    task.assignedTo?.toString() === userId.toString() ||
+    (task.taskHeaders || []).some((header) => header.assignedTo?.toString() === userId.toString());
+
+  if (isTaskOwner(task, userId) || isAssigned) {
+    return task;
+  }
+
+  if (task.isGroupTask && task.groupId && (await Group.exists({ _id: task.groupId, members: userId }))) {
+    return task;
+  }
+
+  return null;
+};
+
+// A section's subtasks are completed by the member it is assigned to or a group
+// admin; the task owner covers sections nobody has been assigned yet
+export const canCompleteSubtask = (task, header, userId, group) => {
+  if (header.assignedTo) {
+    return header.assignedTo.toString() === userId.toString() || isGroupAdmin(group, userId);
+  }
+
+  return isTaskOwner(task, userId) || isGroupAdmin(group, userId);
+};
+
+// Recalculate progress from whichever checklist the task uses
+export const updateTaskProgress = (task) => {
+  const items = task.isGroupTask && task.taskHeaders?.length > 0
+    ? task.taskHeaders.flatMap((header) => header.subtasks)
+    : task.roadmapItems;
+
+  if (items.length === 0) {
+    return task;
+  }
+
+  const completedItems = items.filter((item) => item.completed).length;
+  task.overallProgress = Math.round((completedItems / items.length) * 100);
+  task.completed = task.overallProgress === 100;
+  return task;
+};
+
+// Tell a member they were given a section of a group task (self-assignments are skipped)
+export const notifyHeaderAssignment = async (io, task, header, assigner) => {
+  const assigneeId = header.assignedTo?.toString();
+  if (!assigneeId || assigneeId === assigner._id.toString()) {
+    return;
+  }
+
+  const pendingSubtasks = (header.subtasks || []).filter((subtask) => !subtask.completed).length;
+
+  try {
+    await notifyUser(io, assigneeId, {
+      type: "assignment",
+      title: "New Task Assignment",
+      message: `${assigner.username} assigned you to "${header.title}" in "${task.title}" with ${pendingSubtasks} pending subtasks.`,
+      groupId: task.groupId,
+      taskId: task._id,
+    });
+  } catch (error) {
+    // The assignment itself succeeded; a missing notification shouldn't fail the request
+    console.error("Assignment notification error:", error);
+  }
+};
+
+export default {
+  formatTask,
+  getUserTasksQuery,
+  populateSubtaskCompleters,
+  isTaskOwner,
+  findTaskForUser,
+  canCompleteSubtask,
+  updateTaskProgress,
+  notifyHeaderAssignment,
+};
@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import sharp from "sharp";
+import Upload from "../models/Upload.js";
+import { getStorage } from "./storageService.js";
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+
+const THUMBNAIL_SIZE = 320;
+
+// Accepted types and the extension they're stored under. SVG is left out on
+// purpose: it can carry scripts.
+const ALLOWED_TYPES = {
+  "image/jpeg": { kind: "image", extension: "jpg" },
+  "image/png": { kind: "image", extension: "png" },
+  "image/gif": { kind: "image", extension: "gif" },
+  "image/webp": { kind: "image", extension: "webp" },
+  "application/pdf": { kind: "file", extension: "pdf" },
+  "text/plain": { kind: "file", extension: "txt" },
+};
+
+export const ALLOWED_MIME_TYPES = Object.keys(ALLOWED_TYPES);
+
+// What the chat and check-in UIs need to show a file
+export const toAttachment = (upload) => ({
+  upload: upload._id,
+  kind: upload.kind,
+  url: upload.url,
+  thumbnailUrl: upload.thumbnailUrl || null,
+  name: upload.originalName,
+  mimeType: upload.mimeType,
+  size: upload.size,
+  width: upload.width,
+  height: upload.height,
+});
+
+export const formatAttachment = (attachment) => ({
+  id: attachment.upload.toString(),
+  kind: attachment.kind,
+  url: attachment.url,
+  thumbnailUrl: attachment.thumbnailUrl || null,
+  name: attachment.name,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  width: attachment.width || null,
+  height: attachment.height || null,
+});
+
+// Validate an uploaded file (as parsed by multer), store it and, for images,
+// a thumbnail next to it. Returns { success, upload } or { success: false, status, message }.
+export const storeUpload = async (userId, file) => {
+  if (!file) {
+    return { success: false, status: 400, message: "No file uploaded" };
+  }
+
+  const type = ALLOWED_TYPES[file.mimetype];
+  if (!type) {
+    return {
+      success: false,
+      status: 415,
+      message: "Only JPEG, PNG, GIF, WebP, PDF and plain text files can be uploaded",
+    };
+  }
+
+  const maxBytes = type.kind === "image" ? MAX_IMAGE_BYTES : MAX_UPLOAD_BYTES;
+  if (file.size > maxBytes) {
+    return {
+      success: false,
+      status: 413,
+      message: `Files of this type can be at most ${maxBytes / (1024 * 1024)}MB`,
+    };
+  }
+
+  const storage = getStorage();
+  const baseKey = `${userId}/${crypto.randomBytes(12).toString("hex")}`;
+  const key = `${baseKey}.${type.extension}`;
+  let thumbnail = null;
+  let metadata = {};
+
+  if (type.kind === "image") {
+    // Decoding the image also proves the declared type wasn't a lie
+    try {
+      metadata = await sharp(file.buffer).metadata();
+      thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch {
+      return { success: false, status: 400, message: "The file is not a valid image" };
+    }
+  }
+
+  const thumbnailKey = thumbnail ? `${baseKey}_thumb.webp` : null;
+  await storage.save(key, file.buffer, file.mimetype);
+  if (thumbnail) {
+    await storage.save(thumbnailKey, thumbnail, "image/webp");
+  }
+
+  const upload = await Upload.create({
+    uploader: userId,
+    kind: type.kind,
+    key,
+    thumbnailKey,
+    url: storage.getUrl(key),
+    thumbnailUrl: thumbnailKey ? storage.getUrl(thumbnailKey) : undefined,
+    originalName: file.originalname.slice(0, 200),
+    mimeType: file.mimetype,
+    size: file.size,
+    width: metadata.width,
+    height: metadata.height,
+  });
+
+  return { success: true, upload };
+};
+
+// Load uploads the user made themselves, in the order given. Returns null when
+// any id is invalid or belongs to someone else.
+export const findOwnUploads = async (userId, uploadIds = []) => {
+  if (!Array.isArray(uploadIds) || uploadIds.length === 0) {
+    return [];
+  }
+
+  const ids = [...new Set(uploadIds.map(String))];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE || !ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return null;
+  }
+
+  const uploads = await Upload.find({ _id: { $in: ids }, uploader: userId });
+  if (uploads.length !== ids.length) {
+    return null;
+  }
+
+  const byId = new Map(uploads.map((upload) => [upload._id.toString(), upload]));
+  return ids.map((id) => byId.get(id));
+};
+
+export default {
+  MAX_UPLOAD_BYTES,
+  MAX_IMAGE_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  ALLOWED_MIME_TYPES,
+  toAttachment,
+  formatAttachment,
+  storeUpload,
+  findOwnUploads,
+};
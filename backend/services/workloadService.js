@@ -0,0 +1,87 @@
+import Task from "../models/Task.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPLETION_WINDOW_DAYS = 30;
+const DURATION_UNIT_DAYS = { day: 1, week: 7, month: 30 };
+
+// A task is due at its linked goal's deadline, otherwise at the end of its
+// planned duration ("3 days", "2 weeks", "1 month"). Null when neither is known.
+export const getTaskDueDate = (task) => {
+  if (task.goalId?.deadline) {
+    return new Date(task.goalId.deadline);
+  }
+
+  const match = /^(\d+)\s*(day|week|month)s?$/i.exec((task.duration || "").trim());
+  if (!match || !task.createdAt) {
+    return null;
+  }
+
+  const days = Number(match[1]) * DURATION_UNIT_DAYS[match[2].toLowerCase()];
+  return new Date(new Date(task.createdAt).getTime() + days * DAY_MS);
+};
+
+// Per-member load across the group's task sections assigned to them: open
+// subtasks, how many of their subtasks they cleared in the last 30 days, and
+// open subtasks whose task is past due. Tasks of their other groups don't
+// count. `group.members` must be populated with username and avatar.
+export const getMemberWorkloads = async (group, now = new Date()) => {
+  const { members } = group;
+  const memberIds = members.map((member) => member._id);
+  const since = new Date(now.getTime() - COMPLETION_WINDOW_DAYS * DAY_MS);
+
+  const tasks = await Task.find({ groupId: group._id, "taskHeaders.assignedTo": { $in: memberIds } })
+    .select("title duration createdAt goalId taskHeaders")
+    .populate("goalId", "deadline");
+
+  const stats = new Map(
+    memberIds.map((id) => [id.toString(), { openSubtasks: 0, completedRecently: 0, overdueItems: [] }])
+  );
+
+  tasks.forEach((task) => {
+    const dueDate = getTaskDueDate(task);
+    const isOverdue = !!dueDate && dueDate < now;
+
+    task.taskHeaders.forEach((header) => {
+      const memberStats = header.assignedTo && stats.get(header.assignedTo.toString());
+      if (!memberStats) return;
+
+      const openSubtasks = header.subtasks.filter((subtask) => !subtask.completed).length;
+      memberStats.openSubtasks += openSubtasks;
+      memberStats.completedRecently += header.subtasks.filter(
+        (subtask) => subtask.completed && subtask.completedAt >= since
+      ).length;
+
+      if (isOverdue && openSubtasks > 0) {
+        memberStats.overdueItems.push({
+          taskId: task._id,
+          taskTitle: task.title,
+          headerTitle: header.title,
+          openSubtasks,
+          dueDate,
+        });
+      }
+    });
+  });
+
+  return members.map((member) => {
+    const { openSubtasks, completedRecently, overdueItems } = stats.get(member._id.toString());
+    const total = openSubtasks + completedRecently;
+
+    return {
+      _id: member._id,
+      username: member.username,
+      avatar: member.avatar,
+      openSubtasks,
+      completedLast30Days: completedRecently,
+      // Share of their recent subtasks that got done; null without any history
+      completionRate: total > 0 ? Math.round((completedRecently / total) * 100) / 100 : null,
+      overdueCount: overdueItems.reduce((sum, item) => sum + item.openSubtasks, 0),
+      overdueItems,
+    };
+  });
+};
+
+export default {
+  getTaskDueDate,
+  getMemberWorkloads,
+};
@@ -0,0 +1,78 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import { getMemberWorkloads } from "../services/workloadService.js";
+
+const originalFind = Task.find;
+
+afterEach(() => {
+  Task.find = originalFind;
+});
+
+// Answer Task.find from an in-memory list, honouring the filters the service uses
+const stubTasks = (tasks) => {
+  Task.find = (query) => {
+    const assignees = query["taskHeaders.assignedTo"].$in.map(String);
+    const matches = tasks.filter(
+      (task) =>
+        (!query.groupId || task.groupId.equals(query.groupId)) &&
+        task.taskHeaders.some((header) => assignees.includes(String(header.assignedTo)))
+    );
+    const chain = {
+      select: () => chain,
+      populate: async () => matches,
+    };
+    return chain;
+  };
+};
+
+const id = () => new mongoose.Types.ObjectId();
+
+test("only counts the member's tasks in this group", async () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  const member = { _id: id(), username: "sam", avatar: "" };
+  const group = { _id: id(), members: [member] };
+  const otherGroupId = id();
+
+  stubTasks([
+    {
+      _id: id(),
+      groupId: group._id,
+      title: "Shared plan",
+      duration: "1 month",
+      createdAt: new Date("2026-10-10T00:00:00Z"),
+      taskHeaders: [
+        {
+          title: "Research",
+          assignedTo: member._id,
+          subtasks: [
+            { completed: false },
+            { completed: true, completedAt: new Date("2026-10-15T00:00:00Z") },
+          ],
+        },
+      ],
+    },
+    {
+      _id: id(),
+      groupId: otherGroupId,
+      title: "Private project elsewhere",
+      duration: "1 day",
+      createdAt: new Date("2026-09-01T00:00:00Z"),
+      taskHeaders: [
+        {
+          title: "Secret section",
+          assignedTo: member._id,
+          subtasks: [{ completed: false }, { completed: false }],
+        },
+      ],
+    },
+  ]);
+
+  const [workload] = await getMemberWorkloads(group, now);
+
+  assert.equal(workload.openSubtasks, 1);
+  assert.equal(workload.completedLast30Days, 1);
+  assert.equal(workload.overdueCount, 0);
+  assert.deepEqual(workload.overdueItems, []);
+});
@@ -0,0 +1,30 @@
+// Calendar-day helpers. Check-ins are stored against midnight UTC of the
+// calendar day they belong to, so a day is identified by its YYYY-MM-DD key.
+
+export const getDayKey = (date = new Date(), timeZone = 'UTC') => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+export const dayKeyToDate = (dayKey) => new Date(`${dayKey}T00:00:00.000Z`);
+
+export const isValidDayKey = (dayKey) => {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dayKey || '') && !isNaN(dayKeyToDate(dayKey).getTime());
+};
+
+export const addDays = (dayKey, days) => {
+  const date = dayKeyToDate(dayKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+export default {
+  getDayKey,
+  dayKeyToDate,
+  isValidDayKey,
+  addDays
+};
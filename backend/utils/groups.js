@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import Group from '../models/Group.js';
+
+// Groups are addressed by either their ObjectId or their joinCode
+export const findGroupByIdentifier = (identifier) => {
+  if (!identifier) {
+    return null;
+  }
+
+  if (mongoose.Types.ObjectId.isValid(identifier)) {
+    return Group.findOne({
+      $or: [
+        { _id: identifier },
+        { joinCode: identifier }
+      ]
+    });
+  }
+
+  return Group.findOne({ joinCode: identifier });
+};
+
+export const isGroupMember = (group, userId) => {
+  if (!group || !userId) {
+    return false;
+  }
+
+  return group.members.some(member => (member._id || member).toString() === userId.toString());
+};
+
+const sameId = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+export const isGroupOwner = (group, userId) => {
+  if (!group?.owner || !userId) {
+    return false;
+  }
+
+  return sameId(group.owner, userId);
+};
+
+// The owner counts as an admin even if missing from `admins`
+export const isGroupAdmin = (group, userId) => {
+  if (!group || !userId) {
+    return false;
+  }
+
+  return isGroupOwner(group, userId) || (group.admins || []).some(admin => sameId(admin, userId));
+};
+
+// 'owner', 'admin' or 'member'; null for non-members
+export const getMemberRole = (group, userId) => {
+  if (isGroupOwner(group, userId)) return 'owner';
+  if (isGroupAdmin(group, userId)) return 'admin';
+  if (isGroupMember(group, userId)) return 'member';
+  return null;
+};
+
+// Whether `actorId` may moderate `targetId` (kick, mute, demote): the owner
+// outranks everyone, admins outrank plain members, and nobody moderates themselves
+export const outranksMember = (group, actorId, targetId) => {
+  if (sameId(actorId, targetId)) {
+    return false;
+  }
+
+  if (isGroupOwner(group, actorId)) {
+    return true;
+  }
+
+  return isGroupAdmin(group, actorId) && !isGroupAdmin(group, targetId);
+};
+
+export const isBannedFromGroup = (group, userId) =>
+  !!userId && (group?.bans || []).some(ban => sameId(ban.user, userId));
+
+export const hasPendingJoinRequest = (group, userId) =>
+  !!userId && (group?.joinRequests || []).some(request => sameId(request.user, userId));
+
+// The member's mute if it is still running, otherwise null
+export const getActiveMute = (group, userId, now = new Date()) =>
+  (group?.mutes || []).find(mute => sameId(mute.user, userId) && mute.until > now) || null;
+
+export const MAX_GROUP_TAGS = 5;
+const MAX_TAG_LENGTH = 30;
+
+// Lowercased, trimmed, de-duplicated directory tags, or null if the input isn't
+// a list of at most MAX_GROUP_TAGS short strings
+export const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return null;
+  }
+
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_GROUP_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return null;
+  }
+
+  return normalized;
+};
+
+// Socket.IO room name for a group
+export const getGroupRoom = (group) => group._id.toString();
+
+export default {
+  findGroupByIdentifier,
+  isGroupMember,
+  isGroupOwner,
+  isGroupAdmin,
+  getMemberRole,
+  outranksMember,
+  isBannedFromGroup,
+  hasPendingJoinRequest,
+  getActiveMute,
+  normalizeTags,
+  getGroupRoom
+};
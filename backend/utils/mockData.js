@@ -10,11 +10,13 @@ export const mockGroupData = {
     description: 'A demo group for testing',
     memberCount: 3,
     members: [
-      { _id: 'user1', username: 'Alice', avatar: 'https://via.placeholder.com/48' },
-      { _id: 'user2', username: 'Bob', avatar: 'https://via.placeholder.com/48' },
-      { _id: 'user3', username: 'Charlie', avatar: 'https://via.placeholder.com/48' }
+      { _id: 'user1', username: 'Alice', avatar: 'https://via.placeholder.com/48', role: 'owner' },
+      { _id: 'user2', username: 'Bob', avatar: 'https://via.placeholder.com/48', role: 'admin' },
+      { _id: 'user3', username: 'Charlie', avatar: 'https://via.placeholder.com/48', role: 'member' }
     ],
-    admin: 'user1', // Assuming current user is admin
+    owner: 'user1', // Assuming current user is the owner
+    admins: ['user1', 'user2'],
+    role: 'owner',
     isAdmin: true,
     createdAt: new Date().toISOString()
   }
@@ -34,6 +36,16 @@ export const mockApiEndpoints = {
     res.json(mockGroupData);
   },
   
+  '/api/groups/mine': (req, res) => {
+    const { id, name, avatar, joinCode, memberCount, role } = mockGroupData.group;
+    res.json({
+      success: true,
+      groups: [
+        { id, name, avatar, joinCode, memberCount, role, unreadCount: 0, lastMessageAt: null, isCurrent: true }
+      ]
+    });
+  },
+  
   '/api/groups/update': (req, res) => {
     const { name, avatar } = req.body;
     res.json({
@@ -53,6 +65,25 @@ export const mockApiEndpoints = {
     });
   },
   
+  '/api/groups/messages': (req, res) => {
+    res.json({
+      success: true,
+      messages: [],
+      hasMore: false,
+      nextCursor: null
+    });
+  },
+  
+  '/api/notifications': (req, res) => {
+    res.json({
+      success: true,
+      notifications: [],
+      hasMore: false,
+      nextCursor: null,
+      unreadCount: 0
+    });
+  },
+  
   '/api/auth/check': (req, res) => {
     res.json({
       success: true,
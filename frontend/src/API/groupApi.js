@@ -23,12 +23,13 @@ const createHeadersNoBody = () => {
 };
 
 // Create or join a group
-export const createOrJoinGroup = async (groupIdOrName, isCreating = false) => {
+// Approval-only groups answer with `pending: true`; `message` goes to the admins
+export const createOrJoinGroup = async (groupIdOrName, isCreating = false, message) => {
   try {
     // Prepare request body based on whether we're creating or joining
     const requestBody = isCreating 
       ? { groupName: groupIdOrName }
-      : { groupId: groupIdOrName };
+      : { groupId: groupIdOrName, ...(message && { message }) };
 
     console.log('createOrJoinGroup called with:', {
       groupIdOrName,
@@ -129,6 +130,716 @@ export const getGroupDetails = async (groupId) => {
   }
 };
 
+// Get a page of chat history: the latest messages, or those before/after a
+// message id, or the window around one
+export const getGroupMessages = async (groupId, { before, after, around, limit } = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (before) params.set('before', before);
+    if (after) params.set('after', after);
+    if (around) params.set('around', around);
+    if (limit) params.set('limit', limit);
+    const query = params.toString() ? `?${params.toString()}` : '';
+
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/messages${query}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get messages');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting group messages:', error);
+    throw error;
+  }
+};
+
+// Search a group's chat history. Filters: q, sender (user id), type, from/to
+// (ISO dates) and the `before` cursor of the previous page.
+export const searchGroupMessages = async (groupId, filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/messages/search?${params.toString()}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to search messages');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    throw error;
+  }
+};
+
+// Check in for today in a group
+export const createCheckin = async (groupId, checkinData) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/checkins`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify(checkinData)
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to check in');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error checking in:', error);
+    throw error;
+  }
+};
+
+// Get check-ins grouped per day ({ from, to, userId } are optional)
+export const getCheckinHistory = async (groupId, filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    const query = params.toString() ? `?${params.toString()}` : '';
+
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/checkins${query}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get check-in history');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting check-in history:', error);
+    throw error;
+  }
+};
+
+// Get a group's goals (optionally only those with the given status)
+export const getGoals = async (groupId, status) => {
+  try {
+    const query = status ? `?status=${status}` : '';
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/goals${query}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get goals');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting goals:', error);
+    throw error;
+  }
+};
+
+// Create a goal for a group
+export const createGoal = async (groupId, goalData) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/goals`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify(goalData)
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to create goal');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    throw error;
+  }
+};
+
+// Get a goal with its linked tasks
+export const getGoal = async (groupId, goalId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/goals/${goalId}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get goal');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting goal:', error);
+    throw error;
+  }
+};
+
+// Update a goal's details
+export const updateGoal = async (groupId, goalId, goalData) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/goals/${goalId}`, {
+      method: 'PUT',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify(goalData)
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to update goal');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    throw error;
+  }
+};
+
+// Change a goal's status (active, paused, completed, cancelled)
+export const updateGoalStatus = async (groupId, goalId, status) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/goals/${goalId}/status`, {
+      method: 'PATCH',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ status })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to update goal status');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating goal status:', error);
+    throw error;
+  }
+};
+
+// Delete a goal
+export const deleteGoal = async (groupId, goalId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/goals/${goalId}`, {
+      method: 'DELETE',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to delete goal');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    throw error;
+  }
+};
+
+// Link one of your tasks to a goal
+export const linkTaskToGoal = async (groupId, goalId, taskId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/goals/${goalId}/tasks/${taskId}`, {
+      method: 'PUT',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to link task');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error linking task to goal:', error);
+    throw error;
+  }
+};
+
+// Unlink a task from a goal
+export const unlinkTaskFromGoal = async (groupId, goalId, taskId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/goals/${goalId}/tasks/${taskId}`, {
+      method: 'DELETE',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to unlink task');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error unlinking task from goal:', error);
+    throw error;
+  }
+};
+
+// Make a member an admin
+export const promoteMember = async (groupId, userId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members/${userId}/promote`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to promote member');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error promoting member:', error);
+    throw error;
+  }
+};
+
+// Turn an admin back into a member
+export const demoteMember = async (groupId, userId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members/${userId}/demote`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to demote admin');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error demoting admin:', error);
+    throw error;
+  }
+};
+
+// Hand group ownership to another member
+export const transferOwnership = async (groupId, userId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members/${userId}/transfer-ownership`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to transfer ownership');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error transferring ownership:', error);
+    throw error;
+  }
+};
+
+// Remove a member from the group
+export const kickMember = async (groupId, userId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members/${userId}`, {
+      method: 'DELETE',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to remove member');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error removing member:', error);
+    throw error;
+  }
+};
+
+// Remove a member and block them from rejoining
+export const banMember = async (groupId, userId, reason = '') => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members/${userId}/ban`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ reason })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to ban member');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error banning member:', error);
+    throw error;
+  }
+};
+
+// Get the group's ban list (admins only)
+export const getBans = async (groupId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/bans`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to fetch bans');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching bans:', error);
+    throw error;
+  }
+};
+
+// Lift a ban
+export const unbanMember = async (groupId, userId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/bans/${userId}`, {
+      method: 'DELETE',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to unban user');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error unbanning user:', error);
+    throw error;
+  }
+};
+
+// Keep a member from chatting for a number of minutes
+export const muteMember = async (groupId, userId, minutes) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members/${userId}/mute`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ minutes })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to mute member');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error muting member:', error);
+    throw error;
+  }
+};
+
+// End a member's mute early
+export const unmuteMember = async (groupId, userId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/members/${userId}/mute`, {
+      method: 'DELETE',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to unmute member');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error unmuting member:', error);
+    throw error;
+  }
+};
+
+// List pending join requests (admins only)
+export const getJoinRequests = async (groupId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/join-requests`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get join requests');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting join requests:', error);
+    throw error;
+  }
+};
+
+// Let a requester into the group
+export const approveJoinRequest = async (groupId, userId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/join-requests/${userId}/approve`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to approve join request');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error approving join request:', error);
+    throw error;
+  }
+};
+
+// Turn a join request down
+export const rejectJoinRequest = async (groupId, userId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/join-requests/${userId}/reject`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to reject join request');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error rejecting join request:', error);
+    throw error;
+  }
+};
+
+// Create an invite link (admins only)
+export const createInvite = async (groupId, { expiresInHours, maxUses, singleUse } = {}) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/invites`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ expiresInHours, maxUses, singleUse })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to create invite');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    throw error;
+  }
+};
+
+// List a group's active invite links (admins only)
+export const getInvites = async (groupId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/invites`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get invites');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting invites:', error);
+    throw error;
+  }
+};
+
+// Revoke an invite link
+export const revokeInvite = async (groupId, inviteId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/invites/${inviteId}`, {
+      method: 'DELETE',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to revoke invite');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    throw error;
+  }
+};
+
+// Replace the group's join code; the old one stops working
+export const regenerateJoinCode = async (groupId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/join-code`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to regenerate join code');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error regenerating join code:', error);
+    throw error;
+  }
+};
+
+// Preview the group behind a join code
+export const previewJoinCode = async (joinCode) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/join/${encodeURIComponent(joinCode)}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Group not found');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error previewing group:', error);
+    throw error;
+  }
+};
+
+// Preview the group behind an invite link
+export const previewInvite = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/invites/${token}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Invite not found');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error previewing invite:', error);
+    throw error;
+  }
+};
+
+// Join a group through an invite link
+export const acceptInvite = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/invites/${token}/accept`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to join group');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error accepting invite:', error);
+    throw error;
+  }
+};
+
 // Get current user's group
 export const getCurrentGroup = async () => {
   try {
@@ -159,6 +870,305 @@ export const getCurrentGroup = async () => {
   }
 };
 
+// Every group the user belongs to, with unread counts
+export const getMyGroups = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/mine`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get your groups');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting groups:', error);
+    throw error;
+  }
+};
+
+// Search the public group directory
+export const discoverGroups = async ({ q, tag, sort, page, limit } = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (q) params.set('q', q);
+    if (tag) params.set('tag', tag);
+    if (sort) params.set('sort', sort);
+    if (page) params.set('page', page);
+    if (limit) params.set('limit', limit);
+
+    const response = await fetch(`${API_BASE_URL}/groups/discover?${params}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to search groups');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error discovering groups:', error);
+    throw error;
+  }
+};
+
+// Mark a group's chat as read up to a message (default: the latest one)
+export const markGroupRead = async (groupId, messageId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/read`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ messageId })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to mark messages as read');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error marking messages as read:', error);
+    throw error;
+  }
+};
+
+// Every member's last-read message, for "seen by" receipts
+export const getReadReceipts = async (groupId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/read-receipts`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get read receipts');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting read receipts:', error);
+    throw error;
+  }
+};
+
+// Send a chat message over REST (fallback when the socket is down)
+export const sendGroupMessage = async (groupId, { text, replyTo, attachmentIds } = {}) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/messages`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ text, replyTo, attachmentIds })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to send message');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error sending message:', error);
+    throw error;
+  }
+};
+
+// Edit one of your own messages
+export const editGroupMessage = async (groupId, messageId, text) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/messages/${messageId}`, {
+      method: 'PATCH',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ text })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to edit message');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error editing message:', error);
+    throw error;
+  }
+};
+
+// Delete a message (your own, or anyone's as an admin)
+export const deleteGroupMessage = async (groupId, messageId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/messages/${messageId}`, {
+      method: 'DELETE',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to delete message');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    throw error;
+  }
+};
+
+// Post a poll to the group chat
+export const createGroupPoll = async (groupId, { question, options, allowMultiple, isAnonymous, closesAt }) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/polls`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ question, options, allowMultiple, isAnonymous, closesAt })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to create poll');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error creating poll:', error);
+    throw error;
+  }
+};
+
+// Replace your votes in a poll; an empty list takes them back
+export const voteGroupPoll = async (groupId, messageId, optionIds) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/polls/${messageId}/vote`, {
+      method: 'PUT',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ optionIds })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to vote');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error voting in poll:', error);
+    throw error;
+  }
+};
+
+// End voting early (poll creator or admin)
+export const closeGroupPoll = async (groupId, messageId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/polls/${messageId}/close`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to close poll');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error closing poll:', error);
+    throw error;
+  }
+};
+
+// Pinned messages and announcements, most recently pinned first
+export const getPinnedMessages = async (groupId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/pins`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to load pinned messages');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error loading pinned messages:', error);
+    throw error;
+  }
+};
+
+// Pin or unpin a message (admins only)
+export const setMessagePinned = async (groupId, messageId, pinned) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/pins/${messageId}`, {
+      method: pinned ? 'PUT' : 'DELETE',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || `Failed to ${pinned ? 'pin' : 'unpin'} message`);
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating pinned message:', error);
+    throw error;
+  }
+};
+
+// Post a pinned announcement every member is notified about (admins only)
+export const postGroupAnnouncement = async (groupId, text) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/groups/${groupId}/announcements`, {
+      method: 'POST',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ text })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to post announcement');
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error posting announcement:', error);
+    throw error;
+  }
+};
+
 // Clear current group (for debugging/cleanup)
 export const clearCurrentGroup = async () => {
   try {
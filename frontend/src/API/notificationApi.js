@@ -0,0 +1,118 @@
+const API_BASE_URL = 'http://localhost:5001/api';
+
+// Get auth token from localStorage
+const getAuthToken = () => {
+  return localStorage.getItem('token');
+};
+
+// Create headers with auth token
+const createHeaders = () => {
+  const token = getAuthToken();
+  return {
+    'Content-Type': 'application/json',
+    ...(token && { 'Authorization': `Bearer ${token}` })
+  };
+};
+
+// Create headers without content-type for requests without body
+const createHeadersNoBody = () => {
+  const token = getAuthToken();
+  return {
+    ...(token && { 'Authorization': `Bearer ${token}` })
+  };
+};
+
+// Get a page of notifications (filters: type, groupId, unread, before, limit)
+export const getNotifications = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    const query = params.toString() ? `?${params.toString()}` : '';
+
+    const response = await fetch(`${API_BASE_URL}/notifications${query}`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get notifications');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    throw error;
+  }
+};
+
+// Get the number of unread notifications
+export const getUnreadNotificationCount = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notifications/unread-count`, {
+      method: 'GET',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to get unread count');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting unread notification count:', error);
+    throw error;
+  }
+};
+
+// Mark a single notification as read
+export const markNotificationRead = async (notificationId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notifications/${notificationId}/read`, {
+      method: 'PATCH',
+      headers: createHeadersNoBody(),
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to mark notification as read');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    throw error;
+  }
+};
+
+// Mark all notifications as read, optionally limited to a type and/or group
+export const markAllNotificationsRead = async (filters = {}) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notifications/read-all`, {
+      method: 'PATCH',
+      headers: createHeaders(),
+      credentials: 'include',
+      body: JSON.stringify(filters)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to mark notifications as read');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error marking all notifications as read:', error);
+    throw error;
+  }
+};
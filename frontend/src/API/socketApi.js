@@ -1,7 +1,10 @@
 import { io } from "socket.io-client";
 
+// The server authenticates the handshake with the auth cookie, so the socket
+// is only connected once the user is logged in (see App.jsx)
 const socketAPI = io("http://localhost:5001", {
   withCredentials: true,
+  autoConnect: false,
 });
 
-export default socketAPI;
\ No newline at end of file
+export default socketAPI;
@@ -0,0 +1,66 @@
+const API_BASE_URL = 'http://localhost:5001/api';
+
+// Mirror the server's limits so obviously bad files fail before uploading
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const MAX_FILE_BYTES = 10 * 1024 * 1024;
+export const ACCEPTED_UPLOAD_TYPES = 'image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain';
+
+// Get auth token from localStorage
+const getAuthToken = () => {
+  return localStorage.getItem('token');
+};
+
+// The browser sets the multipart Content-Type (with its boundary) itself
+const createHeadersNoBody = () => {
+  const token = getAuthToken();
+  return {
+    ...(token && { 'Authorization': `Bearer ${token}` })
+  };
+};
+
+// Returns the error message for a file the server would reject, or null
+export const validateUploadFile = (file) => {
+  if (!ACCEPTED_UPLOAD_TYPES.split(',').includes(file.type)) {
+    return 'Only images, PDFs and plain text files can be uploaded';
+  }
+
+  const maxBytes = file.type.startsWith('image/') ? MAX_IMAGE_BYTES : MAX_FILE_BYTES;
+  if (file.size > maxBytes) {
+    return `Files of this type can be at most ${maxBytes / (1024 * 1024)}MB`;
+  }
+
+  return null;
+};
+
+// Upload one file; resolves to { id, kind, url, thumbnailUrl, name, mimeType, size }
+export const uploadFile = async (file) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await fetch(`${API_BASE_URL}/uploads`, {
+      method: 'POST',
+      headers: createHeadersNoBody(),
+      credentials: 'include',
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to upload file');
+    }
+
+    return data.upload;
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    throw error;
+  }
+};
+
+// Human-readable file size for attachment chips
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
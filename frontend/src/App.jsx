@@ -7,17 +7,35 @@ import { useAuth } from "./contexts/AuthContext";
 
 const App = () => {
   const { user } = useAuth();
+  // The user object is replaced whenever the profile changes (e.g. on group
+  // switches); only a login or logout should touch the socket
+  const userId = user?.id || user?._id || null;
 
   useEffect(() => {
     // console.log(user);
     const handleConnect = () => {
       console.log("✅ Connected to server:", socketAPI.id);
     };
+    const handleConnectError = (error) => {
+      console.error("Socket connection rejected:", error.message);
+    };
 
     socketAPI.on("connect", handleConnect);
+    socketAPI.on("connect_error", handleConnectError);
+
+    // Connect only with a session; reconnect after login so the handshake
+    // carries the fresh auth cookie
+    if (userId) {
+      socketAPI.disconnect().connect();
+    } else {
+      socketAPI.disconnect();
+    }
 
-    return () => {};
-  }, [user]);
+    return () => {
+      socketAPI.off("connect", handleConnect);
+      socketAPI.off("connect_error", handleConnectError);
+    };
+  }, [userId]);
   return (
     <div className="bg-black text-white min-h-screen font-sans">
       <BrowserRouter>
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { CheckBadgeIcon, PaperClipIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import { useAuth } from "../contexts/AuthContext";
+import { getCurrentGroup, getCheckinHistory, createCheckin } from "../API/groupApi";
+import { uploadFile, validateUploadFile, ACCEPTED_UPLOAD_TYPES } from "../API/uploadApi";
+
+const STATUS_OPTIONS = [
+  { key: "completed", label: "Done", icon: "✅", color: "from-green-400 to-emerald-500" },
+  { key: "partial", label: "Partial", icon: "🟡", color: "from-yellow-400 to-orange-500" },
+  { key: "missed", label: "Missed", icon: "❌", color: "from-red-500 to-pink-500" },
+];
+
+const STATUS_ICONS = {
+  completed: "✅",
+  partial: "🟡",
+  missed: "❌",
+};
+
+const CheckinCard = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [group, setGroup] = useState(null);
+  const [days, setDays] = useState([]);
+  const [memberCount, setMemberCount] = useState(0);
+  const [note, setNote] = useState("");
+  const [proof, setProof] = useState(null);
+  const [uploadingProof, setUploadingProof] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadCheckins = async (groupId) => {
+    const response = await getCheckinHistory(groupId);
+    if (response.success) {
+      setDays(response.days);
+      setMemberCount(response.memberCount);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await getCurrentGroup();
+        if (response.success && response.group) {
+          setGroup(response.group);
+          await loadCheckins(response.group.id);
+        }
+      } catch (err) {
+        console.error("Error loading check-ins:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  // Proof is uploaded as soon as it's picked and attached to the next check-in
+  const handleProofSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const validationError = validateUploadFile(file);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setUploadingProof(true);
+    setError("");
+    try {
+      setProof(await uploadFile(file));
+    } catch (err) {
+      setError(err.message || "Failed to upload proof");
+    } finally {
+      setUploadingProof(false);
+    }
+  };
+
+  const handleCheckin = async (status) => {
+    if (!group) return;
+
+    setSubmitting(true);
+    setError("");
+    try {
+      await createCheckin(group.id, { status, message: note.trim(), proofUploadId: proof?.id });
+      setNote("");
+      setProof(null);
+      await loadCheckins(group.id);
+    } catch (err) {
+      setError(err.message || "Failed to check in");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // days[0] is today (as the server sees it)
+  const myStatusFor = (day) =>
+    day?.checkins.find((checkin) => checkin.user.id === user?.id)?.status;
+  const today = days[0];
+  const myTodayStatus = myStatusFor(today);
+
+  return (
+    <div className="relative overflow-hidden bg-gradient-to-br from-slate-800/50 to-slate-900/50 backdrop-blur-sm border border-purple-500/20 rounded-xl p-4 shadow-xl w-full">
+      <h3 className="text-lg font-bold bg-gradient-to-r from-yellow-400 to-amber-400 bg-clip-text text-transparent mb-3 flex items-center gap-2">
+        <CheckBadgeIcon className="w-5 h-5 text-yellow-400" />
+        Daily Check-in
+      </h3>
+
+      {loading ? (
+        <div className="animate-pulse space-y-2">
+          <div className="h-3 bg-slate-600 rounded w-3/4"></div>
+          <div className="h-8 bg-slate-700/50 rounded"></div>
+        </div>
+      ) : !group ? (
+        <div className="text-xs text-slate-400">
+          Join a group to start checking in.{" "}
+          <button
+            onClick={() => navigate("/create-group")}
+            className="text-yellow-400 hover:text-yellow-300 underline cursor-pointer"
+          >
+            Find a group
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-xs text-slate-300">
+            <span className="truncate">{group.name}</span>
+            <span>
+              {today?.completedCount || 0}/{memberCount} done today
+            </span>
+          </div>
+
+          {myTodayStatus && (
+            <div className="text-xs text-slate-300 bg-slate-700/30 rounded-lg px-3 py-2">
+              You checked in today: {STATUS_ICONS[myTodayStatus]}{" "}
+              <span className="capitalize">{myTodayStatus}</span>
+            </div>
+          )}
+
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={500}
+            placeholder="What did you get done? (optional)"
+            className="w-full bg-slate-700/30 border border-slate-600/30 text-white text-xs px-3 py-2 rounded-lg outline-none focus:border-yellow-400/50"
+          />
+
+          {proof ? (
+            <div className="flex items-center gap-2 text-xs text-slate-300 bg-slate-700/30 rounded-lg px-2 py-1">
+              {proof.kind === "image" ? (
+                <img src={proof.thumbnailUrl || proof.url} alt={proof.name} className="w-8 h-8 rounded object-cover" />
+              ) : (
+                <PaperClipIcon className="w-4 h-4" />
+              )}
+              <span className="flex-1 truncate">{proof.name}</span>
+              <button
+                onClick={() => setProof(null)}
+                className="p-0.5 rounded hover:bg-slate-600/50 cursor-pointer"
+                title="Remove proof"
+              >
+                <XMarkIcon className="w-3 h-3" />
+              </button>
+            </div>
+          ) : (
+            <label className="flex items-center gap-1 text-xs text-slate-400 hover:text-yellow-400 cursor-pointer w-fit">
+              <PaperClipIcon className="w-4 h-4" />
+              {uploadingProof ? "Uploading proof..." : "Attach proof (optional)"}
+              <input
+                type="file"
+                accept={ACCEPTED_UPLOAD_TYPES}
+                className="hidden"
+                onChange={handleProofSelected}
+                disabled={uploadingProof}
+              />
+            </label>
+          )}
+
+          <div className="flex gap-2">
+            {STATUS_OPTIONS.map((option) => (
+              <button
+                key={option.key}
+                onClick={() => handleCheckin(option.key)}
+                disabled={submitting || uploadingProof}
+                className={`flex-1 bg-gradient-to-r ${option.color} text-white text-xs font-semibold px-2 py-2 rounded-lg shadow hover:scale-105 transform transition-all duration-200 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed ${
+                  myTodayStatus === option.key ? "ring-2 ring-white/70" : ""
+                }`}
+              >
+                {option.icon} {option.label}
+              </button>
+            ))}
+          </div>
+
+          {error && <p className="text-xs text-red-400">{error}</p>}
+
+          {/* Last 7 days, oldest on the left */}
+          <div className="flex justify-between pt-1">
+            {[...days].reverse().map((day) => (
+              <div key={day.date} className="flex flex-col items-center gap-1" title={day.date}>
+                <span className="text-sm">{STATUS_ICONS[myStatusFor(day)] || "⬜"}</span>
+                <span className="text-[10px] text-slate-400">
+                  {new Date(`${day.date}T00:00:00Z`).toLocaleDateString("en-US", {
+                    weekday: "narrow",
+                    timeZone: "UTC",
+                  })}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckinCard;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { NavLink, useLocation } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import socketAPI from "../API/socketApi";
+import { getMyGroups } from "../API/groupApi";
+
+const DEFAULT_AVATAR = "https://randomuser.me/api/portraits/lego/1.jpg";
+
+const formatUnread = (count) => (count > 99 ? "99+" : count);
+
+// Sidebar list of the user's groups with unread badges
+const GroupSwitcher = () => {
+  const { user } = useAuth();
+  const location = useLocation();
+  const [groups, setGroups] = useState([]);
+
+  // /chatroom/:groupId names the open chat; plain /chatroom shows the current group
+  const chatMatch = location.pathname.match(/^\/chatroom(?:\/([^/]+))?/);
+  const openGroupKey = chatMatch ? chatMatch[1] || user?.currentGroupId : null;
+
+  const isOpen = useCallback(
+    (group) => !!openGroupKey && (group.id === openGroupKey || group.joinCode === openGroupKey),
+    [openGroupKey]
+  );
+
+  const loadGroups = useCallback(async () => {
+    try {
+      const data = await getMyGroups();
+      setGroups(data.groups);
+    } catch (error) {
+      console.error("Failed to load groups:", error);
+    }
+  }, []);
+
+  // Reload when joining, leaving or switching groups changes the current one
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups, user?.currentGroupId]);
+
+  useEffect(() => {
+    const handleActivity = ({ groupId, createdAt }) => {
+      setGroups((prev) =>
+        prev
+          .map((group) =>
+            group.id === groupId
+              ? {
+                  ...group,
+                  lastMessageAt: createdAt,
+                  unreadCount: isOpen(group) ? group.unreadCount : group.unreadCount + 1,
+                }
+              : group
+          )
+          .sort((a, b) => new Date(b.lastMessageAt || 0) - new Date(a.lastMessageAt || 0))
+      );
+    };
+
+    const handleRead = ({ groupId }) => {
+      setGroups((prev) =>
+        prev.map((group) => (group.id === groupId ? { ...group, unreadCount: 0 } : group))
+      );
+    };
+
+    socketAPI.on("group:activity", handleActivity);
+    socketAPI.on("group:read", handleRead);
+    socketAPI.on("connect", loadGroups);
+    return () => {
+      socketAPI.off("group:activity", handleActivity);
+      socketAPI.off("group:read", handleRead);
+      socketAPI.off("connect", loadGroups);
+    };
+  }, [isOpen, loadGroups]);
+
+  if (groups.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-1 border-t border-yellow-500/40 pt-4">
+      <h2 className="px-3 text-sm tracking-widest text-yellow-500">GROUPS</h2>
+      <div className="flex flex-col gap-1 max-h-64 overflow-y-auto">
+        {groups.map((group) => (
+          <NavLink
+            key={group.id}
+            to={`/chatroom/${group.id}`}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-white transition-colors hover:bg-slate-600/30 hover:text-yellow-500 ${
+              isOpen(group) ? "bg-white/10 text-yellow-600" : ""
+            }`}
+            title={group.name}
+          >
+            <img
+              src={group.avatar || DEFAULT_AVATAR}
+              alt={group.name}
+              className="w-7 h-7 rounded-full object-cover border border-yellow-400/60"
+            />
+            <span className="flex-1 truncate" style={{ fontFamily: "Inter, sans-serif" }}>
+              {group.name}
+            </span>
+            {group.unreadCount > 0 && !isOpen(group) && (
+              <span className="min-w-5 px-1.5 py-0.5 rounded-full bg-yellow-500 text-black text-xs font-semibold text-center">
+                {formatUnread(group.unreadCount)}
+              </span>
+            )}
+          </NavLink>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GroupSwitcher;
@@ -1,6 +1,7 @@
 import Sidebar from "./Sidebar";
 import Pricing from "./Pricing";
 import TopBar from "./TopBar";
+import NotificationToasts from "./notifications/NotificationToasts";
 import { Outlet } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import Particles from "../../public/Particles";
@@ -59,6 +60,7 @@ const Layout = () => {
           </div>
         </main>
       </div>
+      <NotificationToasts />
     </div>
   );
 };
@@ -1,6 +1,7 @@
 import { NavLink } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import React, { useState } from "react";
+import GroupSwitcher from "./GroupSwitcher";
 
 const Sidebar = () => {
   const { user, loading } = useAuth();
@@ -15,6 +16,7 @@ const Sidebar = () => {
     { name: "HOME", path: "/dashboard" },
     { name: "TASKS", path: "/tasks" },
     { name: "ANALYTICS", path: "/analytics" },
+    { name: "DISCOVER", path: "/discover" },
     { name: "PROFILE", path: "/profile" },
   ];
 
@@ -126,6 +128,7 @@ const Sidebar = () => {
             );
           })}
         </div>
+        <GroupSwitcher />
       </nav>
     </aside>
   );
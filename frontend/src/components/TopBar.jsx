@@ -1,5 +1,7 @@
 import React, { useState, useRef, useEffect } from "react";
 import { NavLink } from "react-router-dom";
+import { BellIcon } from "@heroicons/react/24/outline";
+import { useNotifications } from "../contexts/notificationContext";
 import farewellToDobby from "../assets/music/25 - Farewell To Dobby - Harry Potter and the Deathly Hallows Soundtrack (Alexandre Desplat).mp3";
 import harrysWondrousWorld from "../assets/music/Harry's Wondrous World (Extended Version).mp3";
 import theArrivalOfBabyHarry from "../assets/music/The Arrival of Baby Harry.mp3";
@@ -34,6 +36,7 @@ const MUSIC_FILES = [
 const TopBar = ({ user, onLogout, theme, setTheme }) => {
   const [open, setOpen] = useState(false);
   const [userDropdown, setUserDropdown] = useState(false);
+  const { unreadCount } = useNotifications();
   const dropdownRef = useRef(null);
   const userDropdownRef = useRef(null);
 
@@ -275,6 +278,19 @@ const TopBar = ({ user, onLogout, theme, setTheme }) => {
             </div>
           )}
         </div>
+        {/* Notifications Bell */}
+        <NavLink
+          to="/notifications"
+          className="relative p-2 rounded-full text-yellow-400 hover:bg-white/10 transition-colors"
+          title="Notifications"
+        >
+          <BellIcon className="w-7 h-7" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-red-500 text-white text-xs font-bold border-2 border-slate-900">
+              {unreadCount > 99 ? "99+" : unreadCount}
+            </span>
+          )}
+        </NavLink>
         {/* Avatar Dropdown */}
         <div className="relative" ref={userDropdownRef}>
           <button
@@ -351,6 +367,19 @@ const TopBar = ({ user, onLogout, theme, setTheme }) => {
               >
                 Profile
               </NavLink>
+              <NavLink
+                to="/notifications"
+                onClick={() => setUserDropdown(false)}
+                className={({ isActive }) =>
+                  `block px-5 py-2 text-left w-full text-sm font-medium bg-yellow-200 transition-colors cursor-pointer outline-none hover:bg-yellow-300 focus:bg-yellow-400 border-b border-gray-100 last:border-b-0 ${
+                    isActive ? "text-yellow-800 bg-yellow-200" : "text-gray-800"
+                  }`
+                }
+                role="menuitem"
+                tabIndex={0}
+              >
+                Notifications
+              </NavLink>
               <button
                 onClick={onLogout}
                 className="block px-5 py-2 text-left w-full text-sm font-semibold text-white bg-red-500 hover:bg-red-700 focus:bg-red-600 transition-colors rounded-b-xl cursor-pointer"
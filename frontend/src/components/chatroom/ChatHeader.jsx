@@ -11,9 +11,13 @@ import {
   ClipboardDocumentIcon
 } from "@heroicons/react/24/outline";
 import { updateGroup as updateGroupAPI, leaveGroup as leaveGroupAPI } from "../../API/groupApi";
+import { uploadFile, validateUploadFile } from "../../API/uploadApi";
 import { useAuth } from "../../contexts/AuthContext";
+import PinnedBanner from "./PinnedBanner";
+import { usePinnedMessages } from "./usePinnedMessages";
 
-export default function ChatHeader({ selectedChat, onUpdateGroup, onLeaveGroup }) {
+export default function ChatHeader({ selectedChat, onUpdateGroup, onLeaveGroup, onlineCount }) {
+  const [pinnedMessages] = usePinnedMessages(selectedChat?.id || selectedChat?._id);
   const navigate = useNavigate();
   const { user } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
@@ -185,8 +189,9 @@ const isAdmin = useMemo(() => {
     setShowDropdown(false);
   };
 
-  const handleImageUpload = (event) => {
+  const handleImageUpload = async (event) => {
     const file = event.target.files[0];
+    event.target.value = '';
     if (file) {
       // Validate file type
       if (!file.type.startsWith('image/')) {
@@ -194,20 +199,19 @@ const isAdmin = useMemo(() => {
         return;
       }
       
-      // Validate file size (max 5MB)
-      if (file.size > 5 * 1024 * 1024) {
-        alert('Image size should be less than 5MB.');
+      // Validate type and size against the upload limits
+      const validationError = validateUploadFile(file);
+      if (validationError) {
+        alert(validationError);
         return;
       }
       
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setEditedAvatar(e.target.result);
-      };
-      reader.onerror = () => {
-        alert('Failed to read the image file.');
-      };
-      reader.readAsDataURL(file);
+      try {
+        const upload = await uploadFile(file);
+        setEditedAvatar(upload.thumbnailUrl || upload.url);
+      } catch (error) {
+        alert('Failed to upload image: ' + (error.message || 'Unknown error occurred'));
+      }
     }
   };
 
@@ -262,206 +266,214 @@ const isAdmin = useMemo(() => {
   }
 
   return (
-    <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-white/10">
-      <div className="flex items-center gap-3 flex-1">
-        {/* Avatar */}
-        <div className="relative">
-          <img
-            src={isEditing ? editedAvatar : (selectedChat?.avatar || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDgiIGhlaWdodD0iNDgiIHZpZXdCb3g9IjAgMCA0OCA0OCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjQ4IiBoZWlnaHQ9IjQ4IiByeD0iMjQiIGZpbGw9IiM2YjcyODAiLz4KPHR4dCB4PSI1MCUiIHk9IjUwJSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0id2hpdGUiIGZvbnQtc2l6ZT0iMjAiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiI+RzwvdHh0Pgo8L3N2Zz4K')}
-            alt={selectedChat?.name || 'Group'}
-            className="w-12 h-12 rounded-full object-cover border-2 border-yellow-400/50"
-          />
-          {isEditing && isAdmin && (
-            <div className="absolute inset-0 bg-black/50 rounded-full flex items-center justify-center cursor-pointer hover:bg-black/60 transition-colors">
-              <label htmlFor="avatar-upload" className="cursor-pointer p-2">
-                <PhotoIcon className="w-5 h-5 text-white" />
+    <>
+      <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-white/10">
+        <div className="flex items-center gap-3 flex-1">
+          {/* Avatar */}
+          <div className="relative">
+            <img
+              src={isEditing ? editedAvatar : (selectedChat?.avatar || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDgiIGhlaWdodD0iNDgiIHZpZXdCb3g9IjAgMCA0OCA0OCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjQ4IiBoZWlnaHQ9IjQ4IiByeD0iMjQiIGZpbGw9IiM2YjcyODAiLz4KPHR4dCB4PSI1MCUiIHk9IjUwJSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0id2hpdGUiIGZvbnQtc2l6ZT0iMjAiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiI+RzwvdHh0Pgo8L3N2Zz4K')}
+              alt={selectedChat?.name || 'Group'}
+              className="w-12 h-12 rounded-full object-cover border-2 border-yellow-400/50"
+            />
+            {isEditing && isAdmin && (
+              <div className="absolute inset-0 bg-black/50 rounded-full flex items-center justify-center cursor-pointer hover:bg-black/60 transition-colors">
+                <label htmlFor="avatar-upload" className="cursor-pointer p-2">
+                  <PhotoIcon className="w-5 h-5 text-white" />
+                  <input
+                    id="avatar-upload"
+                    type="file"
+                    accept="image/*"
+                    className="hidden"
+                    onChange={handleImageUpload}
+                  />
+                </label>
+              </div>
+            )}
+          </div>
+
+          {/* Group Info */}
+          <div className="flex-1">
+            {isEditing ? (
+              <div className="space-y-2">
                 <input
-                  id="avatar-upload"
-                  type="file"
-                  accept="image/*"
-                  className="hidden"
-                  onChange={handleImageUpload}
+                  type="text"
+                  value={editedName}
+                  onChange={(e) => setEditedName(e.target.value)}
+                  className="font-semibold text-gray-900 dark:text-white bg-transparent border-b border-yellow-400 focus:outline-none focus:border-yellow-500 text-lg w-full"
+                  autoFocus
+                  maxLength={30}
+                  placeholder="Enter group name"
+                  disabled={!isAdmin}
                 />
-              </label>
-            </div>
-          )}
-        </div>
-
-        {/* Group Info */}
-        <div className="flex-1">
-          {isEditing ? (
-            <div className="space-y-2">
-              <input
-                type="text"
-                value={editedName}
-                onChange={(e) => setEditedName(e.target.value)}
-                className="font-semibold text-gray-900 dark:text-white bg-transparent border-b border-yellow-400 focus:outline-none focus:border-yellow-500 text-lg w-full"
-                autoFocus
-                maxLength={30}
-                placeholder="Enter group name"
-                disabled={!isAdmin}
-              />
-              
-              {/* Group ID Display in Edit Mode */}
-              <div className="flex items-center gap-2 bg-gray-100 dark:bg-gray-800 rounded-lg px-3 py-2">
-                <span className="text-xs text-gray-500 dark:text-gray-400 font-medium">
-                  Group ID:
-                </span>
-                <code className="text-xs text-gray-700 dark:text-gray-300 font-mono bg-gray-200 dark:bg-gray-700 px-2 py-1 rounded">
-                  {selectedChat?.joinCode || selectedChat?._id || selectedChat?.id || selectedChat?.groupId || 'Unknown'}
-                </code>
-                <button
-                  onClick={copyGroupId}
-                  className="ml-auto p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
-                  title="Copy Group ID"
-                >
-                  {groupIdCopied ? (
-                    <CheckIcon className="w-4 h-4 text-green-500" />
-                  ) : (
-                    <ClipboardDocumentIcon className="w-4 h-4 text-gray-500 dark:text-gray-400" />
-                  )}
-                </button>
-              </div>
               
-              {hasUnsavedChanges && (
-                <div className="text-xs text-yellow-500 flex items-center gap-1">
-                  <span className="w-2 h-2 bg-yellow-500 rounded-full animate-pulse"></span>
-                  Unsaved changes
+                {/* Group ID Display in Edit Mode */}
+                <div className="flex items-center gap-2 bg-gray-100 dark:bg-gray-800 rounded-lg px-3 py-2">
+                  <span className="text-xs text-gray-500 dark:text-gray-400 font-medium">
+                    Group ID:
+                  </span>
+                  <code className="text-xs text-gray-700 dark:text-gray-300 font-mono bg-gray-200 dark:bg-gray-700 px-2 py-1 rounded">
+                    {selectedChat?.joinCode || selectedChat?._id || selectedChat?.id || selectedChat?.groupId || 'Unknown'}
+                  </code>
+                  <button
+                    onClick={copyGroupId}
+                    className="ml-auto p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
+                    title="Copy Group ID"
+                  >
+                    {groupIdCopied ? (
+                      <CheckIcon className="w-4 h-4 text-green-500" />
+                    ) : (
+                      <ClipboardDocumentIcon className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+                    )}
+                  </button>
                 </div>
-              )}
               
-              {!isAdmin && (
-                <div className="text-xs text-gray-500 dark:text-gray-400 flex items-center gap-1">
-                  <span className="w-2 h-2 bg-gray-400 rounded-full"></span>
-                  Only admins can edit group details
-                </div>
-              )}
-            </div>
-          ) : (
-            <div>
-              <div className="font-semibold text-gray-900 dark:text-white text-lg">
-                {selectedChat.name}
-                {isAdmin && (
-                  <span className="ml-2 text-xs bg-yellow-500/20 text-yellow-600 dark:text-yellow-400 px-2 py-1 rounded-full">
-                    Admin
-                  </span>
+                {hasUnsavedChanges && (
+                  <div className="text-xs text-yellow-500 flex items-center gap-1">
+                    <span className="w-2 h-2 bg-yellow-500 rounded-full animate-pulse"></span>
+                    Unsaved changes
+                  </div>
+                )}
+              
+                {!isAdmin && (
+                  <div className="text-xs text-gray-500 dark:text-gray-400 flex items-center gap-1">
+                    <span className="w-2 h-2 bg-gray-400 rounded-full"></span>
+                    Only admins can edit group details
+                  </div>
                 )}
               </div>
-            </div>
-          )}
+            ) : (
+              <div>
+                <div className="font-semibold text-gray-900 dark:text-white text-lg">
+                  {selectedChat.name}
+                  {isAdmin && (
+                    <span className="ml-2 text-xs bg-yellow-500/20 text-yellow-600 dark:text-yellow-400 px-2 py-1 rounded-full">
+                      Admin
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
           
-          <div className="flex items-center gap-2 mt-1">
-            <UsersIcon className="w-4 h-4 text-gray-500 dark:text-gray-400" />
-            <span className="text-sm text-gray-500 dark:text-gray-400">
-              {memberCount} members
-            </span>
-            <div className="w-2 h-2 bg-green-500 rounded-full ml-2"></div>
-            <span className="text-xs text-green-500">Active</span>
+            <div className="flex items-center gap-2 mt-1">
+              <UsersIcon className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {memberCount} members
+              </span>
+              {/* Members with the app open right now, from socket presence */}
+              {typeof onlineCount === 'number' && (
+                <>
+                  <div className="w-2 h-2 bg-green-500 rounded-full ml-2"></div>
+                  <span className="text-xs text-green-500">{onlineCount} online</span>
+                </>
+              )}
+            </div>
           </div>
-        </div>
 
-        {/* Edit Controls */}
-        <div className="flex items-center gap-2 relative">
-          {isEditing ? (
-            <>
-              <button
-                onClick={handleSave}
-                disabled={!editedName.trim() || isSaving}
-                className="p-2 rounded-lg bg-green-500 text-white hover:bg-green-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                title="Save changes"
-              >
-                {isSaving ? (
-                  <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                ) : (
-                  <CheckIcon className="w-4 h-4" />
-                )}
-              </button>
-              <button
-                onClick={handleCancel}
-                className="p-2 rounded-lg bg-gray-500 text-white hover:bg-gray-600 transition-colors"
-                title="Cancel"
-              >
-                <XMarkIcon className="w-4 h-4" />
-              </button>
-            </>
-          ) : (
-            <>
-              {isAdmin && (
+          {/* Edit Controls */}
+          <div className="flex items-center gap-2 relative">
+            {isEditing ? (
+              <>
                 <button
-                  onClick={() => setIsEditing(true)}
-                  className="p-2 rounded-lg bg-yellow-500/20 text-yellow-600 hover:bg-yellow-500/30 transition-colors"
-                  title="Edit group"
+                  onClick={handleSave}
+                  disabled={!editedName.trim() || isSaving}
+                  className="p-2 rounded-lg bg-green-500 text-white hover:bg-green-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Save changes"
                 >
-                  <PencilIcon className="w-4 h-4" />
+                  {isSaving ? (
+                    <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                  ) : (
+                    <CheckIcon className="w-4 h-4" />
+                  )}
                 </button>
-              )}
-              
-              {/* Dropdown Menu Button */}
-              <div className="relative">
                 <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    setShowDropdown(!showDropdown);
-                  }}
-                  className="p-2 rounded-lg bg-gray-500/20 text-gray-600 dark:text-gray-400 hover:bg-gray-500/30 transition-colors border border-gray-300 dark:border-gray-600"
-                  title="More options"
+                  onClick={handleCancel}
+                  className="p-2 rounded-lg bg-gray-500 text-white hover:bg-gray-600 transition-colors"
+                  title="Cancel"
                 >
-                  <EllipsisVerticalIcon className="w-4 h-4" />
+                  <XMarkIcon className="w-4 h-4" />
                 </button>
+              </>
+            ) : (
+              <>
+                {isAdmin && (
+                  <button
+                    onClick={() => setIsEditing(true)}
+                    className="p-2 rounded-lg bg-yellow-500/20 text-yellow-600 hover:bg-yellow-500/30 transition-colors"
+                    title="Edit group"
+                  >
+                    <PencilIcon className="w-4 h-4" />
+                  </button>
+                )}
+              
+                {/* Dropdown Menu Button */}
+                <div className="relative">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setShowDropdown(!showDropdown);
+                    }}
+                    className="p-2 rounded-lg bg-gray-500/20 text-gray-600 dark:text-gray-400 hover:bg-gray-500/30 transition-colors border border-gray-300 dark:border-gray-600"
+                    title="More options"
+                  >
+                    <EllipsisVerticalIcon className="w-4 h-4" />
+                  </button>
                 
-                {/* Dropdown Menu */}
-                {showDropdown && (
-                  <>
-                    {/* Click outside overlay */}
-                    <div
-                      className="fixed inset-0 z-40"
-                      onClick={() => {
-                        setShowDropdown(false);
-                      }}
-                    />
-                    <div className="absolute right-0 top-full mt-2 w-56 bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 z-50 overflow-hidden">
-                      {/* Copy Group ID Option */}
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          copyGroupId();
+                  {/* Dropdown Menu */}
+                  {showDropdown && (
+                    <>
+                      {/* Click outside overlay */}
+                      <div
+                        className="fixed inset-0 z-40"
+                        onClick={() => {
                           setShowDropdown(false);
                         }}
-                        className="w-full flex items-center gap-3 px-4 py-3 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors border-b border-gray-100 dark:border-gray-700"
-                      >
-                        <ClipboardDocumentIcon className="w-5 h-5" />
-                        <div>
-                          <span className="text-sm font-medium">Copy Group ID</span>
-                          <div className="text-xs text-gray-500 dark:text-gray-400">
-                            Share with others to join
+                      />
+                      <div className="absolute right-0 top-full mt-2 w-56 bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 z-50 overflow-hidden">
+                        {/* Copy Group ID Option */}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            copyGroupId();
+                            setShowDropdown(false);
+                          }}
+                          className="w-full flex items-center gap-3 px-4 py-3 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors border-b border-gray-100 dark:border-gray-700"
+                        >
+                          <ClipboardDocumentIcon className="w-5 h-5" />
+                          <div>
+                            <span className="text-sm font-medium">Copy Group ID</span>
+                            <div className="text-xs text-gray-500 dark:text-gray-400">
+                              Share with others to join
+                            </div>
                           </div>
-                        </div>
-                      </button>
+                        </button>
                       
-                      {/* Leave Group Option */}
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleLeaveGroup();
-                        }}
-                        className="w-full flex items-center gap-3 px-4 py-3 text-left text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors border-b border-gray-100 dark:border-gray-700"
-                      >
-                        <ArrowLeftOnRectangleIcon className="w-5 h-5" />
-                        <div>
-                          <span className="text-sm font-medium">Leave Group</span>
-                          <div className="text-xs text-red-500 dark:text-red-400">
-                            This action cannot be undone
+                        {/* Leave Group Option */}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleLeaveGroup();
+                          }}
+                          className="w-full flex items-center gap-3 px-4 py-3 text-left text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors border-b border-gray-100 dark:border-gray-700"
+                        >
+                          <ArrowLeftOnRectangleIcon className="w-5 h-5" />
+                          <div>
+                            <span className="text-sm font-medium">Leave Group</span>
+                            <div className="text-xs text-red-500 dark:text-red-400">
+                              This action cannot be undone
+                            </div>
                           </div>
-                        </div>
-                      </button>
-                    </div>
-                  </>
-                )}
-              </div>
-            </>
-          )}
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
         </div>
       </div>
-    </div>
+      <PinnedBanner pinned={pinnedMessages} />
+    </>
   );
 }
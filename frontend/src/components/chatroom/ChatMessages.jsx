@@ -1,24 +1,334 @@
-import React, { useEffect, useRef } from "react";
+import React, { useLayoutEffect, useRef, useState } from "react";
+import {
+  ArrowUturnLeftIcon,
+  PencilIcon,
+  TrashIcon,
+  FaceSmileIcon,
+  DocumentIcon,
+  BookmarkIcon,
+  BookmarkSlashIcon,
+} from "@heroicons/react/24/outline";
+import { REACTION_EMOJIS } from "./reactions";
+import { splitMentions } from "./mentions";
+import { formatFileSize } from "../../API/uploadApi";
 
-export default function ChatMessages({ messages, className }) {
+const MAX_SEEN_BY_AVATARS = 5;
+
+// Image thumbnails open the full file; other files show as download chips
+function MessageAttachments({ attachments }) {
+  if (!attachments?.length) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-1">
+      {attachments.map((attachment) =>
+        attachment.kind === "image" ? (
+          <a key={attachment.id} href={attachment.url} target="_blank" rel="noopener noreferrer">
+            <img
+              src={attachment.thumbnailUrl || attachment.url}
+              alt={attachment.name}
+              loading="lazy"
+              className="max-h-48 max-w-full rounded-lg object-cover"
+            />
+          </a>
+        ) : (
+          <a
+            key={attachment.id}
+            href={attachment.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center gap-2 px-3 py-2 rounded-lg bg-black/10 dark:bg-white/10 hover:bg-black/20 dark:hover:bg-white/20 transition-colors"
+          >
+            <DocumentIcon className="w-5 h-5 flex-shrink-0" />
+            <span className="min-w-0">
+              <span className="block truncate">{attachment.name}</span>
+              <span className="block text-xs opacity-70">{formatFileSize(attachment.size)}</span>
+            </span>
+          </a>
+        )
+      )}
+    </div>
+  );
+}
+
+// Message text with @mentions highlighted, the viewer's own most strongly
+function MessageText({ text, mentions = [] }) {
+  if (mentions.length === 0) return text;
+
+  const isMe = new Map(mentions.map((mention) => [mention.username, mention.isMe]));
+  return splitMentions(text, [...isMe.keys()]).map((segment, index) =>
+    segment.mention ? (
+      <span
+        key={index}
+        className={`font-semibold rounded px-0.5 ${
+          isMe.get(segment.mention) ? "bg-amber-300/80 text-gray-900" : "bg-black/10 dark:bg-white/15"
+        }`}
+      >
+        {segment.text}
+      </span>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+}
+
+// Poll question with a bar per option; options are vote buttons while it's open
+function MessagePoll({ msg, onVote, onClose }) {
+  const { poll } = msg;
+  const canVote = !poll.isClosed && !!onVote;
+  const status = poll.isClosed
+    ? "Closed"
+    : poll.closesAt
+    ? `Closes ${new Date(poll.closesAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" })}`
+    : "Open";
+
+  return (
+    <div className="min-w-56">
+      <div className="font-semibold mb-1">📊 {poll.question}</div>
+      <div className="text-xs opacity-70 mb-2">
+        {poll.allowMultiple ? "Choose any" : "Choose one"}
+        {poll.isAnonymous && " · Anonymous"} · {status}
+      </div>
+      <div className="space-y-1">
+        {poll.options.map((option) => {
+          const percent = poll.totalVoters ? Math.round((option.votes / poll.totalVoters) * 100) : 0;
+          const chosen = poll.myVotes.includes(option.id);
+          return (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => onVote(msg, option.id)}
+              disabled={!canVote}
+              title={option.voters.map((voter) => voter.username).join(", ")}
+              className={`relative w-full overflow-hidden rounded-lg px-3 py-1.5 text-left text-xs border ${
+                chosen ? "border-current font-semibold" : "border-current/30"
+              } ${canVote ? "hover:bg-black/5 dark:hover:bg-white/5" : "cursor-default"}`}
+            >
+              <span className="absolute inset-y-0 left-0 bg-current opacity-15" style={{ width: `${percent}%` }} />
+              <span className="relative flex justify-between gap-2">
+                <span>
+                  {chosen && "✓ "}
+                  {option.text}
+                </span>
+                <span className="opacity-70">
+                  {option.votes} · {percent}%
+                </span>
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex items-center justify-between gap-2 mt-2 text-xs opacity-70">
+        <span>
+          {poll.totalVoters} {poll.totalVoters === 1 ? "voter" : "voters"}
+        </span>
+        {msg.canClosePoll && !poll.isClosed && onClose && (
+          <button type="button" onClick={() => onClose(msg)} className="underline hover:opacity-100">
+            Close poll
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Emoji chips under a message plus the picker to add one
+function MessageReactions({ msg, pickerOpen, onTogglePicker, onToggleReaction }) {
+  if (!onToggleReaction || msg.isDeleted) return null;
+
+  return (
+    <div className={`relative flex flex-wrap items-center gap-1 ${msg.fromMe ? "justify-end" : "justify-start"}`}>
+      {msg.reactions?.map((reaction) => (
+        <button
+          key={reaction.emoji}
+          type="button"
+          onClick={() => onToggleReaction(msg, reaction.emoji)}
+          title={reaction.users.map((user) => user.username).join(", ")}
+          className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${
+            reaction.reactedByMe
+              ? "bg-blue-500/20 border-blue-400 text-blue-700 dark:text-blue-200"
+              : "bg-gray-100 dark:bg-white/10 border-gray-200 dark:border-white/10 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-white/20"
+          }`}
+        >
+          {reaction.emoji} {reaction.count}
+        </button>
+      ))}
+      <button
+        type="button"
+        onClick={onTogglePicker}
+        className={`p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-white/10 transition-opacity ${
+          pickerOpen ? "opacity-100" : "opacity-0 group-hover:opacity-100"
+        }`}
+        title="Add reaction"
+      >
+        <FaceSmileIcon className="w-4 h-4" />
+      </button>
+      {pickerOpen && (
+        <div className="absolute bottom-full mb-1 z-20 flex gap-1 px-2 py-1 rounded-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow-lg">
+          {REACTION_EMOJIS.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => {
+                onToggleReaction(msg, emoji);
+                onTogglePicker();
+              }}
+              className="text-lg leading-none p-1 rounded-full hover:bg-gray-100 dark:hover:bg-white/10 transition-transform hover:scale-125"
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function ChatMessages({
+  messages,
+  className,
+  hasMore = false,
+  loadingOlder = false,
+  onLoadOlder,
+  hasNewer = false,
+  loadingNewer = false,
+  onLoadNewer,
+  onJumpToLatest,
+  onJumpToMessage,
+  focusRequest = null,
+  onReply,
+  onEdit,
+  onDelete,
+  onToggleReaction,
+  onTogglePin,
+  onVotePoll,
+  onClosePoll,
+  typingUsers = [],
+}) {
+  // Id of the message whose reaction picker is open
+  const [pickerMessageId, setPickerMessageId] = useState(null);
+  const containerRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const firstMessageIdRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+  // Scroll height captured right before older messages are prepended
+  const prependScrollHeightRef = useRef(null);
+  // Set while newer messages are appended, which must not scroll to the bottom
+  const appendingNewerRef = useRef(false);
+  const focusRequestRef = useRef(null);
+
+  const requestOlder = () => {
+    if (!onLoadOlder || !hasMore || loadingOlder) return;
+    prependScrollHeightRef.current = containerRef.current?.scrollHeight ?? null;
+    onLoadOlder();
+  };
+
+  const requestNewer = () => {
+    if (!onLoadNewer || !hasNewer || loadingNewer) return;
+    appendingNewerRef.current = true;
+    onLoadNewer();
+  };
+
+  // Keep the viewport anchored when history is prepended, otherwise
+  // auto-scroll to bottom when new messages arrive
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const firstMessageId = messages[0]?.id ?? null;
+    const lastMessageId = messages[messages.length - 1]?.id ?? null;
+    const prepended =
+      prependScrollHeightRef.current !== null &&
+      firstMessageId !== firstMessageIdRef.current;
+
+    // A new focus request (search result, pin) wins over the usual scrolling
+    const focusTarget =
+      focusRequest && focusRequest !== focusRequestRef.current
+        ? container?.querySelector(`[data-message-id="${focusRequest.messageId}"]`)
+        : null;
+
+    if (focusTarget) {
+      focusTarget.scrollIntoView({ block: "center" });
+      focusTarget.animate?.(
+        [{ backgroundColor: "rgba(250, 204, 21, 0.35)" }, { backgroundColor: "transparent" }],
+        { duration: 2000 }
+      );
+    } else if (container && prepended) {
+      container.scrollTop = container.scrollHeight - prependScrollHeightRef.current;
+    } else if (lastMessageId !== lastMessageIdRef.current && !appendingNewerRef.current) {
+      messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }
+
+    prependScrollHeightRef.current = null;
+    appendingNewerRef.current = false;
+    focusRequestRef.current = focusRequest;
+    firstMessageIdRef.current = firstMessageId;
+    lastMessageIdRef.current = lastMessageId;
+  }, [messages, focusRequest]);
+
+  const typingLabel =
+    typingUsers.length === 1
+      ? `${typingUsers[0]} is typing…`
+      : typingUsers.length === 2
+      ? `${typingUsers[0]} and ${typingUsers[1]} are typing…`
+      : typingUsers.length > 2
+      ? "Several people are typing…"
+      : "";
+
+  // Jump to the quoted message, asking for it to be loaded if it isn't
+  const scrollToMessage = (messageId) => {
+    const target = containerRef.current?.querySelector(`[data-message-id="${messageId}"]`);
+    if (target) {
+      target.scrollIntoView({ behavior: "smooth", block: "center" });
+    } else {
+      onJumpToMessage?.(messageId);
+    }
+  };
 
-  // Auto-scroll to bottom when new messages arrive
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollTop < 40) {
+      requestOlder();
+    } else if (scrollHeight - scrollTop - clientHeight < 40) {
+      requestNewer();
+    }
+  };
 
   // Add 'scrollbar-none' to hide scrollbar if using Tailwind, otherwise fallback to custom CSS
   const combinedClass =
     (className || "flex-1 min-h-0 overflow-y-auto px-6 py-4") +
     " scrollbar-none hide-scrollbar space-y-3 mt-3";
-    
+
   return (
-    <div className={combinedClass}>
+    <div ref={containerRef} className={combinedClass} onScroll={handleScroll}>
+      {hasMore && (
+        <div className="flex justify-center">
+          <button
+            type="button"
+            onClick={requestOlder}
+            disabled={loadingOlder}
+            className="text-xs px-3 py-1 rounded-full bg-gray-200 dark:bg-white/10 text-gray-600 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-white/20 transition-colors disabled:opacity-50"
+          >
+            {loadingOlder ? "Loading..." : "Load older messages"}
+          </button>
+        </div>
+      )}
       {messages.map((msg) => (
+        <React.Fragment key={msg.id}>
+        {msg.messageType === "system" ? (
+        <div data-message-id={msg.id} className="group flex flex-col items-center gap-1">
+          <div className="max-w-[80%] px-4 py-2 rounded-xl text-xs text-center whitespace-pre-line bg-gray-100 dark:bg-white/5 text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-white/10">
+            {msg.text}
+            <span className="ml-2 opacity-60">{msg.time}</span>
+          </div>
+          <MessageReactions
+            msg={msg}
+            pickerOpen={pickerMessageId === msg.id}
+            onTogglePicker={() => setPickerMessageId((prev) => (prev === msg.id ? null : msg.id))}
+            onToggleReaction={onToggleReaction}
+          />
+        </div>
+        ) : (
         <div
-          key={msg.id}
-          className={`flex ${msg.fromMe ? "justify-end" : "justify-start"}`}
+          data-message-id={msg.id}
+          className={`group flex ${msg.fromMe ? "justify-end" : "justify-start"}`}
         >
           <div
             className={`max-w-[60%] flex items-end gap-2 ${
@@ -30,21 +340,160 @@ export default function ChatMessages({ messages, className }) {
               alt={msg.sender}
               className="w-8 h-8 rounded-full object-cover border border-gray-300 dark:border-gray-600"
             />
-            <div
-              className={`px-4 py-2 rounded-2xl shadow text-sm ${
-                msg.fromMe
-                  ? "bg-blue-500 text-white"
-                  : "bg-gray-200 dark:bg-white/20 text-gray-900 dark:text-white"
-              }`}
-            >
-              {msg.text || msg.message}
-              <div className="text-xs text-right mt-1 opacity-60">
-                {msg.time}
+            <div className="flex flex-col gap-1 min-w-0">
+              <div
+                className={`px-4 py-2 rounded-2xl shadow text-sm ${
+                  msg.isDeleted
+                    ? "bg-transparent border border-dashed border-gray-300 dark:border-white/20 text-gray-500 dark:text-gray-400 italic"
+                    : msg.messageType === "checkin"
+                    ? "bg-amber-500/20 border border-amber-400/40 text-gray-900 dark:text-amber-100"
+                    : msg.messageType === "announcement"
+                    ? "bg-indigo-500/20 border border-indigo-400/40 text-gray-900 dark:text-indigo-100"
+                    : msg.messageType === "goal"
+                    ? "bg-emerald-500/20 border border-emerald-400/40 text-gray-900 dark:text-emerald-100"
+                    : msg.fromMe
+                    ? "bg-blue-500 text-white"
+                    : "bg-gray-200 dark:bg-white/20 text-gray-900 dark:text-white"
+                } ${msg.mentionsMe && !msg.isDeleted ? "ring-2 ring-amber-400" : ""}`}
+              >
+                {msg.messageType === "checkin" && !msg.isDeleted && (
+                  <div className="text-xs font-semibold opacity-70 mb-1">
+                    {msg.fromMe ? "Your check-in" : `${msg.sender}'s check-in`}
+                  </div>
+                )}
+                {msg.messageType === "announcement" && !msg.isDeleted && (
+                  <div className="text-xs font-semibold opacity-70 mb-1">📢 Announcement from {msg.sender}</div>
+                )}
+                {msg.replyPreview && !msg.isDeleted && (
+                  <button
+                    type="button"
+                    onClick={() => scrollToMessage(msg.replyPreview.id)}
+                    className="block w-full text-left mb-1 pl-2 border-l-2 border-current text-xs opacity-75 hover:opacity-100"
+                  >
+                    <span className="font-semibold">{msg.replyPreview.sender?.username || "Message"}</span>
+                    <span className="block truncate">
+                      {msg.replyPreview.isDeleted
+                      ? "This message was deleted"
+                      : msg.replyPreview.text || (msg.replyPreview.hasAttachments ? "📎 Attachment" : "")}
+                    </span>
+                  </button>
+                )}
+                {!msg.isDeleted && <MessageAttachments attachments={msg.attachments} />}
+                {msg.isDeleted ? (
+                  "This message was deleted"
+                ) : msg.poll ? (
+                  <MessagePoll msg={msg} onVote={onVotePoll} onClose={onClosePoll} />
+                ) : (
+                  <MessageText text={msg.text || msg.message} mentions={msg.mentions} />
+                )}
+                <div className="text-xs text-right mt-1 opacity-60">
+                  {msg.isPinned && !msg.isDeleted && <span className="mr-1" title="Pinned">📌</span>}
+                  {msg.isEdited && !msg.isDeleted && <span className="mr-1">(edited)</span>}
+                  {msg.time}
+                </div>
               </div>
+              <MessageReactions
+                msg={msg}
+                pickerOpen={pickerMessageId === msg.id}
+                onTogglePicker={() => setPickerMessageId((prev) => (prev === msg.id ? null : msg.id))}
+                onToggleReaction={onToggleReaction}
+              />
             </div>
+            {/* Hover actions */}
+            {(msg.canReply || msg.canEdit || msg.canDelete || msg.canPin) && (
+              <div className="flex items-center gap-1 self-center opacity-0 group-hover:opacity-100 transition-opacity">
+                {msg.canReply && onReply && (
+                  <button
+                    type="button"
+                    onClick={() => onReply(msg)}
+                    className="p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-white/10"
+                    title="Reply"
+                  >
+                    <ArrowUturnLeftIcon className="w-4 h-4" />
+                  </button>
+                )}
+                {msg.canEdit && onEdit && (
+                  <button
+                    type="button"
+                    onClick={() => onEdit(msg)}
+                    className="p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-white/10"
+                    title="Edit"
+                  >
+                    <PencilIcon className="w-4 h-4" />
+                  </button>
+                )}
+                {msg.canPin && onTogglePin && (
+                  <button
+                    type="button"
+                    onClick={() => onTogglePin(msg)}
+                    className="p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-white/10"
+                    title={msg.isPinned ? "Unpin" : "Pin"}
+                  >
+                    {msg.isPinned ? <BookmarkSlashIcon className="w-4 h-4" /> : <BookmarkIcon className="w-4 h-4" />}
+                  </button>
+                )}
+                {msg.canDelete && onDelete && (
+                  <button
+                    type="button"
+                    onClick={() => onDelete(msg)}
+                    className="p-1 rounded-full text-gray-500 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/20"
+                    title="Delete"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         </div>
+        )}
+        {/* Read receipts sit under the latest message each member has seen */}
+        {msg.seenBy?.length > 0 && (
+          <div
+            className={`flex items-center gap-1 -mt-2 ${msg.fromMe ? "justify-end" : "justify-start pl-10"}`}
+            title={`Seen by ${msg.seenBy.map((reader) => reader.username).join(", ")}`}
+          >
+            {msg.seenBy.slice(0, MAX_SEEN_BY_AVATARS).map((reader) => (
+              <img
+                key={reader.id}
+                src={reader.avatar}
+                alt={reader.username}
+                className="w-4 h-4 rounded-full object-cover border border-white dark:border-gray-800"
+              />
+            ))}
+            {msg.seenBy.length > MAX_SEEN_BY_AVATARS && (
+              <span className="text-[10px] text-gray-500 dark:text-gray-400">
+                +{msg.seenBy.length - MAX_SEEN_BY_AVATARS}
+              </span>
+            )}
+          </div>
+        )}
+        </React.Fragment>
       ))}
+      {hasNewer && (
+        <div className="flex justify-center gap-2">
+          <button
+            type="button"
+            onClick={requestNewer}
+            disabled={loadingNewer}
+            className="text-xs px-3 py-1 rounded-full bg-gray-200 dark:bg-white/10 text-gray-600 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-white/20 transition-colors disabled:opacity-50"
+          >
+            {loadingNewer ? "Loading..." : "Load newer messages"}
+          </button>
+          {onJumpToLatest && (
+            <button
+              type="button"
+              onClick={onJumpToLatest}
+              className="text-xs px-3 py-1 rounded-full bg-blue-500 text-white hover:bg-blue-600 transition-colors"
+            >
+              Jump to latest
+            </button>
+          )}
+        </div>
+      )}
+      {typingLabel && (
+        <div className="text-xs italic text-gray-500 dark:text-gray-400 animate-pulse">{typingLabel}</div>
+      )}
       {/* Auto-scroll anchor */}
       <div ref={messagesEndRef} />
     </div>
@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  FlagIcon,
+  PlusIcon,
+  StarIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  LinkIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoalStatus,
+  linkTaskToGoal,
+  unlinkTaskFromGoal
+} from '../../API/groupApi';
+
+// Mirrors the server's allowed status changes
+const STATUS_ACTIONS = {
+  active: [
+    { status: 'paused', label: 'Pause' },
+    { status: 'completed', label: 'Complete' },
+    { status: 'cancelled', label: 'Cancel' }
+  ],
+  paused: [
+    { status: 'active', label: 'Resume' },
+    { status: 'cancelled', label: 'Cancel' }
+  ],
+  completed: [{ status: 'active', label: 'Reopen' }],
+  cancelled: []
+};
+
+const STATUS_STYLES = {
+  active: 'bg-green-500/20 text-green-700 dark:text-green-300',
+  paused: 'bg-gray-500/20 text-gray-700 dark:text-gray-300',
+  completed: 'bg-blue-500/20 text-blue-700 dark:text-blue-300',
+  cancelled: 'bg-red-500/20 text-red-700 dark:text-red-300'
+};
+
+const CADENCE_LABELS = {
+  daily: 'Daily check-ins',
+  weekly: 'Weekly check-ins',
+  monthly: 'Monthly check-ins'
+};
+
+const describeDeadline = (days) => {
+  if (days > 1) return `${days} days left`;
+  if (days === 1) return '1 day left';
+  if (days === 0) return 'Due today';
+  return `Overdue by ${-days} day${days === -1 ? '' : 's'}`;
+};
+
+const EMPTY_FORM = { title: '', deadline: '', checkinFrequency: 'daily', priority: 'medium' };
+
+const GoalPanel = ({ groupId }) => {
+  const { user } = useAuth();
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [expandedGoal, setExpandedGoal] = useState(null);
+  const [myTasks, setMyTasks] = useState([]);
+
+  const loadGoals = useCallback(async () => {
+    try {
+      const data = await getGoals(groupId);
+      setGoals(data.goals);
+    } catch (err) {
+      setError(err.message || 'Failed to load goals');
+    } finally {
+      setLoading(false);
+    }
+  }, [groupId]);
+
+  useEffect(() => {
+    if (groupId) loadGoals();
+  }, [groupId, loadGoals]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await createGoal(groupId, {
+        ...form,
+        // Deadlines are picked as dates; the goal is due at the end of that day
+        deadline: new Date(`${form.deadline}T23:59:59`).toISOString()
+      });
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      await loadGoals();
+    } catch (err) {
+      setError(err.message || 'Failed to create goal');
+    }
+  };
+
+  const handleStatus = async (goalId, status) => {
+    setError('');
+    try {
+      await updateGoalStatus(groupId, goalId, status);
+      await loadGoals();
+    } catch (err) {
+      setError(err.message || 'Failed to update goal');
+    }
+  };
+
+  const loadGoalDetails = async (goalId) => {
+    const [goalData, tasksResponse] = await Promise.all([
+      getGoal(groupId, goalId),
+      fetch('/api/ai/tasks', {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      }).then(response => response.json())
+    ]);
+    setExpandedGoal(goalData.goal);
+    if (tasksResponse.success) {
+      setMyTasks(tasksResponse.data.tasks);
+    }
+  };
+
+  const toggleExpanded = async (goalId) => {
+    if (expandedGoal?.id === goalId) {
+      setExpandedGoal(null);
+      return;
+    }
+    try {
+      await loadGoalDetails(goalId);
+    } catch (err) {
+      setError(err.message || 'Failed to load goal');
+    }
+  };
+
+  const handleLink = async (taskId, link) => {
+    setError('');
+    try {
+      if (link) {
+        await linkTaskToGoal(groupId, expandedGoal.id, taskId);
+      } else {
+        await unlinkTaskFromGoal(groupId, expandedGoal.id, taskId);
+      }
+      await loadGoalDetails(expandedGoal.id);
+    } catch (err) {
+      setError(err.message || 'Failed to update task link');
+    }
+  };
+
+  // Tasks I own that could still be linked: not linked here and not tied to another group
+  const linkableTasks = myTasks.filter(task =>
+    task.owner === user?.id &&
+    !expandedGoal?.tasks.some(linked => linked.id === task.id) &&
+    (!task.groupId || task.groupId === groupId)
+  );
+
+  return (
+    <div className="space-y-2 pt-2 border-t border-yellow-200 dark:border-yellow-800">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-semibold text-gray-800 dark:text-gray-200 flex items-center gap-1">
+          <FlagIcon className="w-4 h-4 text-yellow-500" />
+          Goals
+        </h4>
+        <button
+          onClick={() => setShowForm(prev => !prev)}
+          className="p-1 rounded-lg bg-yellow-500/20 text-yellow-700 dark:text-yellow-300 hover:bg-yellow-500/30 transition-colors"
+          title="New goal"
+        >
+          <PlusIcon className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="space-y-2 bg-white/50 dark:bg-black/20 rounded-lg p-2">
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            placeholder="Goal title"
+            maxLength={200}
+            required
+            className="w-full px-2 py-1 text-sm rounded border border-yellow-300 dark:border-yellow-700 bg-transparent text-gray-900 dark:text-white"
+          />
+          <input
+            type="date"
+            value={form.deadline}
+            onChange={(e) => setForm({ ...form, deadline: e.target.value })}
+            required
+            className="w-full px-2 py-1 text-sm rounded border border-yellow-300 dark:border-yellow-700 bg-transparent text-gray-900 dark:text-white"
+          />
+          <div className="flex gap-2">
+            <select
+              value={form.checkinFrequency}
+              onChange={(e) => setForm({ ...form, checkinFrequency: e.target.value })}
+              className="flex-1 px-2 py-1 text-sm rounded border border-yellow-300 dark:border-yellow-700 bg-transparent text-gray-900 dark:text-white"
+            >
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+            </select>
+            <select
+              value={form.priority}
+              onChange={(e) => setForm({ ...form, priority: e.target.value })}
+              className="flex-1 px-2 py-1 text-sm rounded border border-yellow-300 dark:border-yellow-700 bg-transparent text-gray-900 dark:text-white"
+            >
+              <option value="low">Low</option>
+              <option value="medium">Medium</option>
+              <option value="high">High</option>
+            </select>
+          </div>
+          <button
+            type="submit"
+            className="w-full px-3 py-1 text-sm rounded-lg bg-yellow-500 hover:bg-yellow-600 text-white transition-colors"
+          >
+            Create goal
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      {loading ? (
+        <div className="h-10 bg-yellow-200/40 dark:bg-yellow-900/30 rounded-lg animate-pulse"></div>
+      ) : goals.length === 0 ? (
+        <p className="text-xs text-gray-600 dark:text-gray-400">No goals yet. Set one to keep the group on track.</p>
+      ) : (
+        <div className="space-y-2">
+          {goals.map(goal => (
+            <div key={goal.id} className="bg-white/50 dark:bg-black/20 rounded-lg p-2 space-y-1">
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white flex items-center gap-1">
+                    {goal.isPrimary && <StarIcon className="w-3 h-3 text-yellow-500 flex-shrink-0" title="Main goal" />}
+                    <span className="truncate">{goal.title}</span>
+                  </p>
+                  <p className="text-xs text-gray-600 dark:text-gray-400">
+                    {goal.status === 'active' || goal.status === 'paused'
+                      ? describeDeadline(goal.daysUntilDeadline)
+                      : new Date(goal.deadline).toLocaleDateString()}
+                    {' · '}
+                    {CADENCE_LABELS[goal.checkinFrequency]}
+                  </p>
+                </div>
+                <span className={`text-xs px-2 py-0.5 rounded-full capitalize flex-shrink-0 ${STATUS_STYLES[goal.status]}`}>
+                  {goal.status}
+                </span>
+              </div>
+
+              <div className="flex items-center gap-1 flex-wrap">
+                {STATUS_ACTIONS[goal.status].map(action => (
+                  <button
+                    key={action.status}
+                    onClick={() => handleStatus(goal.id, action.status)}
+                    className="text-xs px-2 py-0.5 rounded bg-gray-500/10 text-gray-700 dark:text-gray-300 hover:bg-gray-500/20 transition-colors"
+                  >
+                    {action.label}
+                  </button>
+                ))}
+                <button
+                  onClick={() => toggleExpanded(goal.id)}
+                  className="ml-auto text-xs flex items-center gap-0.5 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                >
+                  Tasks
+                  {expandedGoal?.id === goal.id ? <ChevronUpIcon className="w-3 h-3" /> : <ChevronDownIcon className="w-3 h-3" />}
+                </button>
+              </div>
+
+              {expandedGoal?.id === goal.id && (
+                <div className="space-y-1 pt-1">
+                  {expandedGoal.tasks.length === 0 && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">No linked tasks.</p>
+                  )}
+                  {expandedGoal.tasks.map(task => (
+                    <div key={task.id} className="flex items-center gap-2 text-xs text-gray-700 dark:text-gray-300">
+                      <span className={task.completed ? 'line-through opacity-60' : ''}>{task.title}</span>
+                      <span className="opacity-60">· {task.owner?.username || 'Deleted user'} · {task.overallProgress}%</span>
+                      {task.owner?.id === user?.id && (
+                        <button
+                          onClick={() => handleLink(task.id, false)}
+                          className="ml-auto text-gray-500 hover:text-red-500"
+                          title="Unlink task"
+                        >
+                          <XMarkIcon className="w-3 h-3" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  {linkableTasks.length > 0 && (
+                    <div className="flex items-center gap-1">
+                      <LinkIcon className="w-3 h-3 text-gray-500" />
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && handleLink(e.target.value, true)}
+                        className="flex-1 px-1 py-0.5 text-xs rounded border border-yellow-300 dark:border-yellow-700 bg-transparent text-gray-900 dark:text-white"
+                      >
+                        <option value="">Link one of your tasks...</option>
+                        {linkableTasks.map(task => (
+                          <option key={task.id} value={task.id}>{task.title}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GoalPanel;
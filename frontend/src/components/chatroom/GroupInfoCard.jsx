@@ -7,8 +7,13 @@ import {
   UsersIcon
 } from '@heroicons/react/24/outline';
 import InviteModal from './InviteModal';
+import GoalPanel from './GoalPanel';
+import MemberList from './MemberList';
+import PinnedMessages from './PinnedMessages';
+import { useAuth } from '../../contexts/AuthContext';
 
-const GroupInfoCard = ({ group, onInviteClick }) => {
+const GroupInfoCard = ({ group, onGroupUpdated }) => {
+  const { user } = useAuth();
   const [copied, setCopied] = useState(false);
   const [showInviteModal, setShowInviteModal] = useState(false);
 
@@ -115,6 +120,21 @@ const GroupInfoCard = ({ group, onInviteClick }) => {
         )}
       </div>
 
+      {/* Members and their roles */}
+      {group.members?.length > 0 && (
+        <MemberList
+          group={group}
+          currentUserId={user?.id || user?._id}
+          onGroupUpdated={onGroupUpdated}
+        />
+      )}
+
+      {/* Pinned messages and announcements */}
+      {group.id && <PinnedMessages group={group} />}
+
+      {/* Goals */}
+      {group.id && <GoalPanel groupId={group.id} />}
+
       {/* Quick Actions */}
       <div className="flex gap-2 pt-2 border-t border-yellow-200 dark:border-yellow-800">
         <button
@@ -146,6 +166,7 @@ const GroupInfoCard = ({ group, onInviteClick }) => {
         isOpen={showInviteModal}
         onClose={() => setShowInviteModal(false)}
         group={group}
+        onGroupUpdated={onGroupUpdated}
       />
     </div>
   );
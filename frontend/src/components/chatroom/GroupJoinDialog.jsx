@@ -82,6 +82,11 @@ const GroupJoinDialog = ({ isOpen, onClose, mode = 'join' }) => {
     try {
       const result = await groupApi.createOrJoinGroup(groupInput.trim(), false);
       
+      if (result && result.pending) {
+        setError(result.message);
+        return;
+      }
+
       if (result && result.success) {
         // Update user state
         setUser(prev => ({
@@ -1,14 +1,73 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   LinkIcon, 
   ClipboardDocumentIcon, 
   CheckIcon,
-  XMarkIcon
+  XMarkIcon,
+  ArrowPathIcon,
+  TrashIcon
 } from '@heroicons/react/24/outline';
+import { createInvite, getInvites, revokeInvite, regenerateJoinCode, updateGroup } from '../../API/groupApi';
+import { MAX_GROUP_TAGS, parseTagInput } from '../groupTags';
 
-const InviteModal = ({ isOpen, onClose, group }) => {
+const PRIVACY_OPTIONS = [
+  { value: 'open', label: 'Anyone with the Group ID' },
+  { value: 'approval', label: 'Admins approve join requests' },
+  { value: 'invite_only', label: 'Invite links only' }
+];
+
+const EXPIRY_OPTIONS = [
+  { hours: '', label: 'Never' },
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 7 * 24, label: '7 days' },
+  { hours: 30 * 24, label: '30 days' }
+];
+
+const getTokenLink = (token) => `${window.location.origin}/invite/${token}`;
+
+const describeInvite = (invite) => {
+  const uses = invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`;
+  const expiry = invite.expiresAt
+    ? `expires ${new Date(invite.expiresAt).toLocaleString()}`
+    : 'never expires';
+  return `${uses} · ${expiry}`;
+};
+
+const InviteModal = ({ isOpen, onClose, group, onGroupUpdated }) => {
   const [copied, setCopied] = useState(false);
   const [inviteLink, setInviteLink] = useState('');
+  const [invites, setInvites] = useState([]);
+  const [expiresInHours, setExpiresInHours] = useState(24);
+  const [maxUses, setMaxUses] = useState('');
+  const [singleUse, setSingleUse] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedInviteId, setCopiedInviteId] = useState(null);
+  const [tagsInput, setTagsInput] = useState('');
+
+  const isAdmin = group?.role === 'owner' || group?.role === 'admin';
+
+  const loadInvites = useCallback(async () => {
+    try {
+      const data = await getInvites(group.id);
+      setInvites(data.invites);
+    } catch (err) {
+      setError(err.message || 'Failed to load invites');
+    }
+  }, [group?.id]);
+
+  useEffect(() => {
+    if (isOpen && isAdmin && group?.id) {
+      loadInvites();
+    }
+  }, [isOpen, isAdmin, group?.id, loadInvites]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTagsInput((group?.tags || []).join(', '));
+    }
+  }, [isOpen, group?.tags]);
 
   useEffect(() => {
     if (group) {
@@ -47,6 +106,75 @@ const InviteModal = ({ isOpen, onClose, group }) => {
     }
   };
 
+  const runAction = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateInvite = () => runAction(async () => {
+    const data = await createInvite(group.id, {
+      expiresInHours: expiresInHours === '' ? undefined : Number(expiresInHours),
+      maxUses: !singleUse && maxUses !== '' ? Number(maxUses) : undefined,
+      singleUse
+    });
+    setInvites(prev => [data.invite, ...prev]);
+  });
+
+  const handleRevokeInvite = (inviteId) => runAction(async () => {
+    await revokeInvite(group.id, inviteId);
+    setInvites(prev => prev.filter(invite => invite.id !== inviteId));
+  });
+
+  const handleRegenerateJoinCode = () => {
+    if (!window.confirm('Generate a new Group ID? The current ID and join links will stop working. Invite links keep working.')) {
+      return;
+    }
+    runAction(async () => {
+      const data = await regenerateJoinCode(group.id);
+      if (onGroupUpdated) {
+        onGroupUpdated({ joinCode: data.joinCode });
+      }
+    });
+  };
+
+  // Privacy, directory listing and tags
+  const handleSettingsChange = (settings) => runAction(async () => {
+    const data = await updateGroup(group.id, settings);
+    if (onGroupUpdated) {
+      onGroupUpdated({
+        privacy: data.group.privacy,
+        isPublic: data.group.isPublic,
+        tags: data.group.tags
+      });
+    }
+  });
+
+  const handleSaveTags = () => {
+    const tags = parseTagInput(tagsInput);
+    if (tags.length > MAX_GROUP_TAGS) {
+      setError(`Use at most ${MAX_GROUP_TAGS} tags`);
+      return;
+    }
+    handleSettingsChange({ tags });
+  };
+
+  const copyTokenLink = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(getTokenLink(invite.token));
+      setCopiedInviteId(invite.id);
+      setTimeout(() => setCopiedInviteId(null), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
   if (!isOpen || !group) return null;
 
   return (
@@ -132,10 +260,140 @@ const InviteModal = ({ isOpen, onClose, group }) => {
                 >
                   <ClipboardDocumentIcon className="w-4 h-4" />
                 </button>
+                {isAdmin && (
+                  <button
+                    onClick={handleRegenerateJoinCode}
+                    disabled={busy}
+                    className="px-3 py-2 rounded-lg bg-gray-500 hover:bg-gray-600 text-white transition-colors disabled:opacity-50"
+                    title="Generate a new Group ID"
+                  >
+                    <ArrowPathIcon className="w-4 h-4" />
+                  </button>
+                )}
               </div>
             </div>
           </div>
 
+          {/* Join settings and invite links (admins only) */}
+          {isAdmin && (
+            <div className="space-y-2 pt-3 border-t border-gray-200 dark:border-gray-700">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Who Can Join
+              </label>
+              <select
+                value={group.privacy || 'open'}
+                onChange={(e) => handleSettingsChange({ privacy: e.target.value })}
+                disabled={busy}
+                className="w-full px-2 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-white"
+              >
+                {PRIVACY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={!!group.isPublic}
+                  onChange={(e) => handleSettingsChange({ isPublic: e.target.checked })}
+                  disabled={busy}
+                />
+                List this group in Discover
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={tagsInput}
+                  onChange={(e) => setTagsInput(e.target.value)}
+                  placeholder="Tags, e.g. fitness, dsa, side project"
+                  className="flex-1 px-2 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-white"
+                />
+                <button
+                  onClick={handleSaveTags}
+                  disabled={busy}
+                  className="px-3 py-1 text-sm rounded-lg bg-gray-500 hover:bg-gray-600 text-white transition-colors disabled:opacity-50"
+                >
+                  Save
+                </button>
+              </div>
+
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 pt-2">
+                Create Invite Link
+              </label>
+              <div className="flex items-center gap-2 flex-wrap text-sm">
+                <select
+                  value={expiresInHours}
+                  onChange={(e) => setExpiresInHours(e.target.value)}
+                  className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-white"
+                  title="Expires after"
+                >
+                  {EXPIRY_OPTIONS.map(option => (
+                    <option key={option.label} value={option.hours}>{option.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  max="1000"
+                  value={singleUse ? 1 : maxUses}
+                  onChange={(e) => setMaxUses(e.target.value)}
+                  disabled={singleUse}
+                  placeholder="Max uses"
+                  className="w-24 px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-white disabled:opacity-50"
+                />
+                <label className="flex items-center gap-1 text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={singleUse}
+                    onChange={(e) => setSingleUse(e.target.checked)}
+                  />
+                  Single use
+                </label>
+                <button
+                  onClick={handleCreateInvite}
+                  disabled={busy}
+                  className="ml-auto px-3 py-1 rounded-lg bg-blue-500 hover:bg-blue-600 text-white transition-colors disabled:opacity-50"
+                >
+                  Create
+                </button>
+              </div>
+
+              {error && <p className="text-xs text-red-500">{error}</p>}
+
+              {invites.length > 0 && (
+                <div className="space-y-1 max-h-40 overflow-y-auto">
+                  {invites.map(invite => (
+                    <div key={invite.id} className="flex items-center gap-2 text-xs p-2 rounded-lg bg-gray-50 dark:bg-gray-700">
+                      <div className="flex-1 min-w-0">
+                        <p className="font-mono truncate text-gray-900 dark:text-white">{getTokenLink(invite.token)}</p>
+                        <p className="text-gray-500 dark:text-gray-400">{describeInvite(invite)}</p>
+                      </div>
+                      <button
+                        onClick={() => copyTokenLink(invite)}
+                        className="p-1 rounded text-gray-500 hover:text-blue-500"
+                        title="Copy invite link"
+                      >
+                        {copiedInviteId === invite.id ? (
+                          <CheckIcon className="w-4 h-4" />
+                        ) : (
+                          <ClipboardDocumentIcon className="w-4 h-4" />
+                        )}
+                      </button>
+                      <button
+                        onClick={() => handleRevokeInvite(invite.id)}
+                        disabled={busy}
+                        className="p-1 rounded text-gray-500 hover:text-red-500 disabled:opacity-50"
+                        title="Revoke invite"
+                      >
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {copied && (
             <div className="text-sm text-green-600 dark:text-green-400 text-center">
               ✅ Copied to clipboard!
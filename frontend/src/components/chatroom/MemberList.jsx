@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import {
+  UsersIcon,
+  ShieldCheckIcon,
+  ArrowDownIcon,
+  ArrowUpIcon
+} from '@heroicons/react/24/outline';
+import { promoteMember, demoteMember, transferOwnership } from '../../API/groupApi';
+
+const ROLE_STYLES = {
+  owner: 'bg-yellow-500/20 text-yellow-700 dark:text-yellow-300',
+  admin: 'bg-blue-500/20 text-blue-700 dark:text-blue-300',
+  member: 'bg-gray-500/10 text-gray-600 dark:text-gray-400'
+};
+
+// Owners first, then admins, then everyone else
+const ROLE_ORDER = { owner: 0, admin: 1, member: 2 };
+
+const MemberList = ({ group, currentUserId, onGroupUpdated }) => {
+  const [error, setError] = useState('');
+  const [pendingId, setPendingId] = useState(null);
+
+  const members = [...(group.members || [])].sort(
+    (a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role]
+  );
+  const isOwner = group.role === 'owner';
+  const isAdmin = isOwner || group.role === 'admin';
+
+  const runAction = async (action, member) => {
+    setError('');
+    setPendingId(member._id);
+    try {
+      const data = await action(group.id, member._id);
+      if (onGroupUpdated) {
+        onGroupUpdated(data.group);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to update role');
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleTransfer = (member) => {
+    const confirmed = window.confirm(
+      `Make ${member.username} the owner of "${group.name}"? You will stay on as an admin.`
+    );
+    if (confirmed) {
+      runAction(transferOwnership, member);
+    }
+  };
+
+  return (
+    <div className="space-y-2 pt-2 border-t border-yellow-200 dark:border-yellow-800">
+      <h4 className="text-sm font-semibold text-gray-800 dark:text-gray-200 flex items-center gap-1">
+        <UsersIcon className="w-4 h-4 text-yellow-500" />
+        Members
+      </h4>
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      <div className="space-y-1">
+        {members.map(member => {
+          const isSelf = member._id === currentUserId;
+          const busy = pendingId === member._id;
+
+          return (
+            <div key={member._id} className="flex items-center gap-2 text-sm">
+              <img
+                src={member.avatar || 'https://randomuser.me/api/portraits/lego/1.jpg'}
+                alt={member.username}
+                className="w-6 h-6 rounded-full object-cover"
+              />
+              <span className="flex-1 truncate text-gray-800 dark:text-gray-200">
+                {member.username}
+                {isSelf && <span className="text-gray-500 dark:text-gray-400"> (you)</span>}
+              </span>
+              <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${ROLE_STYLES[member.role]}`}>
+                {member.role}
+              </span>
+
+              {!isSelf && isAdmin && member.role === 'member' && (
+                <button
+                  onClick={() => runAction(promoteMember, member)}
+                  disabled={busy}
+                  className="p-1 rounded text-gray-500 hover:text-blue-500 disabled:opacity-50"
+                  title="Make admin"
+                >
+                  <ArrowUpIcon className="w-3 h-3" />
+                </button>
+              )}
+              {!isSelf && isOwner && member.role === 'admin' && (
+                <button
+                  onClick={() => runAction(demoteMember, member)}
+                  disabled={busy}
+                  className="p-1 rounded text-gray-500 hover:text-red-500 disabled:opacity-50"
+                  title="Remove admin"
+                >
+                  <ArrowDownIcon className="w-3 h-3" />
+                </button>
+              )}
+              {!isSelf && isOwner && (
+                <button
+                  onClick={() => handleTransfer(member)}
+                  disabled={busy}
+                  className="p-1 rounded text-gray-500 hover:text-yellow-500 disabled:opacity-50"
+                  title="Transfer ownership"
+                >
+                  <ShieldCheckIcon className="w-3 h-3" />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MemberList;
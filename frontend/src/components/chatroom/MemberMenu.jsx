@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  SpeakerXMarkIcon,
+  SpeakerWaveIcon,
+  UserMinusIcon,
+  NoSymbolIcon
+} from '@heroicons/react/24/outline';
+import {
+  kickMember,
+  banMember,
+  muteMember,
+  unmuteMember,
+  getBans,
+  unbanMember,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest
+} from '../../API/groupApi';
+
+const MUTE_OPTIONS = [
+  { minutes: 15, label: '15 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 24 * 60, label: '1 day' }
+];
+
+const isMuted = (member) => !!member.mutedUntil && new Date(member.mutedUntil) > new Date();
+
+// Header dropdown listing the group's members with kick, ban and mute controls
+const MemberMenu = ({ group, currentUserId, onGroupUpdated }) => {
+  const [error, setError] = useState('');
+  const [pendingId, setPendingId] = useState(null);
+  const [bans, setBans] = useState([]);
+  const [joinRequests, setJoinRequests] = useState([]);
+
+  const isOwner = group.role === 'owner';
+  const isAdmin = isOwner || group.role === 'admin';
+
+  // Mirrors the server: the owner moderates everyone, admins moderate regular members
+  const canModerate = (member) =>
+    member._id !== currentUserId && (isOwner || (isAdmin && member.role === 'member'));
+
+  const loadBans = useCallback(async () => {
+    try {
+      const data = await getBans(group.id);
+      setBans(data.bans);
+    } catch (err) {
+      setError(err.message || 'Failed to load bans');
+    }
+  }, [group.id]);
+
+  const loadJoinRequests = useCallback(async () => {
+    try {
+      const data = await getJoinRequests(group.id);
+      setJoinRequests(data.joinRequests);
+    } catch (err) {
+      setError(err.message || 'Failed to load join requests');
+    }
+  }, [group.id]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadBans();
+      loadJoinRequests();
+    }
+  }, [isAdmin, loadBans, loadJoinRequests]);
+
+  const runAction = async (memberId, action) => {
+    setError('');
+    setPendingId(memberId);
+    try {
+      const data = await action();
+      if (data.group && onGroupUpdated) {
+        onGroupUpdated(data.group);
+      }
+      return true;
+    } catch (err) {
+      setError(err.message || 'Action failed');
+      return false;
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleKick = (member) => {
+    if (window.confirm(`Remove ${member.username} from the group? They can rejoin with the join code.`)) {
+      runAction(member._id, () => kickMember(group.id, member._id));
+    }
+  };
+
+  const handleBan = async (member) => {
+    const reason = window.prompt(`Ban ${member.username}? They won't be able to rejoin. Reason (optional):`);
+    if (reason === null) return;
+    if (await runAction(member._id, () => banMember(group.id, member._id, reason))) {
+      loadBans();
+    }
+  };
+
+  const handleUnban = async (userId) => {
+    if (await runAction(userId, () => unbanMember(group.id, userId))) {
+      loadBans();
+    }
+  };
+
+  const handleJoinRequest = async (userId, approve) => {
+    const action = approve ? approveJoinRequest : rejectJoinRequest;
+    if (await runAction(userId, () => action(group.id, userId))) {
+      setJoinRequests(prev => prev.filter(request => request.user.id !== userId));
+    }
+  };
+
+  return (
+    <div className="max-h-96 overflow-y-auto">
+      {error && <p className="px-4 pt-2 text-xs text-red-500">{error}</p>}
+
+      {isAdmin && joinRequests.length > 0 && (
+        <>
+          <div className="px-4 py-2 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400">
+            Join requests
+          </div>
+          {joinRequests.map(request => (
+            <div key={request.user.id} className="px-4 py-2 border-t border-gray-100 dark:border-gray-700">
+              <div className="flex items-center gap-2">
+                <span className="flex-1 text-sm text-gray-800 dark:text-gray-200 truncate">
+                  {request.user.username}
+                </span>
+                <button
+                  onClick={() => handleJoinRequest(request.user.id, true)}
+                  disabled={pendingId === request.user.id}
+                  className="text-xs px-2 py-0.5 rounded bg-green-500/10 text-green-600 dark:text-green-400 hover:bg-green-500/20 disabled:opacity-50"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => handleJoinRequest(request.user.id, false)}
+                  disabled={pendingId === request.user.id}
+                  className="text-xs px-2 py-0.5 rounded bg-red-500/10 text-red-600 dark:text-red-400 hover:bg-red-500/20 disabled:opacity-50"
+                >
+                  Reject
+                </button>
+              </div>
+              {request.message && (
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400 break-words">"{request.message}"</p>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+
+      <div className={`px-4 py-2 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 ${isAdmin && joinRequests.length > 0 ? 'border-t border-gray-200 dark:border-gray-700' : ''}`}>
+        Members
+      </div>
+
+      {(group.members || []).map(member => (
+        <div key={member._id} className="px-4 py-2 border-t border-gray-100 dark:border-gray-700">
+          <div className="flex items-center gap-2">
+            <span className="flex-1 text-sm text-gray-800 dark:text-gray-200 truncate">
+              {member.username}
+              {member._id === currentUserId && <span className="text-gray-500"> (you)</span>}
+            </span>
+            {member.role !== 'member' && (
+              <span className="text-xs capitalize text-yellow-600 dark:text-yellow-400">{member.role}</span>
+            )}
+            {isMuted(member) && (
+              <SpeakerXMarkIcon
+                className="w-4 h-4 text-red-500"
+                title={`Muted until ${new Date(member.mutedUntil).toLocaleString()}`}
+              />
+            )}
+          </div>
+
+          {canModerate(member) && (
+            <div className="flex items-center gap-1 mt-1 flex-wrap">
+              {isMuted(member) ? (
+                <button
+                  onClick={() => runAction(member._id, () => unmuteMember(group.id, member._id))}
+                  disabled={pendingId === member._id}
+                  className="flex items-center gap-1 text-xs px-2 py-0.5 rounded bg-gray-500/10 text-gray-700 dark:text-gray-300 hover:bg-gray-500/20 disabled:opacity-50"
+                >
+                  <SpeakerWaveIcon className="w-3 h-3" />
+                  Unmute
+                </button>
+              ) : (
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && runAction(member._id, () => muteMember(group.id, member._id, Number(e.target.value)))}
+                  disabled={pendingId === member._id}
+                  className="text-xs px-1 py-0.5 rounded border border-gray-300 dark:border-gray-600 bg-transparent text-gray-700 dark:text-gray-300"
+                >
+                  <option value="">Mute...</option>
+                  {MUTE_OPTIONS.map(option => (
+                    <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={() => handleKick(member)}
+                disabled={pendingId === member._id}
+                className="flex items-center gap-1 text-xs px-2 py-0.5 rounded bg-orange-500/10 text-orange-600 dark:text-orange-400 hover:bg-orange-500/20 disabled:opacity-50"
+              >
+                <UserMinusIcon className="w-3 h-3" />
+                Kick
+              </button>
+              <button
+                onClick={() => handleBan(member)}
+                disabled={pendingId === member._id}
+                className="flex items-center gap-1 text-xs px-2 py-0.5 rounded bg-red-500/10 text-red-600 dark:text-red-400 hover:bg-red-500/20 disabled:opacity-50"
+              >
+                <NoSymbolIcon className="w-3 h-3" />
+                Ban
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {isAdmin && bans.length > 0 && (
+        <>
+          <div className="px-4 py-2 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700">
+            Banned
+          </div>
+          {bans.map(ban => (
+            <div key={ban.user.id} className="px-4 py-2 flex items-center gap-2 border-t border-gray-100 dark:border-gray-700">
+              <span className="flex-1 text-sm text-gray-800 dark:text-gray-200 truncate" title={ban.reason || undefined}>
+                {ban.user.username}
+              </span>
+              <button
+                onClick={() => handleUnban(ban.user.id)}
+                disabled={pendingId === ban.user.id}
+                className="text-xs px-2 py-0.5 rounded bg-gray-500/10 text-gray-700 dark:text-gray-300 hover:bg-gray-500/20 disabled:opacity-50"
+              >
+                Unban
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MemberMenu;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { searchGroupMessages } from '../../API/groupApi';
+import { describeMessage } from './usePinnedMessages';
+
+const MESSAGE_TYPE_OPTIONS = [
+  { value: '', label: 'All messages' },
+  { value: 'text', label: 'Messages' },
+  { value: 'checkin', label: 'Check-ins' },
+  { value: 'poll', label: 'Polls' },
+  { value: 'announcement', label: 'Announcements' },
+  { value: 'goal', label: 'Goals' },
+  { value: 'system', label: 'System' }
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mark the searched words in a result
+const HighlightedText = ({ text, query }) => {
+  const words = query.split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (!words.length) return text;
+
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-500/40 text-inherit rounded px-0.5">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+// Search panel over the chat. Picking a result hands it to `onSelect`, which
+// shows the message in context.
+const MessageSearch = ({ isOpen, onClose, groupId, members = [], onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [sender, setSender] = useState('');
+  const [type, setType] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [results, setResults] = useState([]);
+  const [searchedFilters, setSearchedFilters] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen) return null;
+
+  // Dates are picked in local time; the whole `to` day is included
+  const buildFilters = () => ({
+    q: query.trim(),
+    sender,
+    type,
+    from: fromDate ? new Date(`${fromDate}T00:00`).toISOString() : '',
+    to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : ''
+  });
+
+  // Further pages keep the filters of the first one
+  const runSearch = async (before = null) => {
+    setLoading(true);
+    setError('');
+    try {
+      const filters = before ? searchedFilters : buildFilters();
+      const data = await searchGroupMessages(groupId, { ...filters, before });
+      setResults(prev => (before ? [...prev, ...data.results] : data.results));
+      setNextCursor(data.nextCursor);
+      setSearchedFilters(filters);
+    } catch (err) {
+      setError(err.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch();
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-40 w-full max-w-md flex flex-col bg-white dark:bg-gray-800 border-l border-gray-200 dark:border-gray-700 shadow-2xl">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Search messages</h3>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          title="Close"
+        >
+          <XMarkIcon className="w-5 h-5 text-gray-500" />
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <div className="relative">
+          <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            maxLength={100}
+            placeholder="Search this group..."
+            className={`${inputClass} pl-9`}
+            autoFocus
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <select value={sender} onChange={(e) => setSender(e.target.value)} className={inputClass}>
+            <option value="">Anyone</option>
+            {members.map(member => (
+              <option key={member.id || member._id} value={member.id || member._id}>
+                {member.username}
+              </option>
+            ))}
+          </select>
+          <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+            {MESSAGE_TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            From
+            <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} />
+          </label>
+          <label className="text-xs text-gray-500 dark:text-gray-400">
+            To
+            <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} />
+          </label>
+        </div>
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full px-3 py-2 text-sm rounded-lg bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50"
+        >
+          {loading && !results.length ? 'Searching...' : 'Search'}
+        </button>
+        {error && <p className="text-xs text-red-500">{error}</p>}
+      </form>
+
+      <div className="flex-1 min-h-0 overflow-y-auto px-4 py-3 space-y-2">
+        {searchedFilters && !loading && results.length === 0 && !error && (
+          <p className="text-sm text-center text-gray-500 dark:text-gray-400">No messages found</p>
+        )}
+        {results.map(message => (
+          <button
+            key={message.id}
+            onClick={() => onSelect(message)}
+            className="block w-full text-left p-3 rounded-lg bg-gray-50 dark:bg-white/5 hover:bg-gray-100 dark:hover:bg-white/10 transition-colors"
+            title="Show in chat"
+          >
+            <div className="flex items-center justify-between gap-2 text-xs text-gray-500 dark:text-gray-400">
+              <span className="font-semibold truncate">{message.sender?.username || 'System'}</span>
+              <span className="shrink-0">{new Date(message.createdAt).toLocaleString()}</span>
+            </div>
+            <div className="mt-1 text-sm text-gray-800 dark:text-gray-100 line-clamp-3 whitespace-pre-line">
+              <HighlightedText text={describeMessage(message)} query={searchedFilters?.q || ''} />
+            </div>
+          </button>
+        ))}
+        {nextCursor && (
+          <button
+            onClick={() => runSearch(nextCursor)}
+            disabled={loading}
+            className="w-full text-xs px-3 py-2 rounded-lg text-blue-600 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-500/10 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'More results'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessageSearch;
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { ChevronDownIcon } from '@heroicons/react/24/outline';
+import { scrollToChatMessage, describeMessage } from './usePinnedMessages';
+
+// One pinned message at a time under the chat header; the counter steps
+// through the rest. Clicking the text jumps to the message.
+const PinnedBanner = ({ pinned, onSelect = (message) => scrollToChatMessage(message.id) }) => {
+  const [index, setIndex] = useState(0);
+
+  if (!pinned?.length) return null;
+
+  const current = pinned[index % pinned.length];
+  const isAnnouncement = current.messageType === 'announcement';
+
+  return (
+    <div
+      className={`flex items-center gap-3 px-6 py-2 border-b text-sm ${
+        isAnnouncement
+          ? 'bg-indigo-50 dark:bg-indigo-500/10 border-indigo-200 dark:border-indigo-500/30'
+          : 'bg-amber-50 dark:bg-amber-500/10 border-amber-200 dark:border-amber-500/30'
+      }`}
+    >
+      <button
+        type="button"
+        onClick={() => onSelect(current)}
+        className="flex-1 min-w-0 text-left"
+        title="Go to message"
+      >
+        <div className="text-xs font-semibold text-gray-700 dark:text-gray-200">
+          {isAnnouncement ? '📢 Announcement' : '📌 Pinned'}
+          {current.sender?.username && (
+            <span className="font-normal text-gray-500 dark:text-gray-400"> · {current.sender.username}</span>
+          )}
+        </div>
+        <div className="truncate text-gray-800 dark:text-gray-100">{describeMessage(current)}</div>
+      </button>
+      {pinned.length > 1 && (
+        <button
+          type="button"
+          onClick={() => setIndex((prev) => (prev + 1) % pinned.length)}
+          className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-gray-600 dark:text-gray-300 hover:bg-black/5 dark:hover:bg-white/10"
+          title="Next pinned message"
+        >
+          {(index % pinned.length) + 1}/{pinned.length}
+          <ChevronDownIcon className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PinnedBanner;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { MegaphoneIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { setMessagePinned, postGroupAnnouncement } from '../../API/groupApi';
+import { usePinnedMessages, scrollToChatMessage, describeMessage } from './usePinnedMessages';
+
+// Pinned messages and announcements of the group. Admins can unpin them and
+// post new announcements, which every member is notified about.
+const PinnedMessages = ({ group }) => {
+  const [pinned, setPinned] = usePinnedMessages(group.id);
+  const [showForm, setShowForm] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const isAdmin = group.role === 'owner' || group.role === 'admin';
+
+  const handleUnpin = async (message) => {
+    setError('');
+    try {
+      const data = await setMessagePinned(group.id, message.id, false);
+      setPinned(data.pinned);
+    } catch (err) {
+      setError(err.message || 'Failed to unpin message');
+    }
+  };
+
+  const handleAnnounce = async (e) => {
+    e.preventDefault();
+    if (!announcement.trim()) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      const data = await postGroupAnnouncement(group.id, announcement.trim());
+      setPinned(data.pinned);
+      setAnnouncement('');
+      setShowForm(false);
+    } catch (err) {
+      setError(err.message || 'Failed to post announcement');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isAdmin && pinned.length === 0) return null;
+
+  return (
+    <div className="space-y-2 pt-2 border-t border-yellow-200 dark:border-yellow-800">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          Pinned ({pinned.length})
+        </h4>
+        {isAdmin && (
+          <button
+            onClick={() => setShowForm(prev => !prev)}
+            className="flex items-center gap-1 text-xs text-indigo-600 dark:text-indigo-300 hover:underline"
+          >
+            <MegaphoneIcon className="w-4 h-4" />
+            Announce
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleAnnounce} className="space-y-2">
+          <textarea
+            value={announcement}
+            onChange={(e) => setAnnouncement(e.target.value)}
+            maxLength={1000}
+            rows={3}
+            placeholder="Share something every member should see..."
+            className="w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+          <button
+            type="submit"
+            disabled={busy || !announcement.trim()}
+            className="w-full px-3 py-1.5 text-sm rounded-lg bg-indigo-500 hover:bg-indigo-600 text-white disabled:opacity-50"
+          >
+            {busy ? 'Posting...' : 'Post and notify members'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      <ul className="space-y-1">
+        {pinned.map(message => (
+          <li
+            key={message.id}
+            className="flex items-start gap-2 p-2 rounded-lg bg-white/60 dark:bg-black/20 text-sm"
+          >
+            <button
+              onClick={() => scrollToChatMessage(message.id)}
+              className="flex-1 min-w-0 text-left"
+              title="Go to message"
+            >
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {message.messageType === 'announcement' ? '📢' : '📌'} {message.sender?.username || 'System'}
+                {' · '}
+                {new Date(message.pinnedAt || message.createdAt).toLocaleDateString()}
+              </div>
+              <div className="line-clamp-2 text-gray-800 dark:text-gray-100">
+                {describeMessage(message)}
+              </div>
+            </button>
+            {isAdmin && (
+              <button
+                onClick={() => handleUnpin(message)}
+                className="p-1 rounded-lg text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700"
+                title="Unpin"
+              >
+                <XMarkIcon className="w-4 h-4" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PinnedMessages;
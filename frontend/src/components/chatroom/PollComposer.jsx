@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { XMarkIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+const CLOSE_OPTIONS = [
+  { hours: '', label: 'Stays open' },
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 3 * 24, label: '3 days' },
+  { hours: 7 * 24, label: '7 days' }
+];
+
+const PollComposer = ({ isOpen, onClose, onCreate }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [closesInHours, setClosesInHours] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setQuestion('');
+    setOptions(['', '']);
+    setAllowMultiple(false);
+    setIsAnonymous(false);
+    setClosesInHours('');
+    setError('');
+  };
+
+  const updateOption = (index, value) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? value : option)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const filledOptions = options.map(option => option.trim()).filter(Boolean);
+    if (!question.trim() || filledOptions.length < MIN_OPTIONS) {
+      setError(`Add a question and at least ${MIN_OPTIONS} options`);
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    const response = await onCreate({
+      question: question.trim(),
+      options: filledOptions,
+      allowMultiple,
+      isAnonymous,
+      closesAt: closesInHours
+        ? new Date(Date.now() + Number(closesInHours) * 60 * 60 * 1000).toISOString()
+        : null
+    });
+    setBusy(false);
+
+    if (response?.success) {
+      reset();
+      onClose();
+    } else {
+      setError(response?.message || 'Failed to create poll');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl border border-gray-200 dark:border-white/10 w-full max-w-md mx-4 overflow-hidden"
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-white/10">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Create a poll</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <input
+            type="text"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            maxLength={200}
+            placeholder="Ask a question..."
+            className="w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+
+          <div className="space-y-2">
+            {options.map((option, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={option}
+                  onChange={(e) => updateOption(index, e.target.value)}
+                  maxLength={100}
+                  placeholder={`Option ${index + 1}`}
+                  className="flex-1 px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+                {options.length > MIN_OPTIONS && (
+                  <button
+                    type="button"
+                    onClick={() => setOptions(prev => prev.filter((_, i) => i !== index))}
+                    className="p-1 rounded-lg text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700"
+                    title="Remove option"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+            {options.length < MAX_OPTIONS && (
+              <button
+                type="button"
+                onClick={() => setOptions(prev => [...prev, ''])}
+                className="flex items-center gap-1 text-xs text-blue-600 dark:text-blue-300 hover:underline"
+              >
+                <PlusIcon className="w-4 h-4" />
+                Add option
+              </button>
+            )}
+          </div>
+
+          <div className="space-y-2 text-sm text-gray-700 dark:text-gray-200">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={allowMultiple}
+                onChange={(e) => setAllowMultiple(e.target.checked)}
+              />
+              Allow multiple choices
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={isAnonymous}
+                onChange={(e) => setIsAnonymous(e.target.checked)}
+              />
+              Anonymous votes
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              <span>Closes</span>
+              <select
+                value={closesInHours}
+                onChange={(e) => setClosesInHours(e.target.value)}
+                className="px-2 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-white"
+              >
+                {CLOSE_OPTIONS.map(option => (
+                  <option key={option.label} value={option.hours}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {error && <p className="text-xs text-red-500">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium disabled:opacity-50"
+          >
+            {busy ? 'Posting...' : 'Post poll'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PollComposer;
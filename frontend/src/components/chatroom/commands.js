@@ -0,0 +1,23 @@
+// Slash commands the server understands, for the composer's suggestions. Keep
+// in sync with COMMANDS in backend/services/commandService.js: only these
+// names are run as commands, any other /text is sent as a normal message.
+export const CHAT_COMMANDS = [
+  { name: "checkin", usage: '/checkin [done|partial|missed] ["note"]', description: "Check in for today" },
+  { name: "task", usage: '/task add "title" ["section" ...]', description: "Add a group task" },
+  { name: "assign", usage: '/assign @user "section"', description: "Assign a task section" },
+  { name: "streak", usage: "/streak", description: "Show the group streak" },
+  {
+    name: "poll",
+    usage: '/poll "question" "option" "option" [--multi] [--anonymous] [--closes 2h]',
+    description: "Start a poll",
+  },
+];
+
+// Commands matching the `/name` being typed, until the first space
+export const filterCommands = (text) => {
+  const match = text.match(/^\/(\w*)$/);
+  if (!match) return [];
+
+  const query = match[1].toLowerCase();
+  return CHAT_COMMANDS.filter((command) => command.name.startsWith(query));
+};
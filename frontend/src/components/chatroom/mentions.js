@@ -0,0 +1,63 @@
+// Helpers for @username mentions. Usernames may contain spaces, so mentions are
+// found by matching known usernames (longest first), the same way the server does.
+
+const MAX_SUGGESTIONS = 6;
+const MAX_QUERY_LENGTH = 30;
+
+// A mention can't start or end in the middle of a word (e.g. an email address)
+const WORD_CHAR = /\w/;
+
+// The `@...` being typed right before the caret, as { start, query }, or null
+export const getMentionQuery = (text, caret) => {
+  const before = text.slice(0, caret);
+  const start = before.lastIndexOf("@");
+  if (start === -1 || (start > 0 && WORD_CHAR.test(before[start - 1]))) return null;
+
+  const query = before.slice(start + 1);
+  if (query.length > MAX_QUERY_LENGTH || /^\s/.test(query)) return null;
+  return { start, query };
+};
+
+// Members whose username starts with the query, case-insensitively
+export const filterMentionCandidates = (members, query) => {
+  const lower = query.toLowerCase();
+  return members
+    .filter((member) => member.username?.toLowerCase().startsWith(lower))
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+// Replace the `@query` ending at the caret with the full mention
+export const insertMention = (text, { start }, caret, username) => {
+  const mention = `@${username} `;
+  const rest = text.slice(caret).replace(/^ /, "");
+  return { text: text.slice(0, start) + mention + rest, caret: start + mention.length };
+};
+
+// Split text into plain and mention segments: [{ text, mention: username | null }]
+export const splitMentions = (text, usernames) => {
+  if (!text || usernames.length === 0) return [{ text: text || "", mention: null }];
+
+  const lower = text.toLowerCase();
+  const candidates = [...usernames].sort((a, b) => b.length - a.length);
+  const segments = [];
+  let plainStart = 0;
+
+  for (let at = lower.indexOf("@"); at !== -1; at = lower.indexOf("@", at + 1)) {
+    if (at > 0 && WORD_CHAR.test(lower[at - 1])) continue;
+
+    const rest = lower.slice(at + 1);
+    const username = candidates.find(
+      (name) => rest.startsWith(name.toLowerCase()) && !WORD_CHAR.test(rest[name.length] || "")
+    );
+    if (!username) continue;
+
+    if (at > plainStart) segments.push({ text: text.slice(plainStart, at), mention: null });
+    const end = at + 1 + username.length;
+    segments.push({ text: text.slice(at, end), mention: username });
+    plainStart = end;
+    at = end - 1;
+  }
+
+  if (plainStart < text.length) segments.push({ text: text.slice(plainStart), mention: null });
+  return segments;
+};
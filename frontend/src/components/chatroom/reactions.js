@@ -0,0 +1,2 @@
+// Reactions offered by the picker; the server accepts only these
+export const REACTION_EMOJIS = ["👍", "❤️", "🔥", "💪", "🎉", "👏", "😂", "🙌"];
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useState } from "react";
+import socketAPI from "../../API/socketApi";
+import { getPinnedMessages } from "../../API/groupApi";
+
+// Pinned messages of a group, kept current over the socket. The server sends
+// the full list whenever pins change; edits and deletions arrive as message updates.
+export const usePinnedMessages = (groupId) => {
+  // Tagged with its group so a previous group's pins never show for the next one
+  const [state, setState] = useState({ groupId: null, pinned: [] });
+
+  useEffect(() => {
+    if (!groupId || groupId === "offline-group") return;
+    let cancelled = false;
+
+    getPinnedMessages(groupId)
+      .then((data) => {
+        if (!cancelled) setState({ groupId, pinned: data.pinned || [] });
+      })
+      .catch(() => {});
+
+    const handlePinsUpdated = ({ groupId: updatedGroupId, pinned: nextPinned }) => {
+      if (updatedGroupId === groupId) setState({ groupId, pinned: nextPinned });
+    };
+
+    const handleMessageUpdated = (message) => {
+      if (message.groupId !== groupId) return;
+      setState((prev) => {
+        if (prev.groupId !== groupId || !prev.pinned.some((item) => item.id === message.id)) return prev;
+        return {
+          groupId,
+          pinned: message.isPinned
+            ? prev.pinned.map((item) => (item.id === message.id ? message : item))
+            : prev.pinned.filter((item) => item.id !== message.id),
+        };
+      });
+    };
+
+    socketAPI.on("pins:updated", handlePinsUpdated);
+    socketAPI.on("messageUpdated", handleMessageUpdated);
+    return () => {
+      cancelled = true;
+      socketAPI.off("pins:updated", handlePinsUpdated);
+      socketAPI.off("messageUpdated", handleMessageUpdated);
+    };
+  }, [groupId]);
+
+  // For callers applying a REST response when the socket is down
+  const setPinned = useCallback((pinned) => setState({ groupId, pinned }), [groupId]);
+
+  return [state.groupId === groupId ? state.pinned : [], setPinned];
+};
+
+// One-line summary of a message for the pinned banner, pinned list and search results
+export const describeMessage = (message) =>
+  message.text || (message.poll ? `📊 ${message.poll.question}` : message.attachments?.length ? "📎 Attachment" : "");
+
+// Scroll the chat to a message if it's loaded
+export const scrollToChatMessage = (messageId) => {
+  const element = document.querySelector(`[data-message-id="${messageId}"]`);
+  element?.scrollIntoView({ behavior: "smooth", block: "center" });
+  return !!element;
+};
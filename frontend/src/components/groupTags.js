@@ -0,0 +1,22 @@
+// Suggested directory tags; groups may use any short label
+export const SUGGESTED_GROUP_TAGS = [
+  "fitness",
+  "dsa",
+  "side project",
+  "study",
+  "language learning",
+  "writing",
+  "career",
+];
+
+export const MAX_GROUP_TAGS = 5;
+
+// "fitness, DSA , side project" -> ["fitness", "dsa", "side project"]
+export const parseTagInput = (value) => [
+  ...new Set(
+    value
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+];
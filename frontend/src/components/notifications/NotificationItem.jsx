@@ -0,0 +1,49 @@
+import React from "react";
+import { NOTIFICATION_TYPES } from "./notificationTypes";
+
+const formatTimeAgo = (date) => {
+  const seconds = Math.floor((Date.now() - new Date(date)) / 1000);
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 7 * 86400) return `${Math.floor(seconds / 86400)}d ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+const NotificationItem = ({ notification, onClick }) => {
+  const meta = NOTIFICATION_TYPES[notification.type] || NOTIFICATION_TYPES.checkin_reminder;
+  const Icon = meta.icon;
+
+  return (
+    <button
+      type="button"
+      onClick={() => onClick?.(notification)}
+      className={`w-full text-left flex items-start gap-3 p-4 rounded-xl border transition-colors cursor-pointer ${
+        notification.isRead
+          ? "bg-slate-800/30 border-slate-700/30 hover:bg-slate-800/50"
+          : "bg-slate-800/70 border-purple-500/30 hover:bg-slate-700/70"
+      }`}
+    >
+      <Icon className={`w-5 h-5 flex-shrink-0 mt-0.5 ${meta.color}`} />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center justify-between gap-2">
+          <p className={`text-sm text-white ${notification.isRead ? "font-normal" : "font-semibold"}`}>
+            {notification.title}
+          </p>
+          <span className="text-xs text-slate-400 flex-shrink-0">
+            {formatTimeAgo(notification.createdAt)}
+          </span>
+        </div>
+        <p className="text-xs text-slate-300 mt-1">{notification.message}</p>
+        {notification.group?.name && (
+          <p className="text-xs text-purple-300 mt-1">{notification.group.name}</p>
+        )}
+      </div>
+      {!notification.isRead && (
+        <span className="w-2 h-2 rounded-full bg-yellow-400 flex-shrink-0 mt-2" aria-label="Unread" />
+      )}
+    </button>
+  );
+};
+
+export default NotificationItem;
@@ -0,0 +1,54 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+import { NOTIFICATION_TYPES } from "./notificationTypes";
+import { useNotifications } from "../../contexts/notificationContext";
+
+// Popups for high-priority notifications pushed over the socket
+const NotificationToasts = () => {
+  const { toasts, dismissToast } = useNotifications();
+  const navigate = useNavigate();
+
+  if (toasts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2 max-w-sm">
+      {toasts.map((toast) => {
+        const meta = NOTIFICATION_TYPES[toast.type] || NOTIFICATION_TYPES.checkin_reminder;
+        const Icon = meta.icon;
+
+        return (
+          <div
+            key={toast.id}
+            className="bg-gradient-to-r from-red-900/90 to-purple-900/90 backdrop-blur-sm border border-red-500/30 rounded-lg p-4 shadow-lg animate-slide-in-right"
+          >
+            <div className="flex items-start gap-3">
+              <Icon className={`w-5 h-5 flex-shrink-0 ${meta.color}`} />
+              <button
+                type="button"
+                onClick={() => {
+                  dismissToast(toast.id);
+                  navigate("/notifications");
+                }}
+                className="flex-1 min-w-0 text-left cursor-pointer"
+              >
+                <p className="text-sm font-medium text-white">{toast.title}</p>
+                <p className="text-xs text-gray-300 mt-1">{toast.message}</p>
+              </button>
+              <button
+                onClick={() => dismissToast(toast.id)}
+                className="flex-shrink-0 text-gray-400 hover:text-white transition-colors cursor-pointer"
+              >
+                <XMarkIcon className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default NotificationToasts;
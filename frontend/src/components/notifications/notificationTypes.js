@@ -0,0 +1,36 @@
+import {
+  UsersIcon,
+  UserPlusIcon,
+  ClockIcon,
+  FireIcon,
+  BellAlertIcon,
+  EnvelopeIcon,
+  ShieldCheckIcon,
+  NoSymbolIcon,
+  InboxArrowDownIcon,
+  CheckCircleIcon,
+  AtSymbolIcon,
+  MegaphoneIcon,
+} from "@heroicons/react/24/outline";
+
+// Display metadata for each notification type
+export const NOTIFICATION_TYPES = {
+  assignment: { label: "Assignments", icon: UsersIcon, color: "text-purple-400" },
+  member_joined: { label: "New members", icon: UserPlusIcon, color: "text-green-400" },
+  goal_deadline: { label: "Goal deadlines", icon: ClockIcon, color: "text-orange-400" },
+  streak_broken: { label: "Streaks", icon: FireIcon, color: "text-red-400" },
+  checkin_reminder: { label: "Check-in reminders", icon: BellAlertIcon, color: "text-yellow-400" },
+  group_invite: { label: "Invites", icon: EnvelopeIcon, color: "text-blue-400" },
+  role_changed: { label: "Role changes", icon: ShieldCheckIcon, color: "text-yellow-400" },
+  moderation: { label: "Moderation", icon: NoSymbolIcon, color: "text-red-400" },
+  join_request: { label: "Join requests", icon: InboxArrowDownIcon, color: "text-blue-400" },
+  join_request_result: { label: "Join request outcomes", icon: CheckCircleIcon, color: "text-green-400" },
+  mention: { label: "Mentions", icon: AtSymbolIcon, color: "text-cyan-400" },
+  announcement: { label: "Announcements", icon: MegaphoneIcon, color: "text-indigo-400" },
+};
+
+// Whether a `notification:read` socket event covers the given notification
+export const isCoveredByReadEvent = (notification, { ids = [], all, type, groupId }) => {
+  if (!all) return ids.includes(notification.id);
+  return (!type || notification.type === type) && (!groupId || notification.group?.id === groupId);
+};
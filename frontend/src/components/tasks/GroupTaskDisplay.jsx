@@ -7,9 +7,13 @@ import {
   ChevronUpIcon 
 } from '@heroicons/react/24/outline';
 
-const GroupTaskDisplay = ({ task, groupMembers, onTaskUpdated, onAssignmentChanged }) => {
+const formatCompletedAt = (date) =>
+  new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const GroupTaskDisplay = ({ task, groupMembers, currentUserId, isGroupAdmin, onTaskUpdated, onAssignmentChanged }) => {
   const [expandedHeaders, setExpandedHeaders] = useState({});
   const [members, setMembers] = useState(groupMembers || []);
+  const [error, setError] = useState('');
 
   useEffect(() => {
     setMembers(groupMembers || []);
@@ -22,25 +26,41 @@ const GroupTaskDisplay = ({ task, groupMembers, onTaskUpdated, onAssignmentChang
     }));
   };
 
+  // Mirrors the server rule: the assignee or an admin, or the owner while a section is unassigned
+  const canCompleteHeader = (header) => {
+    if (isGroupAdmin) return true;
+    if (header.assignedTo) return header.assignedTo === currentUserId;
+    return task.owner === currentUserId;
+  };
+
+  const getMemberName = (userId) =>
+    members.find(m => m._id === userId)?.username || 'Unknown';
+
   const handleSubtaskToggle = async (headerIndex, subtaskIndex, completed) => {
+    setError('');
     try {
       // Optimistic update
-      const updatedTask = { ...task };
-      updatedTask.taskHeaders[headerIndex].subtasks[subtaskIndex].completed = completed;
-      
+      const taskHeaders = task.taskHeaders.map((header, hIndex) => hIndex !== headerIndex ? header : {
+        ...header,
+        subtasks: header.subtasks.map((subtask, sIndex) => sIndex !== subtaskIndex ? subtask : {
+          ...subtask,
+          completed,
+          completedBy: completed ? { _id: currentUserId, username: getMemberName(currentUserId) } : null,
+          completedAt: completed ? new Date().toISOString() : null
+        })
+      });
+
       // Calculate progress
-      const totalSubtasks = updatedTask.taskHeaders.reduce((total, header) => 
+      const totalSubtasks = taskHeaders.reduce((total, header) => 
         total + header.subtasks.length, 0
       );
-      const completedSubtasks = updatedTask.taskHeaders.reduce((total, header) => 
+      const completedSubtasks = taskHeaders.reduce((total, header) => 
         total + header.subtasks.filter(subtask => subtask.completed).length, 0
       );
-      
-      updatedTask.overallProgress = Math.round((completedSubtasks / totalSubtasks) * 100);
-      updatedTask.completed = updatedTask.overallProgress === 100;
+      const overallProgress = Math.round((completedSubtasks / totalSubtasks) * 100);
 
       if (onTaskUpdated) {
-        onTaskUpdated(updatedTask);
+        onTaskUpdated({ ...task, taskHeaders, overallProgress, completed: overallProgress === 100 });
       }
 
       // API call to update backend
@@ -53,12 +73,18 @@ const GroupTaskDisplay = ({ task, groupMembers, onTaskUpdated, onAssignmentChang
         body: JSON.stringify({ completed })
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to update subtask');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to update subtask');
       }
 
+      // The server's copy carries who completed the subtask and when
+      if (onTaskUpdated) {
+        onTaskUpdated(data.data.task);
+      }
     } catch (error) {
       console.error('Error updating subtask:', error);
+      setError(error.message);
       // Revert optimistic update on error
       if (onTaskUpdated) {
         onTaskUpdated(task);
@@ -118,6 +144,8 @@ const GroupTaskDisplay = ({ task, groupMembers, onTaskUpdated, onAssignmentChang
         <span>Group Task Structure</span>
       </div>
       
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      
       {task.taskHeaders.map((header, headerIndex) => (
         <div key={headerIndex} className="bg-slate-700/30 rounded-lg border border-slate-600/30">
           {/* Header */}
@@ -131,7 +159,7 @@ const GroupTaskDisplay = ({ task, groupMembers, onTaskUpdated, onAssignmentChang
                 <div className="flex items-center gap-1 text-xs text-blue-400">
                   <UserIcon className="w-3 h-3" />
                   <span>
-                    {members.find(m => m._id === header.assignedTo)?.username || 'Unknown'}
+                    {getMemberName(header.assignedTo)}
                   </span>
                 </div>
               )}
@@ -164,7 +192,9 @@ const GroupTaskDisplay = ({ task, groupMembers, onTaskUpdated, onAssignmentChang
                 <div key={subtaskIndex} className="flex items-center gap-3 py-2">
                   <button
                     onClick={() => handleSubtaskToggle(headerIndex, subtaskIndex, !subtask.completed)}
-                    className={`w-4 h-4 rounded border transition-colors ${
+                    disabled={!canCompleteHeader(header)}
+                    title={canCompleteHeader(header) ? undefined : 'Only the assigned member or a group admin can update this'}
+                    className={`w-4 h-4 rounded border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
                       subtask.completed 
                         ? 'bg-green-500 border-green-500' 
                         : 'border-slate-400 hover:border-green-400'
@@ -180,6 +210,13 @@ const GroupTaskDisplay = ({ task, groupMembers, onTaskUpdated, onAssignmentChang
                   }`}>
                     {subtask.text}
                   </span>
+
+                  {subtask.completed && subtask.completedBy && (
+                    <span className="text-xs text-green-400/80 whitespace-nowrap">
+                      {subtask.completedBy.username || getMemberName(subtask.completedBy)}
+                      {subtask.completedAt && ` · ${formatCompletedAt(subtask.completedAt)}`}
+                    </span>
+                  )}
                 </div>
               ))}
             </div>
@@ -1,28 +1,41 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { CheckCircleIcon, XMarkIcon, UsersIcon, ClockIcon } from '@heroicons/react/24/outline';
-import { useAuth } from '../../contexts/AuthContext';
+import { getNotifications, markNotificationRead } from '../../API/notificationApi';
+import socketAPI from '../../API/socketApi';
+import { isCoveredByReadEvent } from '../notifications/notificationTypes';
 
 const GroupTaskNotifications = () => {
-  const { user } = useAuth();
+  const navigate = useNavigate();
   const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     fetchNotifications();
+
+    // New assignments arrive over the socket; reads elsewhere remove them here
+    const handleNew = (notification) => {
+      if (notification.type === 'assignment') {
+        setNotifications(prev => [notification, ...prev]);
+      }
+    };
+    const handleRead = (event) => {
+      setNotifications(prev => prev.filter(notification => !isCoveredByReadEvent(notification, event)));
+    };
+
+    socketAPI.on('notification:new', handleNew);
+    socketAPI.on('notification:read', handleRead);
+    return () => {
+      socketAPI.off('notification:new', handleNew);
+      socketAPI.off('notification:read', handleRead);
+    };
   }, []);
 
+  // Unread task assignments from the notification inbox
   const fetchNotifications = async () => {
     try {
-      const response = await fetch('/api/ai/task-notifications', {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-      const data = await response.json();
-      
-      if (data.success) {
-        setNotifications(data.notifications || []);
-      }
+      const data = await getNotifications({ type: 'assignment', unread: 'true', limit: 10 });
+      setNotifications(data.notifications || []);
     } catch (error) {
       console.error('Error fetching notifications:', error);
     } finally {
@@ -32,15 +45,10 @@ const GroupTaskNotifications = () => {
 
   const markAsRead = async (notificationId) => {
     try {
-      await fetch(`/api/ai/task-notifications/${notificationId}/read`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
+      await markNotificationRead(notificationId);
       
       setNotifications(prev => 
-        prev.filter(notification => notification._id !== notificationId)
+        prev.filter(notification => notification.id !== notificationId)
       );
     } catch (error) {
       console.error('Error marking notification as read:', error);
@@ -49,7 +57,7 @@ const GroupTaskNotifications = () => {
 
   const dismissNotification = (notificationId) => {
     setNotifications(prev => 
-      prev.filter(notification => notification._id !== notificationId)
+      prev.filter(notification => notification.id !== notificationId)
     );
   };
 
@@ -61,14 +69,14 @@ const GroupTaskNotifications = () => {
     <div className="fixed top-4 right-4 z-50 space-y-2 max-w-sm">
       {notifications.slice(0, 3).map((notification) => (
         <div
-          key={notification._id}
+          key={notification.id}
           className="bg-gradient-to-r from-purple-900/90 to-blue-900/90 backdrop-blur-sm border border-purple-500/30 rounded-lg p-4 shadow-lg animate-slide-in-right"
         >
           <div className="flex items-start gap-3">
             <div className="flex-shrink-0">
               {notification.type === 'assignment' ? (
                 <UsersIcon className="w-5 h-5 text-purple-400" />
-              ) : notification.type === 'deadline' ? (
+              ) : notification.type === 'goal_deadline' ? (
                 <ClockIcon className="w-5 h-5 text-orange-400" />
               ) : (
                 <CheckCircleIcon className="w-5 h-5 text-green-400" />
@@ -82,25 +90,25 @@ const GroupTaskNotifications = () => {
               <p className="text-xs text-gray-300 mt-1">
                 {notification.message}
               </p>
-              {notification.taskTitle && (
+              {notification.group?.name && (
                 <p className="text-xs text-purple-300 mt-1 font-medium">
-                  Task: {notification.taskTitle}
+                  Group: {notification.group.name}
                 </p>
               )}
             </div>
             
             <button
-              onClick={() => dismissNotification(notification._id)}
+              onClick={() => dismissNotification(notification.id)}
               className="flex-shrink-0 text-gray-400 hover:text-white transition-colors"
             >
               <XMarkIcon className="w-4 h-4" />
             </button>
           </div>
           
-          {notification.actionRequired && (
+          {!notification.isRead && (
             <div className="mt-3 flex gap-2">
               <button
-                onClick={() => markAsRead(notification._id)}
+                onClick={() => markAsRead(notification.id)}
                 className="text-xs bg-purple-500/20 hover:bg-purple-500/30 text-purple-300 px-2 py-1 rounded transition-colors"
               >
                 Mark as Read
@@ -110,7 +118,7 @@ const GroupTaskNotifications = () => {
                   onClick={() => {
                     // Navigate to task or open task details
                     window.location.href = `/tasks#task-${notification.taskId}`;
-                    markAsRead(notification._id);
+                    markAsRead(notification.id);
                   }}
                   className="text-xs bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 px-2 py-1 rounded transition-colors"
                 >
@@ -125,7 +133,7 @@ const GroupTaskNotifications = () => {
       {notifications.length > 3 && (
         <div className="text-center">
           <button 
-            onClick={() => {/* Open notifications panel */}}
+            onClick={() => navigate('/notifications')}
             className="text-xs text-purple-400 hover:text-purple-300 underline"
           >
             +{notifications.length - 3} more notifications
@@ -182,16 +182,9 @@ const ManualTaskForm = ({ onTaskCreated }) => {
       const data = await response.json();
       
       if (data.success && data.taskHeaders) {
-        // Smart assignment: distribute tasks based on member workload
+        // Smart assignment: spread sections over members by their current workload
         const membersWithWorkload = await getMemberWorkloads();
-        const headersWithSmartAssignments = data.taskHeaders.map((header, index) => {
-          // Find member with least workload for this task
-          const assignedMember = getOptimalMemberForTask(membersWithWorkload, header);
-          return {
-            ...header,
-            assignedTo: assignedMember ? assignedMember._id : ''
-          };
-        });
+        const headersWithSmartAssignments = balanceHeaderAssignments(data.taskHeaders, membersWithWorkload);
         
         setFormData(prev => ({
           ...prev,
@@ -220,37 +213,54 @@ const ManualTaskForm = ({ onTaskCreated }) => {
       });
       const data = await response.json();
       
-      if (data.success) {
-        return data.memberWorkloads || groupMembers.map(member => ({
-          ...member,
-          currentTasks: 0,
-          completionRate: 1.0
-        }));
+      if (data.success && data.memberWorkloads) {
+        return data.memberWorkloads;
       }
     } catch (error) {
       console.error('Error fetching member workloads:', error);
     }
     
-    // Fallback: return members with default workload
+    // Fallback: treat every member as free
     return groupMembers.map(member => ({
       ...member,
-      currentTasks: 0,
-      completionRate: 1.0
+      openSubtasks: 0,
+      overdueCount: 0,
+      completionRate: null
     }));
   };
 
-  // Helper function to find optimal member for a task
-  const getOptimalMemberForTask = (membersWithWorkload, taskHeader) => {
-    if (membersWithWorkload.length === 0) return null;
-    
-    // Sort members by current workload (ascending) and completion rate (descending)
-    const sortedMembers = [...membersWithWorkload].sort((a, b) => {
-      const workloadDiff = a.currentTasks - b.currentTasks;
-      if (workloadDiff !== 0) return workloadDiff;
-      return b.completionRate - a.completionRate;
+  // Assign each section to the member with the lightest load, counting the
+  // subtasks handed out so far. Bigger sections are placed first; ties go to
+  // fewer overdue items, then the better recent completion rate.
+  const balanceHeaderAssignments = (taskHeaders, membersWithWorkload) => {
+    if (membersWithWorkload.length === 0) {
+      return taskHeaders.map(header => ({ ...header, assignedTo: '' }));
+    }
+
+    const loads = membersWithWorkload.map(member => ({
+      member,
+      load: member.openSubtasks || 0
+    }));
+    const assignments = new Map();
+
+    const order = taskHeaders
+      .map((header, index) => ({ index, size: header.subtasks?.length || 1 }))
+      .sort((a, b) => b.size - a.size);
+
+    order.forEach(({ index, size }) => {
+      const [lightest] = [...loads].sort((a, b) =>
+        a.load - b.load ||
+        (a.member.overdueCount || 0) - (b.member.overdueCount || 0) ||
+        (b.member.completionRate ?? 0.5) - (a.member.completionRate ?? 0.5)
+      );
+      lightest.load += size;
+      assignments.set(index, lightest.member._id);
     });
-    
-    return sortedMembers[0];
+
+    return taskHeaders.map((header, index) => ({
+      ...header,
+      assignedTo: assignments.get(index)
+    }));
   };
 
   // Assignment Functions
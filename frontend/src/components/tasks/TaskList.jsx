@@ -24,6 +24,9 @@ const TaskList = ({
   const [optimisticTasks, setOptimisticTasks] = useState([]);
   const [pendingUpdates, setPendingUpdates] = useState(new Set());
   const [groupMembers, setGroupMembers] = useState([]);
+  const [isGroupAdmin, setIsGroupAdmin] = useState(false);
+  // Login responses carry `_id`, the session check carries `id`
+  const currentUserId = user?.id || user?._id;
 
   // Sync optimistic tasks with actual tasks
   useEffect(() => {
@@ -46,6 +49,7 @@ const TaskList = ({
       
       if (data.success && data.group && data.group.members) {
         setGroupMembers(data.group.members);
+        setIsGroupAdmin(!!data.group.isAdmin);
       }
     } catch (error) {
       console.error('Error fetching group members:', error);
@@ -54,9 +58,7 @@ const TaskList = ({
 
   // Helper function to check if task is assigned to current user
   const isTaskAssignedToMe = (task) => {
-    if (!user || !user._id) return false;
-    
-    const currentUserId = user._id;
+    if (!currentUserId) return false;
     
     // Check direct assignment
     if (task.assignedTo === currentUserId) {
@@ -379,7 +381,7 @@ const TaskList = ({
                                   <div 
                                     key={index} 
                                     className={`text-xs px-2 py-1 rounded-full border flex items-center gap-1 ${
-                                      header.assignedTo === user._id
+                                      header.assignedTo === currentUserId
                                         ? 'bg-orange-500/20 border-orange-500/30 text-orange-300'
                                         : assignedMember
                                         ? 'bg-blue-500/20 border-blue-500/30 text-blue-300'
@@ -412,12 +414,15 @@ const TaskList = ({
                             }`}
                           />
                         </button>
-                        <button
-                          onClick={() => handleDelete(task._id)}
-                          className="text-gray-400 hover:text-red-400 transition-colors hover:scale-105"
-                        >
-                          <TrashIcon className="w-5 h-5" />
-                        </button>
+                        {/* Shared group tasks can only be deleted by whoever created them */}
+                        {task.owner === currentUserId && (
+                          <button
+                            onClick={() => handleDelete(task._id)}
+                            className="text-gray-400 hover:text-red-400 transition-colors hover:scale-105"
+                          >
+                            <TrashIcon className="w-5 h-5" />
+                          </button>
+                        )}
                       </div>
                     </div>
                     
@@ -655,6 +660,8 @@ const TaskList = ({
                           <GroupTaskDisplay 
                             task={task}
                             groupMembers={groupMembers}
+                            currentUserId={currentUserId}
+                            isGroupAdmin={isGroupAdmin}
                             onTaskUpdated={onTaskUpdated}
                             onAssignmentChanged={onTaskUpdated}
                           />
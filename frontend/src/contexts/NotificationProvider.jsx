@@ -0,0 +1,72 @@
+import React, { useState, useEffect, useCallback } from "react";
+import socketAPI from "../API/socketApi";
+import { getUnreadNotificationCount } from "../API/notificationApi";
+import { NotificationContext } from "./notificationContext";
+import { useAuth } from "./AuthContext";
+
+const TOAST_DURATION_MS = 8000;
+
+export const NotificationProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [toasts, setToasts] = useState([]);
+
+  const dismissToast = useCallback((notificationId) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== notificationId));
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      setUnreadCount(0);
+      return;
+    }
+
+    const loadUnreadCount = async () => {
+      try {
+        const data = await getUnreadNotificationCount();
+        setUnreadCount(data.unreadCount);
+      } catch (error) {
+        console.error("Error loading unread notifications:", error);
+      }
+    };
+
+    const handleNew = (notification) => {
+      setUnreadCount((count) => count + 1);
+      if (notification.priority === "high") {
+        setToasts((prev) => [...prev, notification]);
+        setTimeout(() => dismissToast(notification.id), TOAST_DURATION_MS);
+      }
+    };
+
+    const handleRead = ({ unreadCount: count }) => {
+      setUnreadCount(count);
+    };
+
+    loadUnreadCount();
+    socketAPI.on("notification:new", handleNew);
+    socketAPI.on("notification:read", handleRead);
+    // Anything pushed while disconnected is picked up on reconnect
+    socketAPI.on("connect", loadUnreadCount);
+
+    return () => {
+      socketAPI.off("notification:new", handleNew);
+      socketAPI.off("notification:read", handleRead);
+      socketAPI.off("connect", loadUnreadCount);
+    };
+  }, [user, dismissToast]);
+
+  return (
+    <NotificationContext.Provider
+      value={{
+        unreadCount,
+        setUnreadCount,
+        toasts,
+        dismissToast,
+      }}
+    >
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+export default NotificationProvider;
@@ -1,12 +1,11 @@
 import React from "react";
 import socketAPI from "../API/socketApi";
 import { useState } from "react";
-import { useAuth } from "../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
+import { SUGGESTED_GROUP_TAGS, MAX_GROUP_TAGS, parseTagInput } from "../components/groupTags";
 
 const CreatingGroup2 = () => {
   const navigate = useNavigate();
-  const { user } = useAuth();
 
   const [createNewGroup, setCreateNewGroup] = useState(false);
   const [joinExistingGroup, setJoinExistingGroup] = useState(false);
@@ -14,6 +13,8 @@ const CreatingGroup2 = () => {
     groupName: "",
     description: "",
     groupImage: null,
+    isPublic: false,
+    tags: "",
   });
 
   const handleCreateNewGroup = () => {
@@ -35,17 +36,24 @@ const CreatingGroup2 = () => {
       return;
     }
 
+    const tags = parseTagInput(formData.tags);
+    if (tags.length > MAX_GROUP_TAGS) {
+      alert(`Please use at most ${MAX_GROUP_TAGS} tags.`);
+      return;
+    }
+
     const groupData = {
       name: groupName,
       description,
-      admin: user._id, // Assuming user._id is the admin's ID
       avatar: formData.groupImage,
+      isPublic: formData.isPublic,
+      tags,
     };
 
-    console.log(user.id, "hello");
-    socketAPI.emit("createGroup", {groupData, userId: user.id}, (response) => {
+    // The server takes the creator from the authenticated socket
+    socketAPI.emit("createGroup", { groupData }, (response) => {
       if (response.success) {
-        socketAPI.emit("joinGroup", { groupID: response.groupID, username: user.username });
+        socketAPI.emit("joinGroup", { groupID: response.groupId });
         alert("Group created successfully!");
         navigate(`/chatroom/${response.groupId}`, { replace: true });
       } else {
@@ -88,6 +96,25 @@ const CreatingGroup2 = () => {
                 placeholder="Enter a description for your group"
                 className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-yellow-500"
               />
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Tags
+              </label>
+              <input
+                type="text"
+                value={formData.tags}
+                onChange={handleInput}
+                name="tags"
+                placeholder={`e.g. ${SUGGESTED_GROUP_TAGS.slice(0, 3).join(", ")}`}
+                className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              />
+              <label className="flex items-center gap-2 mt-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={formData.isPublic}
+                  onChange={(e) => setFormData({ ...formData, isPublic: e.target.checked })}
+                />
+                List this group in Discover so anyone can find it
+              </label>
               {/*img upload */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -7,6 +7,7 @@ import ProgressChart from "../components/ProgressChart";
 import UpcomingTasks from "../components/UpcomingTasks";
 import TeamSummary from "../components/TeamSummary";
 import TermsAndConditions from "../components/TermsAndConditions";
+import CheckinCard from "../components/CheckinCard";
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -57,7 +58,7 @@ const Dashboard = () => {
   };
 
   const handleDiscover = () => {
-    navigate("/analytics");
+    navigate("/discover");
   };
 
   // Calculate real-time stats
@@ -132,6 +133,9 @@ const Dashboard = () => {
 
         {/* Right: UpcomingTasks (large) */}
         <div className="w-[320px] min-w-[280px] flex flex-col gap-3 min-h-0 h-full">
+          <div>
+            <CheckinCard />
+          </div>
           <div className="flex-1 min-h-[200px]">
             <UpcomingTasks
               tasks={upcomingTasks}
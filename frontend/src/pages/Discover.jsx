@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { MagnifyingGlassIcon, UsersIcon, GlobeAltIcon } from "@heroicons/react/24/outline";
+import { useAuth } from "../contexts/AuthContext";
+import { discoverGroups, createOrJoinGroup } from "../API/groupApi";
+import { SUGGESTED_GROUP_TAGS } from "../components/groupTags";
+
+const PAGE_SIZE = 20;
+
+const SORT_OPTIONS = [
+  { value: "activity", label: "Most active" },
+  { value: "members", label: "Most members" },
+  { value: "newest", label: "Newest" },
+];
+
+const DEFAULT_AVATAR = "https://randomuser.me/api/portraits/lego/1.jpg";
+
+const formatLastActive = (date) => {
+  if (!date) return "No messages yet";
+  return `Active ${new Date(date).toLocaleDateString()}`;
+};
+
+const Discover = () => {
+  const navigate = useNavigate();
+  const { setUser } = useAuth();
+  const [groups, setGroups] = useState([]);
+  const [searchInput, setSearchInput] = useState("");
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState("");
+  const [sort, setSort] = useState("activity");
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  const [joiningId, setJoiningId] = useState(null);
+
+  // Text search ranks by relevance unless the user picks another order
+  const fetchPage = useCallback(
+    (pageNumber) =>
+      discoverGroups({
+        q: query,
+        tag,
+        sort: query && sort === "activity" ? "relevance" : sort,
+        page: pageNumber,
+        limit: PAGE_SIZE,
+      }),
+    [query, tag, sort]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const data = await fetchPage(1);
+        if (cancelled) return;
+        setGroups(data.groups);
+        setHasMore(data.hasMore);
+        setPage(1);
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load groups");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchPage]);
+
+  const loadMore = async () => {
+    if (!hasMore || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(page + 1);
+      setGroups((prev) => {
+        const knownIds = new Set(prev.map((group) => group.id));
+        return [...prev, ...data.groups.filter((group) => !knownIds.has(group.id))];
+      });
+      setHasMore(data.hasMore);
+      setPage(page + 1);
+    } catch (err) {
+      setError(err.message || "Failed to load groups");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery(searchInput.trim());
+  };
+
+  const handleJoin = async (group) => {
+    if (group.isMember) {
+      navigate(`/chatroom/${group.id}`);
+      return;
+    }
+
+    setJoiningId(group.id);
+    setError("");
+    try {
+      const result = await createOrJoinGroup(group.id, false);
+
+      if (result.pending) {
+        setGroups((prev) =>
+          prev.map((g) => (g.id === group.id ? { ...g, hasPendingRequest: true } : g))
+        );
+        return;
+      }
+
+      setUser((prev) => ({
+        ...prev,
+        currentGroupId: result.group.joinCode,
+        groupID: result.group.joinCode,
+      }));
+      navigate(`/chatroom/${group.id}`);
+    } catch (err) {
+      setError(err.message || "Failed to join group");
+    } finally {
+      setJoiningId(null);
+    }
+  };
+
+  const getJoinLabel = (group) => {
+    if (group.isMember) return "Open";
+    if (group.hasPendingRequest) return "Request sent";
+    if (group.privacy === "invite_only") return "Invite only";
+    if (group.privacy === "approval") return "Request to join";
+    return "Join";
+  };
+
+  return (
+    <div className="text-white max-w-5xl mx-auto w-full p-6 space-y-4 overflow-y-auto h-full">
+      <h2 className="text-2xl font-bold flex items-center gap-2">
+        <GlobeAltIcon className="w-6 h-6 text-yellow-400" />
+        Discover Groups
+      </h2>
+
+      {/* Search and filters */}
+      <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-3 text-sm">
+        <div className="flex items-center flex-1 min-w-64 bg-slate-800/70 border border-slate-600/50 rounded-lg px-3">
+          <MagnifyingGlassIcon className="w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search by name, description or tag"
+            className="flex-1 bg-transparent px-2 py-2 outline-none"
+          />
+        </div>
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="bg-slate-800/70 border border-slate-600/50 rounded-lg px-3 py-2 outline-none"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-300 px-4 py-2 rounded-lg transition-colors"
+        >
+          Search
+        </button>
+      </form>
+
+      <div className="flex flex-wrap gap-2 text-xs">
+        <button
+          onClick={() => setTag("")}
+          className={`px-3 py-1 rounded-full border transition-colors ${
+            !tag ? "bg-yellow-500/30 border-yellow-500 text-yellow-200" : "border-slate-600/50 hover:bg-slate-700/50"
+          }`}
+        >
+          All
+        </button>
+        {SUGGESTED_GROUP_TAGS.map((suggestion) => (
+          <button
+            key={suggestion}
+            onClick={() => setTag(tag === suggestion ? "" : suggestion)}
+            className={`px-3 py-1 rounded-full border capitalize transition-colors ${
+              tag === suggestion
+                ? "bg-yellow-500/30 border-yellow-500 text-yellow-200"
+                : "border-slate-600/50 hover:bg-slate-700/50"
+            }`}
+          >
+            {suggestion}
+          </button>
+        ))}
+      </div>
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+
+      {loading ? (
+        <p className="text-gray-400">Loading groups...</p>
+      ) : groups.length === 0 ? (
+        <p className="text-gray-400">
+          No public groups found. Try another search, or make your own group public from its invite settings.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {groups.map((group) => {
+            const joinDisabled =
+              joiningId === group.id ||
+              (!group.isMember && (group.hasPendingRequest || group.privacy === "invite_only"));
+
+            return (
+              <div
+                key={group.id}
+                className="bg-slate-800/60 border border-slate-600/50 rounded-xl p-4 flex flex-col gap-3"
+              >
+                <div className="flex items-center gap-3">
+                  <img
+                    src={group.avatar || DEFAULT_AVATAR}
+                    alt={group.name}
+                    className="w-12 h-12 rounded-full object-cover border-2 border-yellow-400"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <h3 className="font-semibold truncate">{group.name}</h3>
+                    <p className="text-xs text-gray-400 flex items-center gap-2">
+                      <UsersIcon className="w-3 h-3" />
+                      {group.memberCount} members · {formatLastActive(group.lastActivityAt)}
+                    </p>
+                  </div>
+                </div>
+
+                {group.description && (
+                  <p className="text-sm text-gray-300 line-clamp-2">{group.description}</p>
+                )}
+
+                {group.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {group.tags.map((groupTag) => (
+                      <button
+                        key={groupTag}
+                        onClick={() => setTag(groupTag)}
+                        className="text-xs px-2 py-0.5 rounded-full bg-purple-500/20 text-purple-200 hover:bg-purple-500/30"
+                      >
+                        #{groupTag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                <button
+                  onClick={() => handleJoin(group)}
+                  disabled={joinDisabled}
+                  className="mt-auto bg-gradient-to-r from-yellow-500 to-amber-500 text-white px-4 py-2 rounded-lg font-semibold hover:from-yellow-600 hover:to-amber-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {joiningId === group.id ? "Joining..." : getJoinLabel(group)}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {hasMore && !loading && (
+        <button
+          onClick={loadMore}
+          disabled={loadingMore}
+          className="w-full text-sm bg-slate-800/60 hover:bg-slate-700/60 border border-slate-600/50 rounded-lg py-2 transition-colors disabled:opacity-50"
+        >
+          {loadingMore ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Discover;
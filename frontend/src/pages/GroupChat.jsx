@@ -1,7 +1,7 @@
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useEffect, useState, useMemo, useCallback, useRef } from "react";
 import { useAuth } from "../contexts/AuthContext";
 import socketAPI from "../API/socketApi";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import { 
   PencilIcon, 
   UsersIcon, 
@@ -10,20 +10,84 @@ import {
   PhotoIcon,
   ArrowLeftOnRectangleIcon,
   EllipsisVerticalIcon,
-  ClipboardDocumentIcon
+  ClipboardDocumentIcon,
+  InformationCircleIcon,
+  PaperClipIcon,
+  ChartBarIcon,
+  MagnifyingGlassIcon
 } from "@heroicons/react/24/outline";
-import { updateGroup as updateGroupAPI, leaveGroup as leaveGroupAPI, getCurrentGroup } from "../API/groupApi";
+import {
+  updateGroup as updateGroupAPI,
+  leaveGroup as leaveGroupAPI,
+  getGroupDetails,
+  getGroupMessages,
+  markGroupRead,
+  getReadReceipts,
+  sendGroupMessage,
+  editGroupMessage,
+  deleteGroupMessage,
+  createGroupPoll,
+  voteGroupPoll,
+  closeGroupPoll,
+  setMessagePinned
+} from "../API/groupApi";
+import { uploadFile, validateUploadFile, ACCEPTED_UPLOAD_TYPES } from "../API/uploadApi";
+import ChatMessages from "../components/chatroom/ChatMessages";
+import GroupInfoCard from "../components/chatroom/GroupInfoCard";
+import MemberMenu from "../components/chatroom/MemberMenu";
+import PollComposer from "../components/chatroom/PollComposer";
+import PinnedBanner from "../components/chatroom/PinnedBanner";
+import MessageSearch from "../components/chatroom/MessageSearch";
+import { usePinnedMessages } from "../components/chatroom/usePinnedMessages";
+import { getMentionQuery, filterMentionCandidates, insertMention } from "../components/chatroom/mentions";
+import { filterCommands } from "../components/chatroom/commands";
+
+// Mirrors the server: senders can edit their text messages for 15 minutes
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const REPLY_PREVIEW_LENGTH = 100;
+const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+
+// Typing state is re-sent while typing, and dropped if no update arrives in time
+const TYPING_THROTTLE_MS = 3000;
+const TYPING_TIMEOUT_MS = 5000;
+
+// Chat actions go over the socket, or over REST while it is disconnected
+const runChatAction = (event, payload, restFallback) =>
+  new Promise((resolve) => {
+    if (socketAPI.connected) {
+      socketAPI.emit(event, payload, resolve);
+      return;
+    }
+    restFallback()
+      .then(resolve)
+      .catch((error) => resolve({ success: false, message: error.message }));
+  });
 
 const GroupChat = () => {
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, setUser } = useAuth();
+  const currentUserId = user?.id || user?._id;
+  const currentUsername = user?.username;
+  // /chatroom/:groupId opens that group (id or join code); /chatroom opens the current one
+  const { groupId: routeGroupId } = useParams();
 
   // Group state
   const [groupData, setGroupData] = useState(null);
-  const [groupID, setGroupID] = useState(user.groupID || null);
+  const [groupID, setGroupID] = useState(routeGroupId || user.groupID || null);
   const [messages, setMessages] = useState([]);
   const [currentMessage, setCurrentMessage] = useState("");
 
+  // Chat history pagination state
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  // Set while an older stretch of history is shown (after jumping to a message)
+  const [newerCursor, setNewerCursor] = useState(null);
+  const [hasNewerMessages, setHasNewerMessages] = useState(false);
+  const [loadingNewer, setLoadingNewer] = useState(false);
+  const [focusRequest, setFocusRequest] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+
   // Header editing state
   const [isEditing, setIsEditing] = useState(false);
   const [editedName, setEditedName] = useState('');
@@ -31,6 +95,30 @@ const GroupChat = () => {
   const [showDropdown, setShowDropdown] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [groupIdCopied, setGroupIdCopied] = useState(false);
+  const [showGroupInfo, setShowGroupInfo] = useState(false);
+  const [showMemberMenu, setShowMemberMenu] = useState(false);
+  const [sendError, setSendError] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [uploadingAttachment, setUploadingAttachment] = useState(false);
+  const [uploadingAvatar, setUploadingAvatar] = useState(false);
+  const [showPollComposer, setShowPollComposer] = useState(false);
+
+  // @mention and slash command suggestions in the composer
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(false);
+  const messageInputRef = useRef(null);
+
+  // Presence, typing and read receipts of the open group
+  const [onlineUserIds, setOnlineUserIds] = useState([]);
+  const [typingUsers, setTypingUsers] = useState({});
+  const [readReceipts, setReadReceipts] = useState({});
+  const typingTimeoutsRef = useRef({});
+  const lastTypingSentRef = useRef(0);
+
+  const [pinnedMessages, setPinnedMessages] = usePinnedMessages(groupData?.id);
 
   // Check if current user is admin
   const isAdmin = useMemo(() => {
@@ -64,18 +152,32 @@ const GroupChat = () => {
   }, [groupData]);
 
   // Check for unsaved changes
-  const hasUnsavedChanges = editedName !== groupData?.name || editedAvatar !== groupData?.avatar;
+  const hasUnsavedChanges = editedName !== groupData?.name || editedAvatar !== (groupData?.avatar || '');
+
+  useEffect(() => {
+    if (routeGroupId) {
+      setGroupID(routeGroupId);
+    }
+  }, [routeGroupId]);
 
   // Load group data
   useEffect(() => {
     const loadGroupData = async () => {
       if (groupID) {
         try {
-          const response = await getCurrentGroup(groupID);
+          const response = await getGroupDetails(groupID);
           if (response.success && response.group) {
             setGroupData(response.group);
             setEditedName(response.group.name || '');
             setEditedAvatar(response.group.avatar || '');
+
+            // Opening a group makes it the current one (the server does the same
+            // on joinGroup). Keyed on the user's id so this update doesn't reload the group.
+            setUser(prev => (
+              prev.groupID === response.group.joinCode
+                ? prev
+                : { ...prev, currentGroupId: response.group.joinCode, groupID: response.group.joinCode }
+            ));
           }
         } catch (error) {
           console.error('Error loading group data:', error);
@@ -91,8 +193,8 @@ const GroupChat = () => {
               avatar: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDgiIGhlaWdodD0iNDgiIHZpZXdCb3g9IjAgMCA0OCA0OCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjQ4IiBoZWlnaHQ9IjQ4IiByeD0iMjQiIGZpbGw9IiNlZjQ0NDQiLz4KPHR4dCB4PSI1MCUiIHk9IjUwJSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0id2hpdGUiIGZvbnQtc2l6ZT0iMTIiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiI+T0ZGPC90eHQ+Cjwvc3ZnPgo=',
               description: 'Demo group for offline testing',
               memberCount: 1,
-              members: [{ _id: user._id, username: user.username }],
-              admin: user._id,
+              members: [{ _id: currentUserId, username: currentUsername }],
+              admin: currentUserId,
               isAdmin: true,
               createdAt: new Date().toISOString()
             };
@@ -105,7 +207,129 @@ const GroupChat = () => {
       }
     };
     loadGroupData();
-  }, [groupID, user]);
+  }, [groupID, currentUserId, currentUsername, setUser]);
+
+  // Load the latest page of chat history once the group is known
+  useEffect(() => {
+    const groupId = groupData?.id;
+    if (!groupId || groupId === 'offline-group') return;
+
+    // Don't show the previous group's messages while switching
+    setMessages([]);
+    setNextCursor(null);
+    setHasMoreMessages(false);
+    setNewerCursor(null);
+    setHasNewerMessages(false);
+    setFocusRequest(null);
+    setReplyingTo(null);
+    setEditingMessage(null);
+    setPendingAttachments([]);
+    setReadReceipts({});
+
+    const loadHistory = async () => {
+      try {
+        const response = await getGroupMessages(groupId);
+        if (response.success) {
+          setMessages(response.messages);
+          setNextCursor(response.nextCursor);
+          setHasMoreMessages(response.hasMore);
+        }
+      } catch (error) {
+        console.error('Error loading chat history:', error);
+      }
+    };
+    loadHistory();
+
+    const loadReadReceipts = async () => {
+      try {
+        const response = await getReadReceipts(groupId);
+        setReadReceipts(
+          Object.fromEntries(response.receipts.map((receipt) => [receipt.user.id, receipt]))
+        );
+      } catch (error) {
+        console.error('Error loading read receipts:', error);
+      }
+    };
+    loadReadReceipts();
+  }, [groupData?.id]);
+
+  const loadOlderMessages = async () => {
+    if (!groupData?.id || !nextCursor || loadingOlder) return;
+
+    setLoadingOlder(true);
+    try {
+      const response = await getGroupMessages(groupData.id, { before: nextCursor });
+      if (response.success) {
+        setMessages((prevMessages) => {
+          const knownIds = new Set(prevMessages.map((msg) => msg.id));
+          const older = response.messages.filter((msg) => !knownIds.has(msg.id));
+          return [...older, ...prevMessages];
+        });
+        setNextCursor(response.nextCursor);
+        setHasMoreMessages(response.hasMore);
+      }
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const loadNewerMessages = async () => {
+    if (!groupData?.id || !newerCursor || loadingNewer) return;
+
+    setLoadingNewer(true);
+    try {
+      const response = await getGroupMessages(groupData.id, { after: newerCursor });
+      if (response.success) {
+        setMessages((prevMessages) => {
+          const knownIds = new Set(prevMessages.map((msg) => msg.id));
+          return [...prevMessages, ...response.messages.filter((msg) => !knownIds.has(msg.id))];
+        });
+        setNewerCursor(response.newerCursor);
+        setHasNewerMessages(response.hasNewer);
+      }
+    } catch (error) {
+      console.error('Error loading newer messages:', error);
+    } finally {
+      setLoadingNewer(false);
+    }
+  };
+
+  // Replace the shown history with a page from the server
+  const showHistoryPage = (response) => {
+    setMessages(response.messages);
+    setNextCursor(response.nextCursor);
+    setHasMoreMessages(response.hasMore);
+    setNewerCursor(response.newerCursor);
+    setHasNewerMessages(response.hasNewer);
+  };
+
+  // Show a message in context: scroll to it when it's loaded, otherwise load
+  // the history around it first
+  const jumpToMessage = async (messageId) => {
+    if (!groupData?.id) return;
+
+    if (!messages.some((msg) => msg.id === messageId)) {
+      try {
+        showHistoryPage(await getGroupMessages(groupData.id, { around: messageId }));
+      } catch (error) {
+        setSendError(error.message || 'Could not load that message');
+        return;
+      }
+    }
+    setFocusRequest({ messageId });
+  };
+
+  const jumpToLatest = async () => {
+    if (!groupData?.id) return;
+
+    try {
+      showHistoryPage(await getGroupMessages(groupData.id));
+    } catch (error) {
+      console.error('Error loading latest messages:', error);
+    }
+  };
 
   // Handle saving group changes
   const handleSave = async () => {
@@ -177,23 +401,62 @@ const GroupChat = () => {
     setShowDropdown(false);
   };
 
-  const handleImageUpload = (event) => {
+  const handleImageUpload = async (event) => {
     const file = event.target.files[0];
-    if (file) {
-      if (!file.type.startsWith('image/')) {
-        alert('Please select a valid image file.');
-        return;
-      }
-      
-      if (file.size > 5 * 1024 * 1024) {
-        alert('Image size should be less than 5MB.');
-        return;
+    event.target.value = '';
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      alert('Please select a valid image file.');
+      return;
+    }
+
+    const validationError = validateUploadFile(file);
+    if (validationError) {
+      alert(validationError);
+      return;
+    }
+
+    // Avatars use the server-made thumbnail rather than the full image
+    setUploadingAvatar(true);
+    try {
+      const upload = await uploadFile(file);
+      setEditedAvatar(upload.thumbnailUrl || upload.url);
+    } catch (error) {
+      alert('Failed to upload image: ' + error.message);
+    } finally {
+      setUploadingAvatar(false);
+    }
+  };
+
+  // Upload picked files right away; the message only references them
+  const handleAttachFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    if (pendingAttachments.length + files.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      setSendError(`You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files per message`);
+      return;
+    }
+
+    const validationError = files.map(validateUploadFile).find(Boolean);
+    if (validationError) {
+      setSendError(validationError);
+      return;
+    }
+
+    setSendError('');
+    setUploadingAttachment(true);
+    try {
+      for (const file of files) {
+        const upload = await uploadFile(file);
+        setPendingAttachments((prev) => [...prev, upload]);
       }
-      
-      const reader = new FileReader();
-      reader.onload = (e) => setEditedAvatar(e.target.result);
-      reader.onerror = () => alert('Failed to read the image file.');
-      reader.readAsDataURL(file);
+    } catch (error) {
+      setSendError(error.message || 'Failed to upload file');
+    } finally {
+      setUploadingAttachment(false);
     }
   };
 
@@ -218,54 +481,539 @@ const GroupChat = () => {
     }
   };
 
-  const sendMessage = () => {
-    // Logic to send message
-    if (currentMessage.trim()) {
-      const newMessage = {
-        id: Date.now() + Math.random(),
-        sender: user.username,
-        avatar: user.avatar,
-        message: currentMessage,
-        time: new Date().toISOString(),
-      };
-      socketAPI.emit("sendMessage", {
-        groupID,
-        ...newMessage,
-        username: user.username,
-      });
-      setCurrentMessage("");
+  // New messages can arrive both as the broadcast and as the sender's ack
+  const addMessage = useCallback((message) => {
+    setMessages((prevMessages) =>
+      prevMessages.some((msg) => msg.id === message.id)
+        ? prevMessages
+        : [...prevMessages, message]
+    );
+  }, []);
+
+  // A message we just posted; it is the newest, so leave older history for it
+  const showOwnMessage = (message) => {
+    if (hasNewerMessages) {
+      jumpToLatest();
+    } else {
+      addMessage(message);
+    }
+  };
+
+  // Replace an edited or deleted message, keeping quoted previews in replies
+  // to it up to date
+  const updateMessage = useCallback((message) => {
+    setMessages((prevMessages) =>
+      prevMessages.map((msg) => {
+        if (msg.id === message.id) {
+          // Broadcasts can't carry each member's own poll votes, so keep the ones we know
+          return message.poll && message.poll.myVotes === null && msg.poll
+            ? { ...message, poll: { ...message.poll, myVotes: msg.poll.myVotes } }
+            : message;
+        }
+        if (msg.replyTo === message.id && msg.replyPreview) {
+          return {
+            ...msg,
+            replyPreview: {
+              ...msg.replyPreview,
+              text: message.isDeleted ? '' : message.text.slice(0, REPLY_PREVIEW_LENGTH),
+              hasAttachments: !message.isDeleted && message.attachments?.length > 0,
+              isDeleted: message.isDeleted
+            }
+          };
+        }
+        return msg;
+      })
+    );
+  }, []);
+
+  const cancelComposerMode = () => {
+    if (editingMessage) {
+      setCurrentMessage('');
+    }
+    setEditingMessage(null);
+    setReplyingTo(null);
+  };
+
+  const sendMessage = async () => {
+    const text = currentMessage.trim();
+    const editing = editingMessage;
+    const attachments = editing ? [] : pendingAttachments;
+    if (uploadingAttachment) return;
+    if (!text && attachments.length === 0 && !editing?.attachments?.length) return;
+
+    const replyTo = replyingTo?.id;
+    const attachmentIds = attachments.map((attachment) => attachment.id);
+    stopTyping();
+    setCurrentMessage("");
+    setMentionQuery(null);
+    setSendError('');
+    setEditingMessage(null);
+    setReplyingTo(null);
+    setPendingAttachments([]);
+
+    // Over the socket the server broadcasts the result back to this client
+    // too; the REST fallback's response is applied directly
+    const response = editing
+      ? await runChatAction(
+          "editMessage",
+          { groupID, messageId: editing.id, text },
+          () => editGroupMessage(groupData.id, editing.id, text)
+        )
+      : await runChatAction(
+          "sendMessage",
+          { groupID, text, replyTo, attachmentIds },
+          () => sendGroupMessage(groupData.id, { text, replyTo, attachmentIds })
+        );
+
+    if (response?.success) {
+      if (editing) {
+        updateMessage(response.message);
+      } else {
+        showOwnMessage(response.message);
+      }
+      return;
     }
+
+    console.error('Failed to send message:', response?.message);
+    setCurrentMessage((prev) => prev || text);
+    setEditingMessage(editing);
+    setReplyingTo(editing ? null : replyingTo);
+    setPendingAttachments(attachments);
+    setSendError(response?.message || 'Failed to send message');
   };
 
-  const handleMessageReceived = (messageData) => {
-    setMessages((prevMessage) => {
-      const exists = prevMessage.some((msg) => msg.id === messageData.id);
-      if (!exists) {
-        return [...prevMessage, messageData];
+  // Clicking an emoji you already used takes your reaction back
+  const handleToggleReaction = (item, emoji) => {
+    const reacted = item.reactions.some((reaction) => reaction.emoji === emoji && reaction.reactedByMe);
+
+    socketAPI.emit(
+      reacted ? "removeReaction" : "addReaction",
+      { groupID, messageId: item.id, emoji },
+      (response) => {
+        if (response?.success) {
+          updateMessage(response.message);
+        } else {
+          setSendError(response?.message || 'Failed to update reaction');
+        }
       }
-      return prevMessage;
+    );
+  };
+
+  const handleCreatePoll = async (poll) => {
+    const response = await runChatAction(
+      "createPoll",
+      { groupID, ...poll },
+      () => createGroupPoll(groupData.id, poll)
+    );
+    if (response?.success) {
+      showOwnMessage(response.message);
+    }
+    return response;
+  };
+
+  // Picking a chosen option again takes that vote back
+  const handleVotePoll = async (item, optionId) => {
+    const { myVotes, allowMultiple } = item.poll;
+    const optionIds = myVotes.includes(optionId)
+      ? myVotes.filter((id) => id !== optionId)
+      : allowMultiple ? [...myVotes, optionId] : [optionId];
+
+    const response = await runChatAction(
+      "votePoll",
+      { groupID, messageId: item.id, optionIds },
+      () => voteGroupPoll(groupData.id, item.id, optionIds)
+    );
+    if (response?.success) {
+      updateMessage(response.message);
+    } else {
+      setSendError(response?.message || 'Failed to vote');
+    }
+  };
+
+  const handleClosePoll = async (item) => {
+    if (!window.confirm('Close this poll? Nobody will be able to vote anymore.')) return;
+
+    const response = await runChatAction(
+      "closePoll",
+      { groupID, messageId: item.id },
+      () => closeGroupPoll(groupData.id, item.id)
+    );
+    if (response?.success) {
+      updateMessage(response.message);
+    } else {
+      setSendError(response?.message || 'Failed to close poll');
+    }
+  };
+
+  const handleTogglePin = async (item) => {
+    try {
+      const data = await setMessagePinned(groupData.id, item.id, !item.isPinned);
+      updateMessage(data.message);
+      setPinnedMessages(data.pinned);
+    } catch (error) {
+      setSendError(error.message || 'Failed to update pinned messages');
+    }
+  };
+
+  // Let the room know we're typing, at most once per throttle interval
+  const handleInputChange = (value, caret = value.length) => {
+    setCurrentMessage(value);
+    setMentionQuery(getMentionQuery(value, caret));
+    setSuggestionIndex(0);
+    setSuggestionsDismissed(false);
+    if (!groupData?.id || !socketAPI.connected) return;
+
+    if (!value.trim()) {
+      stopTyping();
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastTypingSentRef.current > TYPING_THROTTLE_MS) {
+      lastTypingSentRef.current = now;
+      socketAPI.emit("typing", { groupId: groupData.id, isTyping: true });
+    }
+  };
+
+  const stopTyping = () => {
+    if (!lastTypingSentRef.current || !groupData?.id) return;
+    lastTypingSentRef.current = 0;
+    socketAPI.emit("typing", { groupId: groupData.id, isTyping: false });
+  };
+
+  const selectSuggestion = (suggestion) => {
+    const caret = messageInputRef.current?.selectionStart ?? currentMessage.length;
+    const next = suggestion.command
+      ? { text: `/${suggestion.command.name} `, caret: suggestion.command.name.length + 2 }
+      : insertMention(currentMessage, mentionQuery, caret, suggestion.member.username);
+    setCurrentMessage(next.text);
+    setMentionQuery(null);
+
+    // Put the caret after the inserted mention once React has rendered the new value
+    requestAnimationFrame(() => {
+      messageInputRef.current?.focus();
+      messageInputRef.current?.setSelectionRange(next.caret, next.caret);
     });
   };
 
+  // Arrow keys pick a suggestion, Enter or Tab inserts it, Escape dismisses the list
+  const handleSuggestionKeyDown = (e) => {
+    if (suggestions.length === 0) return false;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSuggestionIndex((prev) => (prev + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      selectSuggestion(suggestions[Math.min(suggestionIndex, suggestions.length - 1)]);
+    } else if (e.key === "Escape") {
+      setMentionQuery(null);
+      setSuggestionsDismissed(true);
+    } else {
+      return false;
+    }
+
+    e.preventDefault();
+    return true;
+  };
+
+  const startReply = (message) => {
+    if (editingMessage) {
+      setCurrentMessage('');
+    }
+    setEditingMessage(null);
+    setReplyingTo(message);
+  };
+
+  const startEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setCurrentMessage(message.text);
+  };
+
+  const handleDeleteMessage = async (message) => {
+    if (!window.confirm('Delete this message for everyone?')) return;
+
+    const response = await runChatAction(
+      "deleteMessage",
+      { groupID, messageId: message.id },
+      () => deleteGroupMessage(groupData.id, message.id)
+    );
+
+    if (response?.success) {
+      updateMessage(response.message);
+      if (editingMessage?.id === message.id) cancelComposerMode();
+    } else {
+      setSendError(response?.message || 'Failed to delete message');
+    }
+  };
+
+  // The socket stays in rooms of groups opened earlier, so ignore their
+  // messages. While older history is shown, new ones arrive by paging forward.
   useEffect(() => {
+    const handleMessageReceived = (messageData) => {
+      if (messageData.groupId !== groupData?.id || hasNewerMessages) return;
+      addMessage(messageData);
+    };
+
+    const handleMessageUpdated = (messageData) => {
+      if (messageData.groupId !== groupData?.id) return;
+      updateMessage(messageData);
+    };
+
     socketAPI.on("receiveMessage", handleMessageReceived);
+    socketAPI.on("messageUpdated", handleMessageUpdated);
     return () => {
       socketAPI.off("receiveMessage", handleMessageReceived);
+      socketAPI.off("messageUpdated", handleMessageUpdated);
     };
-  }, []);
+  }, [groupData?.id, hasNewerMessages, addMessage, updateMessage]);
+
+  // Who else is online and typing in the open group
+  useEffect(() => {
+    const groupId = groupData?.id;
+    const typingTimeouts = typingTimeoutsRef.current;
+
+    const clearTyping = (userId) => {
+      clearTimeout(typingTimeouts[userId]);
+      delete typingTimeouts[userId];
+      setTypingUsers((prev) => {
+        if (!(userId in prev)) return prev;
+        const next = { ...prev };
+        delete next[userId];
+        return next;
+      });
+    };
+
+    const handlePresence = ({ groupId: updatedGroupId, userId, online }) => {
+      if (updatedGroupId !== groupId) return;
+      setOnlineUserIds((prev) =>
+        online
+          ? prev.includes(userId) ? prev : [...prev, userId]
+          : prev.filter((id) => id !== userId)
+      );
+      if (!online) clearTyping(userId);
+    };
+
+    const handleTyping = ({ groupId: typingGroupId, userId, username, isTyping }) => {
+      if (typingGroupId !== groupId) return;
+      if (!isTyping) {
+        clearTyping(userId);
+        return;
+      }
+
+      clearTimeout(typingTimeouts[userId]);
+      typingTimeouts[userId] = setTimeout(() => clearTyping(userId), TYPING_TIMEOUT_MS);
+      setTypingUsers((prev) => (prev[userId] === username ? prev : { ...prev, [userId]: username }));
+    };
+
+    // A new message means its sender stopped typing
+    const handleMessage = (messageData) => {
+      if (messageData.groupId === groupId && messageData.sender) {
+        clearTyping(messageData.sender.id);
+      }
+    };
+
+    const handleReadReceipt = ({ groupId: readGroupId, userId, lastReadMessage, lastReadAt }) => {
+      if (readGroupId !== groupId) return;
+      setReadReceipts((prev) => {
+        const existing = prev[userId];
+        // Read pointers only move forward
+        if (existing && existing.lastReadMessage >= lastReadMessage) return prev;
+        return { ...prev, [userId]: { user: existing?.user || null, lastReadMessage, lastReadAt } };
+      });
+    };
+
+    setTypingUsers({});
+    socketAPI.on("presence:update", handlePresence);
+    socketAPI.on("typing", handleTyping);
+    socketAPI.on("receiveMessage", handleMessage);
+    socketAPI.on("readReceipt", handleReadReceipt);
+    return () => {
+      socketAPI.off("presence:update", handlePresence);
+      socketAPI.off("typing", handleTyping);
+      socketAPI.off("receiveMessage", handleMessage);
+      socketAPI.off("readReceipt", handleReadReceipt);
+      Object.keys(typingTimeouts).forEach((userId) => {
+        clearTimeout(typingTimeouts[userId]);
+        delete typingTimeouts[userId];
+      });
+    };
+  }, [groupData?.id]);
+
+  // Everything loaded into the open chat counts as read
+  const lastMessageId = messages[messages.length - 1]?.id;
+  useEffect(() => {
+    const groupId = groupData?.id;
+    if (!groupId || groupId === 'offline-group' || !lastMessageId) return;
+
+    markGroupRead(groupId, lastMessageId).catch(() => {});
+  }, [groupData?.id, lastMessageId]);
+
+  // An admin removed or banned us: the server already dropped us from the room
+  useEffect(() => {
+    const handleRemoved = ({ groupId }) => {
+      if (groupId !== groupData?.id) return;
+      navigate('/create-group', {
+        state: { message: `You were removed from the group "${groupData.name}"` }
+      });
+    };
+
+    socketAPI.on("group:removed", handleRemoved);
+    return () => {
+      socketAPI.off("group:removed", handleRemoved);
+    };
+  }, [groupData?.id, groupData?.name, navigate]);
+
+  // An admin regenerated the join code; the old one no longer resolves
+  useEffect(() => {
+    const handleJoinCodeChanged = ({ groupId, joinCode }) => {
+      if (groupId !== groupData?.id) return;
+      setGroupData(prev => ({ ...prev, joinCode }));
+      setGroupID(joinCode);
+      setUser(prev => ({ ...prev, currentGroupId: joinCode, groupID: joinCode }));
+    };
+
+    socketAPI.on("group:joinCodeChanged", handleJoinCodeChanged);
+    return () => {
+      socketAPI.off("group:joinCodeChanged", handleJoinCodeChanged);
+    };
+  }, [groupData?.id, setUser]);
 
   useEffect(() => {
-    if (groupID && user?.username) {
-      socketAPI.emit("joinGroup", {
-        groupID,
-        username: user.username,
+    if (!groupID || !user?.id) return;
+
+    const joinRoom = () => {
+      socketAPI.emit("joinGroup", { groupID }, (response) => {
+        if (response?.success) {
+          setOnlineUserIds(response.onlineUserIds || []);
+        } else {
+          console.error('Failed to join group room:', response?.message);
+        }
       });
+    };
+
+    // Rooms are lost on reconnect, so join again every time the socket connects
+    if (socketAPI.connected) {
+      joinRoom();
     }
-  }, [groupID, user]);
+    socketAPI.on("connect", joinRoom);
+    return () => {
+      socketAPI.off("connect", joinRoom);
+    };
+  }, [groupID, user?.id]);
 
   // Default avatar
   const defaultAvatar = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDgiIGhlaWdodD0iNDgiIHZpZXdCb3g9IjAgMCA0OCA0OCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjQ4IiBoZWlnaHQ9IjQ4IiByeD0iMjQiIGZpbGw9IiM2YjcyODAiLz4KPHR4dCB4PSI1MCUiIHk9IjUwJSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0id2hpdGUiIGZvbnQtc2l6ZT0iMjAiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiI+RzwvdHh0Pgo8L3N2Zz4K';
 
+  // Each member who read the chat shows under the latest loaded message they've seen.
+  // ObjectIds of one collection sort by creation, so their hex strings compare in order.
+  const seenByMessageId = useMemo(() => {
+    const seenBy = {};
+    Object.entries(readReceipts).forEach(([userId, { user: receiptUser, lastReadMessage }]) => {
+      if (userId === currentUserId) return;
+
+      // Live receipts of members who hadn't read anything yet carry no profile
+      const member = groupData?.members?.find((m) => (m.id || m._id) === userId);
+      const reader = receiptUser || (member && {
+        id: userId,
+        username: member.username,
+        avatar: member.avatar || null
+      });
+      if (!reader) return;
+
+      const lastSeen = messages.findLast((msg) => msg.id <= lastReadMessage);
+      if (!lastSeen) return;
+      (seenBy[lastSeen.id] ||= []).push(reader);
+    });
+    return seenBy;
+  }, [messages, readReceipts, currentUserId, groupData?.members]);
+
+  const chatMessages = useMemo(
+    () =>
+      messages.map((msg) => {
+        const fromMe = !!msg.sender && msg.sender.id === currentUserId;
+        return {
+          id: msg.id,
+          sender: msg.sender?.username,
+          avatar: msg.sender?.avatar || defaultAvatar,
+          text: msg.text,
+          attachments: msg.attachments || [],
+          messageType: msg.messageType,
+          time: msg.createdAt
+            ? new Date(msg.createdAt).toLocaleTimeString([], {
+                hour: "2-digit",
+                minute: "2-digit",
+                hour12: true,
+              })
+            : "",
+          fromMe,
+          isEdited: msg.isEdited,
+          isDeleted: msg.isDeleted,
+          replyPreview: msg.replyPreview,
+          canReply: !msg.isDeleted,
+          canEdit:
+            fromMe &&
+            msg.messageType === "text" &&
+            !msg.isDeleted &&
+            new Date() - new Date(msg.createdAt) < MESSAGE_EDIT_WINDOW_MS,
+          canDelete: !msg.isDeleted && (fromMe || isAdmin),
+          isPinned: msg.isPinned,
+          canPin: !msg.isDeleted && isAdmin,
+          poll: msg.poll && {
+            ...msg.poll,
+            // Polls past their close time count as closed before the server says so
+            isClosed: msg.poll.isClosed || (!!msg.poll.closesAt && new Date(msg.poll.closesAt) <= new Date()),
+            // Open polls list their voters; anonymous ones only tell us our own votes
+            myVotes: msg.poll.isAnonymous
+              ? msg.poll.myVotes || []
+              : msg.poll.options
+                  .filter((option) => option.voters.some((voter) => voter.id === currentUserId))
+                  .map((option) => option.id),
+          },
+          canClosePoll: !!msg.poll && !msg.isDeleted && (fromMe || isAdmin),
+          mentions: (msg.mentions || []).map((mention) => ({
+            username: mention.username,
+            isMe: mention.id === currentUserId,
+          })),
+          mentionsMe: (msg.mentions || []).some((mention) => mention.id === currentUserId),
+          reactions: (msg.reactions || []).map((reaction) => ({
+            ...reaction,
+            reactedByMe: reaction.users.some((reactor) => reactor.id === currentUserId),
+          })),
+          seenBy: (seenByMessageId[msg.id] || []).map((reader) => ({
+            ...reader,
+            avatar: reader.avatar || defaultAvatar,
+          })),
+        };
+      }),
+    [messages, currentUserId, isAdmin, seenByMessageId]
+  );
+
+  const typingNames = Object.entries(typingUsers)
+    .filter(([userId]) => userId !== currentUserId)
+    .map(([, username]) => username);
+
+  // Commands while the first word is a `/name` being typed, members after an @
+  const suggestions = useMemo(() => {
+    if (suggestionsDismissed) return [];
+    if (!editingMessage) {
+      const commands = filterCommands(currentMessage);
+      if (commands.length > 0) {
+        return commands.map((command) => ({ key: command.name, command }));
+      }
+    }
+    if (!mentionQuery) return [];
+
+    const others = (groupData?.members || []).filter((member) => (member.id || member._id) !== currentUserId);
+    return filterMentionCandidates(others, mentionQuery.query).map((member) => ({
+      key: member.id || member._id,
+      member,
+    }));
+  }, [suggestionsDismissed, editingMessage, currentMessage, mentionQuery, groupData?.members, currentUserId]);
+
+  // ChatMessages hands back its display item; the composer works on the stored message
+  const findMessage = (item) => messages.find((msg) => msg.id === item.id);
+
   return (
     <div
       className="flex h-[calc(100vh-10rem)] min-h-0 w-full bg-transparent rounded-xl shadow overflow-hidden"
@@ -281,7 +1029,7 @@ const GroupChat = () => {
             {/* Avatar */}
             <div className="relative">
               <img
-                src={isEditing ? editedAvatar : (groupData?.avatar || defaultAvatar)}
+                src={isEditing ? (editedAvatar || defaultAvatar) : (groupData?.avatar || defaultAvatar)}
                 alt={groupData?.name || 'Group'}
                 className={`w-12 h-12 rounded-full object-cover border-2 transition-all ${
                   isEditing && hasUnsavedChanges 
@@ -293,13 +1041,16 @@ const GroupChat = () => {
                 <div className="absolute inset-0 bg-black/50 rounded-full flex items-center justify-center cursor-pointer hover:bg-black/60 transition-colors">
                   <label htmlFor="avatar-upload" className="cursor-pointer p-2 flex flex-col items-center">
                     <PhotoIcon className="w-5 h-5 text-white mb-1" />
-                    <span className="text-xs text-white font-medium">Change</span>
+                    <span className="text-xs text-white font-medium">
+                      {uploadingAvatar ? 'Uploading...' : 'Change'}
+                    </span>
                     <input
                       id="avatar-upload"
                       type="file"
-                      accept="image/*"
+                      accept="image/jpeg,image/png,image/gif,image/webp"
                       className="hidden"
                       onChange={handleImageUpload}
+                      disabled={uploadingAvatar}
                     />
                   </label>
                 </div>
@@ -383,7 +1134,12 @@ const GroupChat = () => {
                       {memberCount} members
                     </span>
                     <div className="w-2 h-2 bg-green-500 rounded-full ml-2"></div>
-                    <span className="text-xs text-green-500">Active</span>
+                    <span className="text-xs text-green-500">{onlineUserIds.length} online</span>
+                    {groupData?.streakCount > 0 && (
+                      <span className="ml-2 text-xs bg-orange-500/20 text-orange-600 dark:text-orange-400 px-2 py-1 rounded-full">
+                        🔥 {groupData.streakCount} day streak
+                      </span>
+                    )}
                   </div>
                 </div>
               )}
@@ -415,6 +1171,14 @@ const GroupChat = () => {
                 </>
               ) : (
                 <>
+                  <button
+                    onClick={() => setShowSearch(true)}
+                    className="p-2 rounded-lg bg-blue-500/20 text-blue-600 dark:text-blue-300 hover:bg-blue-500/30 transition-colors"
+                    title="Search messages"
+                  >
+                    <MagnifyingGlassIcon className="w-4 h-4" />
+                  </button>
+
                   {isAdmin && (
                     <button
                       onClick={() => setIsEditing(true)}
@@ -425,6 +1189,49 @@ const GroupChat = () => {
                     </button>
                   )}
                   
+                  {/* Member Menu */}
+                  <div className="relative">
+                    <button
+                      onClick={() => setShowMemberMenu(prev => !prev)}
+                      className={`p-2 rounded-lg transition-colors border border-gray-300 dark:border-gray-600 ${
+                        showMemberMenu
+                          ? 'bg-yellow-500/30 text-yellow-600 dark:text-yellow-400'
+                          : 'bg-gray-500/20 text-gray-600 dark:text-gray-400 hover:bg-gray-500/30'
+                      }`}
+                      title="Members"
+                    >
+                      <UsersIcon className="w-4 h-4" />
+                    </button>
+
+                    {showMemberMenu && groupData && (
+                      <>
+                        <div
+                          className="fixed inset-0 z-40"
+                          onClick={() => setShowMemberMenu(false)}
+                        />
+                        <div className="absolute right-0 top-full mt-2 w-72 bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 z-50 overflow-hidden">
+                          <MemberMenu
+                            group={groupData}
+                            currentUserId={user.id || user._id}
+                            onGroupUpdated={(update) => setGroupData(prev => ({ ...prev, ...update }))}
+                          />
+                        </div>
+                      </>
+                    )}
+                  </div>
+
+                  <button
+                    onClick={() => setShowGroupInfo(prev => !prev)}
+                    className={`p-2 rounded-lg transition-colors border border-gray-300 dark:border-gray-600 ${
+                      showGroupInfo
+                        ? 'bg-yellow-500/30 text-yellow-600 dark:text-yellow-400'
+                        : 'bg-gray-500/20 text-gray-600 dark:text-gray-400 hover:bg-gray-500/30'
+                    }`}
+                    title="Group info & goals"
+                  >
+                    <InformationCircleIcon className="w-4 h-4" />
+                  </button>
+                  
                   {/* Dropdown Menu Button */}
                   <div className="relative">
                     <button
@@ -491,69 +1298,222 @@ const GroupChat = () => {
           </div>
         </div>
 
+        <PinnedBanner pinned={pinnedMessages} onSelect={(message) => jumpToMessage(message.id)} />
+
         {/* ChatMessages for GroupChat content */}
-        <div className="flex-1 min-h-0 overflow-y-auto px-6 py-4 scrollbar-none hide-scrollbar space-y-3 mt-3">
-          {/* Messages will be rendered here */}
-          {messages.map((msg) => (
-            <div
-              key={msg.id}
-              className={`flex ${
-                msg.sender === user.username ? "justify-end" : "justify-start"
-              }`}
+        <ChatMessages
+          messages={chatMessages}
+          hasMore={hasMoreMessages}
+          loadingOlder={loadingOlder}
+          onLoadOlder={loadOlderMessages}
+          hasNewer={hasNewerMessages}
+          loadingNewer={loadingNewer}
+          onLoadNewer={loadNewerMessages}
+          onJumpToLatest={jumpToLatest}
+          onJumpToMessage={jumpToMessage}
+          focusRequest={focusRequest}
+          onReply={(item) => startReply(findMessage(item))}
+          onEdit={(item) => startEdit(findMessage(item))}
+          onDelete={handleDeleteMessage}
+          onToggleReaction={handleToggleReaction}
+          onTogglePin={handleTogglePin}
+          onVotePoll={handleVotePoll}
+          onClosePoll={handleClosePoll}
+          typingUsers={typingNames}
+        />
+
+        {sendError && (
+          <div className="px-6 py-2 text-xs text-red-500 border-t border-gray-200 dark:border-white/10">
+            {sendError}
+          </div>
+        )}
+
+        {/* Reply / edit context above the input */}
+        {(replyingTo || editingMessage) && (
+          <div className="flex items-center gap-3 px-6 py-2 border-t border-gray-200 dark:border-white/10 bg-gray-50 dark:bg-white/5 text-xs">
+            <div className="flex-1 min-w-0 border-l-2 border-blue-500 pl-2">
+              <div className="font-semibold text-blue-600 dark:text-blue-300">
+                {editingMessage
+                  ? 'Editing message'
+                  : `Replying to ${replyingTo.sender?.username || 'message'}`}
+              </div>
+              {replyingTo && (
+                <div className="truncate text-gray-600 dark:text-gray-300">
+                  {replyingTo.text || (replyingTo.attachments?.length ? '📎 Attachment' : '')}
+                </div>
+              )}
+            </div>
+            <button
+              onClick={cancelComposerMode}
+              className="p-1 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
+              title="Cancel"
             >
+              <XMarkIcon className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+            </button>
+          </div>
+        )}
+
+        {/* Uploaded files waiting to be sent */}
+        {(pendingAttachments.length > 0 || uploadingAttachment) && (
+          <div className="flex flex-wrap items-center gap-2 px-6 py-2 border-t border-gray-200 dark:border-white/10 text-xs">
+            {pendingAttachments.map((attachment) => (
               <div
-                className={`max-w-[60%] flex items-center gap-2 ${
-                  msg.sender === user.username ? "flex-row-reverse" : ""
-                }`}
+                key={attachment.id}
+                className="flex items-center gap-2 pl-1 pr-2 py-1 rounded-lg bg-gray-100 dark:bg-white/10 text-gray-700 dark:text-gray-200"
               >
-                <img
-                  src={msg.avatar}
-                  alt={msg.sender}
-                  className="w-12 h-12 rounded-full object-cover"
-                />
-                <div
-                  className={`px-4 py-2 rounded-2xl shadow text-sm ${
-                    msg.sender === user.username
-                      ? "bg-blue-500 text-white"
-                      : "bg-gray-200 dark:bg-white/20 text-gray-900 dark:text-white"
-                  }`}
+                {attachment.kind === 'image' ? (
+                  <img
+                    src={attachment.thumbnailUrl || attachment.url}
+                    alt={attachment.name}
+                    className="w-8 h-8 rounded object-cover"
+                  />
+                ) : (
+                  <PaperClipIcon className="w-4 h-4" />
+                )}
+                <span className="max-w-32 truncate">{attachment.name}</span>
+                <button
+                  onClick={() =>
+                    setPendingAttachments((prev) => prev.filter((item) => item.id !== attachment.id))
+                  }
+                  className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+                  title="Remove attachment"
                 >
-                  {msg.message}
-                  <div className="text-xs text-right mt-1 opacity-60">
-                    {msg.time && (
-                      <span>
-                        {new Date(msg.time).toLocaleTimeString([], {
-                          hour: "2-digit",
-                          minute: "2-digit",
-                          hour12: true,
-                        })}
-                      </span>
-                    )}
-                  </div>
-                </div>
+                  <XMarkIcon className="w-3 h-3" />
+                </button>
               </div>
-            </div>
-          ))}
-        </div>
+            ))}
+            {uploadingAttachment && (
+              <span className="text-gray-500 dark:text-gray-400 animate-pulse">Uploading...</span>
+            )}
+          </div>
+        )}
 
         {/* ChatInput for GroupChat content */}
-        <div className="flex items-center gap-2 px-6 py-4 border-t border-gray-200 dark:border-white/10 bg-white/80 dark:bg-white/10">
+        <div className="relative flex items-center gap-2 px-6 py-4 border-t border-gray-200 dark:border-white/10 bg-white/80 dark:bg-white/10">
+          {suggestions.length > 0 && (
+            <div className="absolute bottom-full left-6 mb-1 w-80 py-1 rounded-lg shadow-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 z-20">
+              {suggestions.map((suggestion, index) => (
+                <button
+                  key={suggestion.key}
+                  type="button"
+                  // Keep focus in the input while picking
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => selectSuggestion(suggestion)}
+                  className={`w-full flex items-center gap-2 px-3 py-1.5 text-left text-sm text-gray-800 dark:text-gray-100 ${
+                    index === suggestionIndex ? "bg-blue-100 dark:bg-white/10" : "hover:bg-gray-100 dark:hover:bg-white/5"
+                  }`}
+                >
+                  {suggestion.command ? (
+                    <span className="min-w-0">
+                      <span className="block font-mono text-xs truncate">{suggestion.command.usage}</span>
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">
+                        {suggestion.command.description}
+                      </span>
+                    </span>
+                  ) : (
+                    <>
+                      <img
+                        src={suggestion.member.avatar || defaultAvatar}
+                        alt={suggestion.member.username}
+                        className="w-6 h-6 rounded-full object-cover"
+                      />
+                      <span className="truncate">{suggestion.member.username}</span>
+                    </>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+          {!editingMessage && (
+            <button
+              type="button"
+              onClick={() => setShowPollComposer(true)}
+              className="p-2 rounded-full text-gray-500 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-white/10 transition-colors"
+              title="Create poll"
+            >
+              <ChartBarIcon className="w-5 h-5" />
+            </button>
+          )}
+          {!editingMessage && (
+            <label
+              className="p-2 rounded-full text-gray-500 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-white/10 cursor-pointer transition-colors"
+              title="Attach files"
+            >
+              <PaperClipIcon className="w-5 h-5" />
+              <input
+                type="file"
+                multiple
+                accept={ACCEPTED_UPLOAD_TYPES}
+                className="hidden"
+                onChange={handleAttachFiles}
+                disabled={uploadingAttachment}
+              />
+            </label>
+          )}
           <input
             type="text"
+            ref={messageInputRef}
             value={currentMessage}
-            onChange={(e) => setCurrentMessage(e.target.value)}
-            placeholder="Type a message..."
-            onKeyPress={(e) => e.key === "Enter" && sendMessage()}
+            maxLength={1000}
+            onChange={(e) => handleInputChange(e.target.value, e.target.selectionStart)}
+            onBlur={() => setSuggestionsDismissed(true)}
+            placeholder={editingMessage ? "Edit your message..." : "Type a message, or / for commands..."}
+            onKeyDown={(e) => {
+              if (handleSuggestionKeyDown(e)) return;
+              if (e.key === "Escape") cancelComposerMode();
+              if (e.key === "Enter") sendMessage();
+            }}
             className="flex-1 px-4 py-2 rounded-full bg-gray-100 dark:bg-white/20 text-gray-800 dark:text-white outline-none"
           />
           <button
             onClick={sendMessage}
-            className="px-3 py-2 rounded-full bg-blue-500 hover:bg-blue-600 text-white"
+            disabled={uploadingAttachment}
+            className="px-3 py-2 rounded-full bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50"
           >
             ➤
           </button>
         </div>
       </div>
+
+      <PollComposer
+        isOpen={showPollComposer}
+        onClose={() => setShowPollComposer(false)}
+        onCreate={handleCreatePoll}
+      />
+
+      <MessageSearch
+        key={groupData?.id}
+        isOpen={showSearch}
+        onClose={() => setShowSearch(false)}
+        groupId={groupData?.id}
+        members={groupData?.members}
+        onSelect={(message) => {
+          setShowSearch(false);
+          jumpToMessage(message.id);
+        }}
+      />
+
+      {/* Group Info Sidebar */}
+      {showGroupInfo && groupData && (
+        <div className="w-80 flex-shrink-0 overflow-y-auto bg-white/80 dark:bg-black/40 border-l border-gray-200 dark:border-white/10 p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Group Info
+            </h3>
+            <button
+              onClick={() => setShowGroupInfo(false)}
+              className="p-1 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
+              title="Close"
+            >
+              <XMarkIcon className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+            </button>
+          </div>
+          <GroupInfoCard
+            group={{ ...groupData, memberCount }}
+            onGroupUpdated={(update) => setGroupData(prev => ({ ...prev, ...update }))}
+          />
+        </div>
+      )}
     </div>
   );
 };
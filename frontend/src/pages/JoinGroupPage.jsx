@@ -1,24 +1,59 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useState, useCallback } from 'react';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import * as groupApi from '../API/groupApi';
 
 const JoinGroupPage = () => {
-  const { groupId: paramGroupId } = useParams();
+  const { groupId: paramGroupId, token } = useParams();
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const { user, setUser } = useAuth();
+  const { user, setUser, loading: authLoading } = useAuth();
   const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+  const [joined, setJoined] = useState(false);
+  const [requested, setRequested] = useState(false);
+  const [requestMessage, setRequestMessage] = useState('');
   const [error, setError] = useState('');
   const [groupInfo, setGroupInfo] = useState(null);
+  const [inviteInfo, setInviteInfo] = useState(null);
 
-  // Get group ID from either URL params or search params
+  // Invite links carry a token; join links carry the group's join code
   const groupId = paramGroupId || searchParams.get('id');
 
+  const loadPreview = useCallback(async () => {
+    if (!token && !groupId) {
+      setError('Invalid group link');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const result = token
+        ? await groupApi.previewInvite(token)
+        : await groupApi.previewJoinCode(groupId);
+
+      setGroupInfo(result.group);
+      setInviteInfo(result.invite || null);
+      setRequested(!!result.group.hasPendingRequest);
+    } catch (error) {
+      console.error('Failed to load group preview:', error);
+      setError(error.message || 'Failed to load group');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, groupId]);
+
   useEffect(() => {
+    if (authLoading) return;
+
     if (!user) {
       // Redirect to login if not authenticated
-      const redirectPath = paramGroupId ? `/join/${paramGroupId}` : `/join-group?id=${searchParams.get('id')}`;
+      const redirectPath = token
+        ? `/invite/${token}`
+        : paramGroupId ? `/join/${paramGroupId}` : `/join-group?id=${searchParams.get('id')}`;
       navigate('/login', { 
         state: { 
           redirectTo: redirectPath,
@@ -28,23 +63,24 @@ const JoinGroupPage = () => {
       return;
     }
 
-    // Attempt to join the group automatically
-    handleJoinGroup();
-  }, [groupId, user, paramGroupId, searchParams]);
+    loadPreview();
+  }, [authLoading, user, token, paramGroupId, searchParams, navigate, loadPreview]);
 
   const handleJoinGroup = async () => {
-    if (!groupId) {
-      setError('Invalid group link');
-      setLoading(false);
-      return;
-    }
-
     try {
-      setLoading(true);
+      setJoining(true);
+      setError('');
       
-      // First try to get group details
-      const result = await groupApi.createOrJoinGroup(groupId, false);
+      const result = token
+        ? await groupApi.acceptInvite(token)
+        : await groupApi.createOrJoinGroup(groupId, false, requestMessage.trim());
       
+      // Approval-only group: nothing to open until an admin accepts
+      if (result && result.pending) {
+        setRequested(true);
+        return;
+      }
+
       if (result && result.success) {
         // Update user state
         setUser(prev => ({
@@ -53,7 +89,8 @@ const JoinGroupPage = () => {
           groupID: result.group.joinCode
         }));
 
-        setGroupInfo(result.group);
+        setGroupInfo(prev => ({ ...prev, ...result.group }));
+        setJoined(true);
         
         // Show success message and redirect
         setTimeout(() => {
@@ -66,29 +103,32 @@ const JoinGroupPage = () => {
       console.error('Failed to join group:', error);
       setError(error.message || 'Failed to join group');
     } finally {
-      setLoading(false);
+      setJoining(false);
     }
   };
 
   const handleRetry = () => {
-    setError('');
-    handleJoinGroup();
+    if (groupInfo) {
+      handleJoinGroup();
+    } else {
+      loadPreview();
+    }
   };
 
   const handleGoBack = () => {
     navigate('/create-group');
   };
 
-  if (loading) {
+  if (loading || authLoading) {
     return (
       <div className="min-h-screen w-full flex items-center justify-center blur-theme rounded-tl-3xl">
         <div className="bg-black/60 rounded-3xl shadow-2xl p-10 flex flex-col items-center w-full max-w-md border border-yellow-400/30 backdrop-blur-md">
           <div className="w-16 h-16 border-4 border-yellow-400 border-t-transparent rounded-full animate-spin mb-4"></div>
           <h2 className="text-2xl font-bold text-yellow-400 mb-4">
-            Joining Group...
+            Loading Group...
           </h2>
           <p className="text-white/70 text-center">
-            Please wait while we add you to the group.
+            Please wait while we look up the group.
           </p>
         </div>
       </div>
@@ -127,38 +167,125 @@ const JoinGroupPage = () => {
     );
   }
 
-  // Success state
+  const groupCard = groupInfo && (
+    <div className="bg-white/10 rounded-lg p-4 mb-6 w-full">
+      <div className="flex items-center gap-3">
+        <img
+          src={groupInfo.avatar || 'https://randomuser.me/api/portraits/lego/1.jpg'}
+          alt={groupInfo.name}
+          className="w-12 h-12 rounded-full object-cover border-2 border-yellow-400"
+        />
+        <div>
+          <h3 className="font-semibold text-white">{groupInfo.name}</h3>
+          <p className="text-white/70 text-sm">
+            {groupInfo.memberCount || 0} members
+          </p>
+        </div>
+      </div>
+      {groupInfo.description && !joined && (
+        <p className="text-white/70 text-sm mt-3">{groupInfo.description}</p>
+      )}
+    </div>
+  );
+
+  if (joined) {
+    return (
+      <div className="min-h-screen w-full flex items-center justify-center blur-theme rounded-tl-3xl">
+        <div className="bg-black/60 rounded-3xl shadow-2xl p-10 flex flex-col items-center w-full max-w-md border border-yellow-400/30 backdrop-blur-md">
+          <div className="w-16 h-16 bg-green-500/20 rounded-full flex items-center justify-center mb-4">
+            <span className="text-2xl">✅</span>
+          </div>
+          <h2 className="text-2xl font-bold text-green-400 mb-4">
+            Welcome to the Group!
+          </h2>
+          {groupCard}
+          <p className="text-white/70 text-center mb-6">
+            You've successfully joined the group! Redirecting to chat...
+          </p>
+          <div className="w-full bg-yellow-400/20 rounded-full h-2">
+            <div className="bg-yellow-400 h-2 rounded-full animate-pulse" style={{ width: '100%' }}></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (requested) {
+    return (
+      <div className="min-h-screen w-full flex items-center justify-center blur-theme rounded-tl-3xl">
+        <div className="bg-black/60 rounded-3xl shadow-2xl p-10 flex flex-col items-center w-full max-w-md border border-yellow-400/30 backdrop-blur-md">
+          <div className="w-16 h-16 bg-yellow-500/20 rounded-full flex items-center justify-center mb-4">
+            <span className="text-2xl">⏳</span>
+          </div>
+          <h2 className="text-2xl font-bold text-yellow-400 mb-4">
+            Request Sent
+          </h2>
+          {groupCard}
+          <p className="text-white/70 text-center mb-6">
+            An admin needs to approve your request. You'll get a notification once they decide.
+          </p>
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="w-full bg-gradient-to-r from-gray-500 to-gray-600 text-white px-4 py-3 rounded-xl font-semibold shadow hover:from-gray-600 hover:to-gray-700 transition-all"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Invite links let people in regardless of the group's privacy setting
+  const needsApproval = !token && !groupInfo?.isMember && groupInfo?.privacy === 'approval';
+  const inviteOnly = !token && !groupInfo?.isMember && groupInfo?.privacy === 'invite_only';
+
+  // Preview: let the user see the group before joining
   return (
     <div className="min-h-screen w-full flex items-center justify-center blur-theme rounded-tl-3xl">
       <div className="bg-black/60 rounded-3xl shadow-2xl p-10 flex flex-col items-center w-full max-w-md border border-yellow-400/30 backdrop-blur-md">
-        <div className="w-16 h-16 bg-green-500/20 rounded-full flex items-center justify-center mb-4">
-          <span className="text-2xl">✅</span>
-        </div>
-        <h2 className="text-2xl font-bold text-green-400 mb-4">
-          Welcome to the Group!
+        <h2 className="text-2xl font-bold text-yellow-400 mb-4">
+          {groupInfo?.isMember
+            ? "You're already a member"
+            : needsApproval ? 'Request to Join' : "You've been invited!"}
         </h2>
-        {groupInfo && (
-          <div className="bg-white/10 rounded-lg p-4 mb-6 w-full">
-            <div className="flex items-center gap-3">
-              <img
-                src={groupInfo.avatar || 'https://randomuser.me/api/portraits/lego/1.jpg'}
-                alt={groupInfo.name}
-                className="w-12 h-12 rounded-full object-cover border-2 border-yellow-400"
-              />
-              <div>
-                <h3 className="font-semibold text-white">{groupInfo.name}</h3>
-                <p className="text-white/70 text-sm">
-                  {groupInfo.memberCount || 0} members
-                </p>
-              </div>
-            </div>
-          </div>
+        {groupCard}
+        {needsApproval && (
+          <textarea
+            value={requestMessage}
+            onChange={(e) => setRequestMessage(e.target.value)}
+            maxLength={200}
+            rows={2}
+            placeholder="Add a note for the admins (optional)"
+            className="w-full mb-4 px-3 py-2 text-sm rounded-lg bg-white/10 text-white placeholder-white/40 border border-yellow-400/30 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          />
+        )}
+        {inviteOnly && (
+          <p className="text-white/70 text-sm text-center mb-4">
+            This group is invite-only. Ask an admin for an invite link.
+          </p>
+        )}
+        {inviteInfo?.expiresAt && (
+          <p className="text-white/50 text-xs mb-4">
+            This invite expires {new Date(inviteInfo.expiresAt).toLocaleString()}
+          </p>
         )}
-        <p className="text-white/70 text-center mb-6">
-          You've successfully joined the group! Redirecting to chat...
-        </p>
-        <div className="w-full bg-yellow-400/20 rounded-full h-2">
-          <div className="bg-yellow-400 h-2 rounded-full animate-pulse" style={{ width: '100%' }}></div>
+        <div className="flex gap-3 w-full">
+          <button
+            onClick={handleJoinGroup}
+            disabled={joining || inviteOnly}
+            className="flex-1 bg-gradient-to-r from-yellow-500 to-amber-500 text-white px-4 py-3 rounded-xl font-semibold shadow hover:from-yellow-600 hover:to-amber-600 transition-all disabled:opacity-50"
+          >
+            {joining
+              ? 'Joining...'
+              : groupInfo?.isMember ? 'Open Group' : needsApproval ? 'Send Request' : 'Join Group'}
+          </button>
+          <button
+            onClick={handleGoBack}
+            disabled={joining}
+            className="flex-1 bg-gradient-to-r from-gray-500 to-gray-600 text-white px-4 py-3 rounded-xl font-semibold shadow hover:from-gray-600 hover:to-gray-700 transition-all disabled:opacity-50"
+          >
+            Cancel
+          </button>
         </div>
       </div>
     </div>
@@ -1,8 +1,260 @@
-const Notifications = () => (
-  <div className="text-white">
-    <h2 className="text-2xl font-bold mb-4">Notifications</h2>
-    <p>Check your latest notifications here.</p>
-  </div>
-);
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { BellIcon, CheckIcon } from "@heroicons/react/24/outline";
+import socketAPI from "../API/socketApi";
+import { useNotifications } from "../contexts/notificationContext";
+import NotificationItem from "../components/notifications/NotificationItem";
+import { NOTIFICATION_TYPES, isCoveredByReadEvent } from "../components/notifications/notificationTypes";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../API/notificationApi";
+
+const PAGE_SIZE = 20;
+
+// Where clicking a notification takes the user
+const getNotificationLink = (notification) => {
+  if (notification.type === "assignment") return "/tasks";
+  if (notification.group) return `/chatroom/${notification.group.id}`;
+  return null;
+};
+
+const Notifications = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const { unreadCount, setUnreadCount } = useNotifications();
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  const [typeFilter, setTypeFilter] = useState("");
+  const [groupFilter, setGroupFilter] = useState("");
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  // Groups seen so far, so the group filter keeps its options while filtering
+  const [knownGroups, setKnownGroups] = useState({});
+
+  const rememberGroups = (items) => {
+    setKnownGroups((prev) => {
+      const next = { ...prev };
+      items.forEach((item) => {
+        if (item.group) next[item.group.id] = item.group.name;
+      });
+      return next;
+    });
+  };
+
+  const fetchPage = useCallback(
+    (before) =>
+      getNotifications({
+        type: typeFilter,
+        groupId: groupFilter,
+        unread: unreadOnly ? "true" : "",
+        before,
+        limit: PAGE_SIZE,
+      }),
+    [typeFilter, groupFilter, unreadOnly]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const data = await fetchPage();
+        if (cancelled) return;
+        setNotifications(data.notifications);
+        setHasMore(data.hasMore);
+        setNextCursor(data.nextCursor);
+        setUnreadCount(data.unreadCount);
+        rememberGroups(data.notifications);
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load notifications");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchPage, setUnreadCount]);
+
+  // Live updates: new notifications matching the filters are prepended, and
+  // reads from other tabs are reflected in place
+  useEffect(() => {
+    const handleNew = (notification) => {
+      if (typeFilter && notification.type !== typeFilter) return;
+      if (groupFilter && notification.group?.id !== groupFilter) return;
+      setNotifications((prev) =>
+        prev.some((n) => n.id === notification.id) ? prev : [notification, ...prev]
+      );
+      rememberGroups([notification]);
+    };
+
+    const handleRead = (event) => {
+      const readAt = new Date().toISOString();
+      setNotifications((prev) =>
+        prev.map((n) =>
+          !n.isRead && isCoveredByReadEvent(n, event) ? { ...n, isRead: true, readAt } : n
+        )
+      );
+    };
+
+    socketAPI.on("notification:new", handleNew);
+    socketAPI.on("notification:read", handleRead);
+    return () => {
+      socketAPI.off("notification:new", handleNew);
+      socketAPI.off("notification:read", handleRead);
+    };
+  }, [typeFilter, groupFilter]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(nextCursor);
+      setNotifications((prev) => [...prev, ...data.notifications]);
+      setHasMore(data.hasMore);
+      setNextCursor(data.nextCursor);
+      setUnreadCount(data.unreadCount);
+      rememberGroups(data.notifications);
+    } catch (err) {
+      setError(err.message || "Failed to load notifications");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.isRead) {
+      try {
+        const data = await markNotificationRead(notification.id);
+        setNotifications((prev) =>
+          prev.map((n) => (n.id === notification.id ? data.notification : n))
+        );
+        setUnreadCount(data.unreadCount);
+      } catch (err) {
+        setError(err.message || "Failed to mark notification as read");
+      }
+    }
+
+    const link = getNotificationLink(notification);
+    if (link) navigate(link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const data = await markAllNotificationsRead({
+        ...(typeFilter && { type: typeFilter }),
+        ...(groupFilter && { groupId: groupFilter }),
+      });
+      setUnreadCount(data.unreadCount);
+      setNotifications((prev) =>
+        unreadOnly ? [] : prev.map((n) => ({ ...n, isRead: true, readAt: n.readAt || new Date().toISOString() }))
+      );
+    } catch (err) {
+      setError(err.message || "Failed to mark notifications as read");
+    }
+  };
+
+  return (
+    <div className="text-white max-w-3xl mx-auto w-full p-6 space-y-4 overflow-y-auto h-full">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <BellIcon className="w-6 h-6 text-yellow-400" />
+          Notifications
+          {unreadCount > 0 && (
+            <span className="text-xs bg-yellow-500/20 text-yellow-400 px-2 py-1 rounded-full">
+              {unreadCount} unread
+            </span>
+          )}
+        </h2>
+        <button
+          onClick={handleMarkAllRead}
+          disabled={unreadCount === 0}
+          className="flex items-center gap-1 text-sm bg-purple-500/20 hover:bg-purple-500/30 text-purple-200 px-3 py-2 rounded-lg transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <CheckIcon className="w-4 h-4" />
+          Mark all as read
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="bg-slate-800/70 border border-slate-600/50 rounded-lg px-3 py-2 outline-none"
+        >
+          <option value="">All types</option>
+          {Object.entries(NOTIFICATION_TYPES).map(([type, meta]) => (
+            <option key={type} value={type}>
+              {meta.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={groupFilter}
+          onChange={(e) => setGroupFilter(e.target.value)}
+          className="bg-slate-800/70 border border-slate-600/50 rounded-lg px-3 py-2 outline-none"
+        >
+          <option value="">All groups</option>
+          {Object.entries(knownGroups).map(([id, name]) => (
+            <option key={id} value={id}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 cursor-pointer text-slate-300">
+          <input
+            type="checkbox"
+            checked={unreadOnly}
+            onChange={(e) => setUnreadOnly(e.target.checked)}
+          />
+          Unread only
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {loading ? (
+        <div className="animate-pulse space-y-3">
+          {[0, 1, 2].map((i) => (
+            <div key={i} className="h-16 bg-slate-700/40 rounded-xl"></div>
+          ))}
+        </div>
+      ) : notifications.length === 0 ? (
+        <p className="text-slate-400 text-sm">You're all caught up.</p>
+      ) : (
+        <div className="space-y-2">
+          {notifications.map((notification) => (
+            <NotificationItem
+              key={notification.id}
+              notification={notification}
+              onClick={handleOpen}
+            />
+          ))}
+          {hasMore && (
+            <div className="flex justify-center pt-2">
+              <button
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="text-xs px-3 py-1 rounded-full bg-white/10 text-slate-300 hover:bg-white/20 transition-colors disabled:opacity-50"
+              >
+                {loadingMore ? "Loading..." : "Load more"}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
 export default Notifications;
@@ -15,6 +15,7 @@ import whiteOwl from "./assets/whiteOwl.png";
 import Landing from "./pages/Landing";
 import Upgrade from "./pages/Upgrade";
 import CreatingGroup2 from "./pages/CreatingGroup2";
+import Discover from "./pages/Discover";
 
 const Dashboard = lazy(() => import("./pages/Dashboard"));
 
@@ -88,6 +89,7 @@ const AppRoutes = () => (
       {/* Public join routes for invite links */}
       <Route path="/join/:groupId" element={<JoinGroupPage />} />
       <Route path="/join-group" element={<JoinGroupPage />} />
+      <Route path="/invite/:token" element={<JoinGroupPage />} />
       
       <Route
         path="/"
@@ -101,6 +103,7 @@ const AppRoutes = () => (
         <Route path="dashboard" element={<Dashboard />} />
         <Route path="tasks" element={<Tasks />} />
         <Route path="analytics" element={<Analytics />} />
+        <Route path="discover" element={<Discover />} />
         <Route path="chatroom" element={<GroupChat />} />
         <Route path="chatroom/:groupId" element={<GroupChat />} />
         <Route path="notifications" element={<Notifications />} />